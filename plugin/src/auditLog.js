@@ -0,0 +1,155 @@
+// Audit Log
+// Append-only JSONL record of every command and security event, stored next to the plugin.
+// audit.jsonl is the live file; when it outgrows the size limit it becomes audit.1.jsonl,
+// audit.1 becomes audit.2 and so on, dropping anything beyond the retention count.
+
+const DEFAULT_MAX_SIZE_MB = 5;
+const DEFAULT_MAX_FILES = 5; // rotated files kept besides the live one
+const MAX_PAGE_SIZE = 500;
+
+const encoder = new TextEncoder();
+
+class AuditLog {
+  /**
+   * @param {DataAdapter} adapter - Vault adapter (paths are relative to the vault root)
+   * @param {string} dir - Plugin folder, e.g. .obsidian/plugins/note-relay
+   * @param {Function} getOptions - Returns { maxSizeMB, maxFiles } from settings
+   */
+  constructor(adapter, dir, getOptions) {
+    this.adapter = adapter;
+    this.dir = dir;
+    this.getOptions = getOptions;
+    this.size = null; // bytes in the live file, read lazily
+    this.queue = Promise.resolve(); // writes are serialised so rotation never interleaves
+  }
+
+  filePath(index = 0) {
+    return index ? `${this.dir}/audit.${index}.jsonl` : `${this.dir}/audit.jsonl`;
+  }
+
+  options() {
+    const { maxSizeMB, maxFiles } = this.getOptions() || {};
+    return {
+      maxBytes: Math.max(0.1, Number(maxSizeMB) || DEFAULT_MAX_SIZE_MB) * 1024 * 1024,
+      maxFiles: Math.max(0, Number.isFinite(Number(maxFiles)) ? Math.floor(Number(maxFiles)) : DEFAULT_MAX_FILES)
+    };
+  }
+
+  /**
+   * Append an entry (timestamped here)
+   * @param {Object} entry - { user, action, transport, path, access, result, bytesIn, bytesOut, message, details }
+   * @returns {Promise} Resolves once written (callers normally don't wait)
+   */
+  record(entry) {
+    const line = JSON.stringify({ ts: new Date().toISOString(), ...entry }) + '\n';
+    this.queue = this.queue
+      .then(() => this.write(line))
+      .catch((error) => console.warn('Failed to write audit log:', error));
+    return this.queue;
+  }
+
+  async write(line) {
+    const { maxBytes, maxFiles } = this.options();
+    const path = this.filePath();
+
+    if (this.size === null) {
+      const stat = await this.adapter.exists(path) ? await this.adapter.stat(path) : null;
+      this.size = stat ? stat.size : 0;
+    }
+
+    const length = encoder.encode(line).length;
+    if (this.size > 0 && this.size + length > maxBytes) {
+      await this.rotate(maxFiles);
+    }
+
+    if (this.size === 0) {
+      await this.adapter.write(path, line);
+    } else {
+      await this.adapter.append(path, line);
+    }
+    this.size += length;
+  }
+
+  async rotate(maxFiles) {
+    const oldest = this.filePath(maxFiles);
+    if (maxFiles > 0 && await this.adapter.exists(oldest)) await this.adapter.remove(oldest);
+    for (let i = maxFiles - 1; i >= 0; i--) {
+      const from = this.filePath(i);
+      if (await this.adapter.exists(from)) await this.adapter.rename(from, this.filePath(i + 1));
+    }
+    if (maxFiles === 0 && await this.adapter.exists(this.filePath())) await this.adapter.remove(this.filePath());
+    // Retention lowered since the last rotation: drop files past the new limit
+    for (let i = maxFiles + 1; await this.adapter.exists(this.filePath(i)); i++) {
+      await this.adapter.remove(this.filePath(i));
+    }
+    this.size = 0;
+  }
+
+  /**
+   * Read entries, newest first
+   * @param {Object} filters - { user, action, path (substring), access, result, since, until (ms or ISO), offset, limit }
+   * @returns {Promise<Object>} { entries, total, offset, limit, users }
+   */
+  async query(filters = {}) {
+    await this.queue;
+    const offset = Math.max(0, parseInt(filters.offset, 10) || 0);
+    const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(filters.limit, 10) || 100));
+    const since = filters.since ? new Date(filters.since).getTime() : null;
+    const until = filters.until ? new Date(filters.until).getTime() : null;
+    const pathNeedle = (filters.path || '').toLowerCase();
+
+    const matches = [];
+    const users = new Set();
+    const { maxFiles } = this.options();
+    for (let i = 0; i <= maxFiles; i++) {
+      const path = this.filePath(i);
+      if (!(await this.adapter.exists(path))) continue;
+      const lines = (await this.adapter.read(path)).split('\n');
+      for (let j = lines.length - 1; j >= 0; j--) {
+        if (!lines[j]) continue;
+        let entry;
+        try {
+          entry = JSON.parse(lines[j]);
+        } catch (e) {
+          continue; // torn write or hand-edited line
+        }
+        if (entry.user) users.add(entry.user);
+
+        if (filters.user && entry.user !== filters.user) continue;
+        if (filters.action && entry.action !== filters.action) continue;
+        if (filters.access && entry.access !== filters.access) continue;
+        if (filters.result && entry.result !== filters.result) continue;
+        if (pathNeedle && !(entry.path || '').toLowerCase().includes(pathNeedle)) continue;
+        const ts = Date.parse(entry.ts);
+        if (since !== null && ts < since) continue;
+        if (until !== null && ts > until) continue;
+        matches.push(entry);
+      }
+    }
+
+    return {
+      entries: matches.slice(offset, offset + limit),
+      total: matches.length,
+      offset,
+      limit,
+      users: [...users].sort()
+    };
+  }
+}
+
+/**
+ * Approximate payload size of a command response/request (JSON length; base64 stays as sent)
+ */
+function measurePayload(data) {
+  if (data === undefined || data === null) return 0;
+  if (typeof data === 'string') return data.length;
+  if (data instanceof Uint8Array) return data.byteLength;
+  try {
+    return JSON.stringify(data).length;
+  } catch (e) {
+    return 0;
+  }
+}
+
+export { measurePayload, DEFAULT_MAX_SIZE_MB, DEFAULT_MAX_FILES };
+export default AuditLog;
@@ -0,0 +1,143 @@
+// Authentication Throttle
+// Tracks failed logins per key (ip:..., peer:..., email:...) with exponential backoff and lockouts.
+// Attempts still being verified count too (begin), so parallel logins can't all pass one check.
+
+const FREE_ATTEMPTS = 3; // typos before any delay kicks in
+const BASE_DELAY = 1000; // doubles with every further failure
+const MAX_DELAY = 5 * 60 * 1000;
+const LOCKOUT_THRESHOLD = 10; // failures before a lockout
+const LOCKOUT_DURATION = 15 * 60 * 1000;
+const FAILURE_WINDOW = 60 * 60 * 1000; // failures older than this are forgotten
+const ALERT_THRESHOLD = 5; // failures before the owner is notified
+const PENDING_TTL = 30 * 1000; // an attempt that never reported back stops counting after this
+
+class AuthThrottle {
+  constructor() {
+    this.records = new Map(); // key -> { failures, lastFailure, blockedUntil, lockedUntil }
+    this.pending = new Map(); // key -> start times of attempts still being verified
+  }
+
+  /**
+   * Reserve an attempt for every key before verifying credentials
+   * Only as many attempts may run at once as the key has free attempts left (at least one);
+   * the reservation ends with recordFailure/recordSuccess, or expires after PENDING_TTL.
+   * @returns {Object} Same as check()
+   */
+  begin(keys) {
+    const result = this.check(keys);
+    if (!result.allowed) return result;
+
+    const now = Date.now();
+    const busy = keys.some((key) => {
+      const record = this.get(key, now);
+      const slots = Math.max(1, FREE_ATTEMPTS - (record ? record.failures : 0));
+      return this.inFlight(key, now).length >= slots;
+    });
+    if (busy) return { allowed: false, retryAfter: BASE_DELAY, locked: false };
+
+    keys.forEach((key) => this.pending.set(key, [...this.inFlight(key, now), now]));
+    return result;
+  }
+
+  inFlight(key, now) {
+    const started = (this.pending.get(key) || []).filter((time) => now - time < PENDING_TTL);
+    if (started.length) this.pending.set(key, started);
+    else this.pending.delete(key);
+    return started;
+  }
+
+  /**
+   * Release one reservation per key
+   */
+  end(keys) {
+    keys.forEach((key) => {
+      const started = this.pending.get(key);
+      if (!started) return;
+      started.shift();
+      if (!started.length) this.pending.delete(key);
+    });
+  }
+
+  /**
+   * Whether an attempt may proceed for every key
+   * @param {string[]} keys - e.g. ['ip:127.0.0.1', 'email:guest@example.com']
+   * @returns {Object} { allowed, retryAfter (ms), locked }
+   */
+  check(keys) {
+    const now = Date.now();
+    let retryAfter = 0;
+    let locked = false;
+
+    keys.forEach((key) => {
+      const record = this.get(key, now);
+      if (!record) return;
+      const until = Math.max(record.blockedUntil, record.lockedUntil);
+      if (until > now) {
+        retryAfter = Math.max(retryAfter, until - now);
+        if (record.lockedUntil > now) locked = true;
+      }
+    });
+
+    return { allowed: retryAfter === 0, retryAfter, locked };
+  }
+
+  /**
+   * Count a failed attempt against every key
+   * @returns {Object} { failures, lockedOut, alert } - worst key; alert is true once per threshold crossing
+   */
+  recordFailure(keys) {
+    this.end(keys);
+    const now = Date.now();
+    let failures = 0;
+    let lockedOut = false;
+    let alert = false;
+
+    keys.forEach((key) => {
+      const record = this.get(key, now) || { failures: 0, lastFailure: 0, blockedUntil: 0, lockedUntil: 0 };
+      record.failures++;
+      record.lastFailure = now;
+
+      if (record.failures > FREE_ATTEMPTS) {
+        const delay = Math.min(BASE_DELAY * 2 ** (record.failures - FREE_ATTEMPTS - 1), MAX_DELAY);
+        record.blockedUntil = now + delay;
+      }
+      if (record.failures >= LOCKOUT_THRESHOLD && record.lockedUntil <= now) {
+        record.lockedUntil = now + LOCKOUT_DURATION;
+        lockedOut = true;
+      }
+      if (record.failures === ALERT_THRESHOLD) alert = true;
+
+      this.records.set(key, record);
+      failures = Math.max(failures, record.failures);
+    });
+
+    return { failures, lockedOut, alert: alert || lockedOut };
+  }
+
+  /**
+   * Forget failures after a successful login
+   */
+  recordSuccess(keys) {
+    this.end(keys);
+    keys.forEach((key) => this.records.delete(key));
+  }
+
+  get(key, now) {
+    const record = this.records.get(key);
+    if (!record) return null;
+    // Expired lockout and no recent failures: start over
+    if (now - record.lastFailure > FAILURE_WINDOW && record.lockedUntil <= now) {
+      this.records.delete(key);
+      return null;
+    }
+    // A finished lockout resets the counter so the next lockout needs a full run again
+    if (record.lockedUntil && record.lockedUntil <= now) {
+      record.failures = FREE_ATTEMPTS;
+      record.lockedUntil = 0;
+    }
+    return record;
+  }
+}
+
+export { LOCKOUT_DURATION };
+export default AuthThrottle;
@@ -0,0 +1,164 @@
+// Batch Journal
+// Undo log that makes a sequential BATCH all-or-nothing: before each vault write the journal records
+// how to reverse it, and when a later command fails the recorded steps run newest first.
+// Reads need no undo. Writes that can't be reversed exactly (settings changes, the daily note whose
+// path the host picks) are refused in sequential batches; see refusal().
+
+import { requiredAccess, ACCESS } from './permissions';
+
+const REVERSIBLE_COMMANDS = ['SAVE_FILE', 'CREATE_FILE', 'CREATE_FOLDER', 'RENAME_FILE', 'DELETE_FILE', 'UPLOAD_ATTACHMENT'];
+const MAX_UNDO_BYTES = 50 * 1024 * 1024; // deleted files kept in memory per batch
+
+class BatchJournal {
+  /**
+   * @param {App} app - Obsidian app
+   * @param {Function} sanitizePath - The plugin's path cleaner (same paths the commands use)
+   */
+  constructor(app, sanitizePath) {
+    this.app = app;
+    this.sanitizePath = sanitizePath;
+    this.steps = []; // async () => void, oldest first
+    this.pending = []; // steps of the command running now, kept once it succeeds
+    this.bytes = 0;
+  }
+
+  /**
+   * Why a command can't run in a sequential batch, or null
+   * GET_RENDERED_FILE is a read that may create a missing note; before() records that too.
+   */
+  static refusal(command) {
+    if (requiredAccess(command.cmd) === ACCESS.READ || REVERSIBLE_COMMANDS.includes(command.cmd)) return null;
+    return `${command.cmd} can't be rolled back, so it can't run in a sequential batch`;
+  }
+
+  get(path) {
+    return this.app.vault.getAbstractFileByPath(path);
+  }
+
+  /**
+   * Prepare the undo of a command before it runs (kept by after() if the command succeeds)
+   * @returns {Promise<string|null>} Reason the command must not run (nothing recorded), or null
+   */
+  async before(command) {
+    this.pending = [];
+    const path = this.sanitizePath(command.path);
+    if (!path) return null; // the command itself rejects a missing path
+    const existing = this.get(path);
+
+    switch (command.cmd) {
+      case 'SAVE_FILE':
+        if (existing && !existing.children) {
+          const content = await this.app.vault.read(existing);
+          this.pending.push(async () => {
+            const file = this.get(path);
+            if (file) await this.app.vault.modify(file, content);
+          });
+        } else if (!existing && command.create) {
+          this.pending.push(() => this.remove(path));
+        }
+        return null;
+      case 'CREATE_FILE':
+      case 'CREATE_FOLDER':
+      case 'GET_RENDERED_FILE': // ghost links create the note
+        if (!existing) this.pending.push(() => this.remove(path));
+        return null;
+      case 'RENAME_FILE': {
+        const newPath = this.sanitizePath(command.data?.newPath);
+        if (existing && newPath) {
+          this.pending.push(async () => {
+            const moved = this.get(newPath);
+            if (moved && !this.get(path)) await this.app.fileManager.renameFile(moved, path);
+          });
+        }
+        return null;
+      }
+      case 'DELETE_FILE':
+        return existing ? this.keepCopy(existing) : null;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Keep the undo of a command that succeeded, plus steps that depend on its response
+   * (uploads pick their own path); a failed command changed nothing, so its steps are dropped
+   * @param {Object} result - Batch result entry { status, type, data }
+   */
+  after(command, { status, type, data }) {
+    const pending = this.pending;
+    this.pending = [];
+    if (status !== 'ok') return;
+    this.steps.push(...pending);
+    if (command.cmd === 'UPLOAD_ATTACHMENT' && type === 'ATTACHMENT_UPLOADED' && data?.path) {
+      this.steps.push(() => this.remove(data.path));
+    }
+  }
+
+  /**
+   * Snapshot a file or folder (with everything in it) so a delete can be undone
+   */
+  async keepCopy(target) {
+    const folders = [];
+    const files = [];
+    const walk = (item) => {
+      if (item.children) {
+        folders.push(item.path);
+        item.children.forEach(walk);
+      } else {
+        files.push(item);
+      }
+    };
+    walk(target);
+
+    const size = files.reduce((total, file) => total + (file.stat?.size || 0), 0);
+    if (this.bytes + size > MAX_UNDO_BYTES) {
+      return `Deleting ${target.path} can't be rolled back (over ${MAX_UNDO_BYTES / 1024 / 1024}MB); delete it outside a sequential batch`;
+    }
+    this.bytes += size;
+    const copies = [];
+    for (const file of files) {
+      copies.push({ path: file.path, data: await this.app.vault.readBinary(file) });
+    }
+
+    this.pending.push(async () => {
+      // Parents first; walk() lists every folder before its contents
+      for (const folder of folders) {
+        if (!this.get(folder)) await this.app.vault.createFolder(folder);
+      }
+      for (const copy of copies) {
+        if (!this.get(copy.path)) await this.app.vault.createBinary(copy.path, copy.data);
+      }
+    });
+    return null;
+  }
+
+  /**
+   * Undo a create: delete outright, not to the system trash the user never asked to fill
+   * (a created folder only holds what the batch put there, and later steps are undone first)
+   */
+  async remove(path) {
+    const item = this.get(path);
+    if (item) await this.app.vault.delete(item, true);
+  }
+
+  /**
+   * Undo everything recorded, newest first; keeps going past steps that fail
+   * @returns {Promise<string[]>} Errors from steps that could not be undone
+   */
+  async rollback() {
+    const errors = [];
+    for (const step of this.steps.reverse()) {
+      try {
+        await step();
+      } catch (error) {
+        console.error('Batch rollback step failed:', error);
+        errors.push(error.message);
+      }
+    }
+    this.steps = [];
+    return errors;
+  }
+}
+
+export { REVERSIBLE_COMMANDS };
+export default BatchJournal;
@@ -0,0 +1,89 @@
+// Trusted Devices
+// Remote devices the owner approved (settings.trustedDevices), used when "require approval" is on.
+// A device is identified by the client key it sends in the handshake (msg.deviceId, kept in the
+// browser's storage). Clients without one are only described by their device info, which every
+// browser of the same kind shares, so they are never remembered and are asked about every time.
+// Only a hash of identity + device key is stored, so data.json never holds the raw key.
+
+import { sha256Hex } from '../../shared/passwordAuth.js';
+
+const APPROVAL_TIMEOUT = 2 * 60 * 1000; // unanswered prompts deny the connection
+
+class TrustedDevices {
+  /**
+   * @param {Plugin} plugin - Owner of settings.trustedDevices (saved through plugin.saveSettings)
+   */
+  constructor(plugin) {
+    this.plugin = plugin;
+  }
+
+  get devices() {
+    if (!Array.isArray(this.plugin.settings.trustedDevices)) this.plugin.settings.trustedDevices = [];
+    return this.plugin.settings.trustedDevices;
+  }
+
+  /**
+   * Describe the connecting device from its handshake
+   * @param {string} identity - Owner/guest email (a device is trusted per identity)
+   * @param {Object} msg - HANDSHAKE message ({ deviceId, deviceInfo: { userAgent, platform }, sessionName })
+   * @returns {Promise<Object>} { key, fingerprinted, label, userAgent, platform }
+   */
+  async describe(identity, msg) {
+    const info = msg.deviceInfo && typeof msg.deviceInfo === 'object' ? msg.deviceInfo : {};
+    const userAgent = String(info.userAgent || '').slice(0, 300);
+    const platform = String(info.platform || '').slice(0, 100);
+    const deviceId = typeof msg.deviceId === 'string' && msg.deviceId.length >= 16 ? msg.deviceId : null;
+    const material = deviceId || `fingerprint:${userAgent}|${platform}`;
+    return {
+      key: await sha256Hex(`${(identity || '').toLowerCase()}|${material}`),
+      fingerprinted: !deviceId,
+      label: String(msg.sessionName || '').slice(0, 100) || platform || 'Unknown device',
+      userAgent,
+      platform
+    };
+  }
+
+  /**
+   * Remembered entry for a device from describe(); devices without a key never match
+   */
+  find(device) {
+    if (device.fingerprinted) return null;
+    return this.devices.find((d) => d.key === device.key) || null;
+  }
+
+  /**
+   * Note that a trusted device connected again
+   */
+  async touch(device) {
+    device.lastSeen = Date.now();
+    await this.plugin.saveSettings();
+  }
+
+  async remember(identity, device) {
+    if (device.fingerprinted) throw new Error('Devices without a device key cannot be remembered');
+    const now = Date.now();
+    const entry = {
+      id: device.key.slice(0, 12), // short public id for settings/logs
+      key: device.key,
+      identity,
+      label: device.label,
+      userAgent: device.userAgent,
+      platform: device.platform,
+      approvedAt: now,
+      lastSeen: now
+    };
+    this.devices.push(entry);
+    await this.plugin.saveSettings();
+    return entry;
+  }
+
+  async forget(id) {
+    const before = this.devices.length;
+    this.plugin.settings.trustedDevices = this.devices.filter((d) => d.id !== id);
+    await this.plugin.saveSettings();
+    return this.plugin.settings.trustedDevices.length !== before;
+  }
+}
+
+export { APPROVAL_TIMEOUT };
+export default TrustedDevices;
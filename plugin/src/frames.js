@@ -0,0 +1,219 @@
+// Binary Frame Protocol (WebRTC data channel, host -> client)
+// Layout constants and the client-side decoder (FrameDecoder) live in shared/frames.js.
+// Clients opt in with HANDSHAKE/PING/RESUME { frames: { version: 1, compression: ['deflate'] } };
+// the ack echoes the agreed settings and every later response/push is sent as binary frames
+// instead of JSON PART messages. Commands from the client stay JSON text.
+//
+// Frame layout (ArrayBuffer):
+//   byte 0      FRAME_VERSION
+//   byte 1      kind: 1 START, 2 DATA, 3 END, 4 ABORT
+//   bytes 2-5   stream id (uint32, big endian); one stream per response
+//   bytes 6..   START: UTF-8 JSON { type, encoding: 'json'|'binary', compression: 'deflate'|null, size, ...meta }
+//               DATA:  up to FRAME_PAYLOAD bytes of the (possibly compressed) body
+//               END:   empty
+//               ABORT: UTF-8 reason (the channel closed mid-stream)
+// 'json' bodies decode to the response data, 'binary' bodies are raw bytes (e.g. ASSET slices).
+// Control messages outside a command (AUTH_CHALLENGE, ERROR before sign-in, ...) stay JSON text.
+// Streams are interleaved round-robin, so a small reply isn't stuck behind a large image, and
+// sending pauses while the channel's bufferedAmount is above BUFFER_HIGH_WATER and resumes once it
+// drops to BUFFER_LOW_WATER (the channel's bufferedAmountLowThreshold, so bufferedamountlow fires there).
+
+const zlib = require('zlib');
+const { promisify } = require('util');
+import { FRAME_VERSION, FRAME_HEADER, FRAME_KIND as KIND } from '../../shared/frames.js';
+
+const deflate = promisify(zlib.deflate);
+
+const FRAME_PAYLOAD = 16 * 1024; // stays under every browser's SCTP message limit
+const BUFFER_HIGH_WATER = 1024 * 1024;
+const BUFFER_LOW_WATER = 256 * 1024;
+const DRAIN_POLL = 250; // re-check bufferedAmount in case bufferedamountlow never fires
+const COMPRESS_MIN_BYTES = 2048;
+
+const encoder = new TextEncoder();
+
+function buildFrame(kind, streamId, payload = null) {
+  const length = payload ? payload.byteLength : 0;
+  const frame = new Uint8Array(FRAME_HEADER + length);
+  const view = new DataView(frame.buffer);
+  view.setUint8(0, FRAME_VERSION);
+  view.setUint8(1, kind);
+  view.setUint32(2, streamId);
+  if (payload) frame.set(payload, FRAME_HEADER);
+  return frame.buffer;
+}
+
+/**
+ * Frame settings for a client's request, or null if it doesn't speak this protocol
+ * @param {Object} request - msg.frames from the client
+ * @returns {Object|null} { version, compression, maxFrame } (sent back in the ack)
+ */
+function negotiateFrames(request) {
+  if (!request || request.version !== FRAME_VERSION) return null;
+  const compression = Array.isArray(request.compression) && request.compression.includes('deflate') ? 'deflate' : null;
+  return { version: FRAME_VERSION, compression, maxFrame: FRAME_PAYLOAD };
+}
+
+class FrameSender {
+  /**
+   * @param {Function} getChannel - Returns the peer's RTCDataChannel
+   * @param {Object} options - Result of negotiateFrames
+   */
+  constructor(getChannel, { compression = null } = {}) {
+    this.getChannel = getChannel;
+    this.compression = compression;
+    this.attach(getChannel());
+    this.streams = []; // round-robin queue (see pump)
+    this.nextId = 1;
+    this.pumping = false;
+    this.closed = false;
+  }
+
+  /**
+   * Queue a response
+   * @param {string} type - Message type (e.g. 'FILE', 'ASSET', 'VAULT_EVENT')
+   * @param {*} data - JSON-serialisable value, or a Uint8Array sent as raw bytes
+   * @param {Object} meta - Extra header fields (requestId, asset range, ...)
+   * @returns {Promise<boolean>} Resolves once the last frame is handed to the channel, or with false
+   *   if the connection went away first (callers fire and forget, so this never rejects)
+   */
+  async send(type, data, meta = {}) {
+    if (this.closed) {
+      console.warn(`Frame sender closed, dropped ${type}`);
+      return false;
+    }
+    let header;
+    try {
+      header = { type, ...meta, ...(await this.encode(data)) };
+    } catch (error) {
+      console.error(`Frame encoding failed for ${type}:`, error);
+      return false;
+    }
+    if (this.closed) return false;
+    const body = header.body;
+    delete header.body;
+
+    const id = this.nextId;
+    this.nextId = this.nextId >= 0xffffffff ? 1 : this.nextId + 1;
+    return new Promise((resolve) => {
+      this.streams.push({ id, header, body, offset: 0, started: false, resolve });
+      this.pump();
+    });
+  }
+
+  async encode(data) {
+    if (data instanceof Uint8Array) {
+      return { encoding: 'binary', compression: null, size: data.byteLength, body: data };
+    }
+    let body = encoder.encode(data === undefined ? 'null' : JSON.stringify(data));
+    let compression = null;
+    if (this.compression === 'deflate' && body.byteLength >= COMPRESS_MIN_BYTES) {
+      const compressed = await deflate(body);
+      if (compressed.byteLength < body.byteLength) {
+        body = new Uint8Array(compressed.buffer, compressed.byteOffset, compressed.byteLength);
+        compression = 'deflate';
+      }
+    }
+    return { encoding: 'json', compression, size: body.byteLength, body };
+  }
+
+  /**
+   * Next frame of a stream; marks it done after END
+   */
+  nextFrame(stream) {
+    if (!stream.started) {
+      stream.started = true;
+      return buildFrame(KIND.START, stream.id, encoder.encode(JSON.stringify(stream.header)));
+    }
+    if (stream.offset < stream.body.byteLength) {
+      const chunk = stream.body.subarray(stream.offset, stream.offset + FRAME_PAYLOAD);
+      stream.offset += chunk.byteLength;
+      return buildFrame(KIND.DATA, stream.id, chunk);
+    }
+    stream.done = true;
+    return buildFrame(KIND.END, stream.id);
+  }
+
+  async pump() {
+    if (this.pumping) return;
+    this.pumping = true;
+    let stream = null;
+    try {
+      while (this.streams.length) {
+        const channel = this.getChannel();
+        if (!channel || channel.readyState !== 'open') {
+          this.close('Channel closed');
+          return;
+        }
+        this.attach(channel);
+        if (channel.bufferedAmount > BUFFER_HIGH_WATER) {
+          await this.drained(channel);
+          continue;
+        }
+        stream = this.streams.shift();
+        channel.send(this.nextFrame(stream));
+        if (stream.done) {
+          stream.resolve(true);
+        } else {
+          this.streams.push(stream);
+        }
+        stream = null;
+      }
+    } catch (error) {
+      console.error('Frame send failed:', error);
+      // The stream being sent is out of the queue, so close() won't reach it
+      if (stream) this.abort(stream, error.message);
+      this.close(error.message);
+    } finally {
+      this.pumping = false;
+    }
+  }
+
+  /**
+   * Make the channel fire bufferedamountlow at BUFFER_LOW_WATER (the default threshold is 0)
+   */
+  attach(channel) {
+    if (channel && channel.bufferedAmountLowThreshold !== BUFFER_LOW_WATER) {
+      channel.bufferedAmountLowThreshold = BUFFER_LOW_WATER;
+    }
+  }
+
+  drained(channel) {
+    return new Promise((resolve) => {
+      const done = () => {
+        clearInterval(poll);
+        channel.removeEventListener('bufferedamountlow', done);
+        channel.removeEventListener('close', done);
+        resolve();
+      };
+      const poll = setInterval(() => {
+        if (this.closed || channel.readyState !== 'open' || channel.bufferedAmount <= BUFFER_LOW_WATER) done();
+      }, DRAIN_POLL);
+      channel.addEventListener('bufferedamountlow', done);
+      channel.addEventListener('close', done);
+    });
+  }
+
+  /**
+   * Drop everything still queued (tries to tell the client which streams were cut off)
+   */
+  close(reason = 'Closed') {
+    this.closed = true;
+    this.streams.splice(0).forEach((stream) => this.abort(stream, reason));
+  }
+
+  abort(stream, reason) {
+    const channel = this.getChannel();
+    if (stream.started && channel && channel.readyState === 'open') {
+      try {
+        channel.send(buildFrame(KIND.ABORT, stream.id, encoder.encode(reason)));
+      } catch (e) {
+        // channel is going away anyway
+      }
+    }
+    stream.resolve(false);
+  }
+}
+
+export { negotiateFrames, FRAME_VERSION };
+export default FrameSender;
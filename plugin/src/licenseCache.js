@@ -0,0 +1,121 @@
+// License Cache
+// The license API (/api/validate-license) returns a signed token alongside its verdict:
+//   base64url(JSON payload) + '.' + base64url(ECDSA P-256 / SHA-256 signature of the first part)
+//   payload: { email, plan, features: [], vaults: [], iat, exp } (timestamps in ms)
+//   vaults: registered vault ids the email may open as a guest (not revoked when the token was issued)
+// Tokens are kept in settings.licenseTokens and verified locally, so a guest whose license and vault
+// access were seen recently can still connect while the API is unreachable (until exp + the grace period).
+// A revocation seen by the plugin drops the guest's token (checkGuestBackend).
+
+const LICENSE_PUBLIC_KEY = {
+  // Must match the signing key configured on the license API
+  kty: 'EC',
+  crv: 'P-256',
+  x: 'pdKiajuhtIVkdbzniY8tTcu_0RdbGcczk2CnIIlFF3w',
+  y: '5EHZhGNNJJWr0B9uTw-dWkwHdxtm-jbcBVRaYrMbg9A'
+};
+const DEFAULT_LICENSE_GRACE_HOURS = 72;
+const MAX_LICENSE_GRACE_HOURS = 30 * 24;
+
+function base64UrlDecode(str) {
+  const base64 = str.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+  return Uint8Array.from(binary, (c) => c.charCodeAt(0));
+}
+
+class LicenseCache {
+  /**
+   * @param {Plugin} plugin - Owner of settings.licenseTokens / licenseGraceHours
+   * @param {Object} publicKey - JWK the tokens are checked against
+   */
+  constructor(plugin, publicKey = LICENSE_PUBLIC_KEY) {
+    this.plugin = plugin;
+    this.publicKey = publicKey;
+    this.key = null; // imported CryptoKey, created on first use
+  }
+
+  get tokens() {
+    const tokens = this.plugin.settings.licenseTokens;
+    if (!tokens || typeof tokens !== 'object' || Array.isArray(tokens)) this.plugin.settings.licenseTokens = {};
+    return this.plugin.settings.licenseTokens;
+  }
+
+  graceMs() {
+    const hours = Number(this.plugin.settings.licenseGraceHours);
+    const clamped = Number.isFinite(hours) ? Math.min(Math.max(hours, 0), MAX_LICENSE_GRACE_HOURS) : DEFAULT_LICENSE_GRACE_HOURS;
+    return clamped * 60 * 60 * 1000;
+  }
+
+  async importKey() {
+    if (!this.key) {
+      this.key = await crypto.subtle.importKey('jwk', this.publicKey, { name: 'ECDSA', namedCurve: 'P-256' }, false, ['verify']);
+    }
+    return this.key;
+  }
+
+  /**
+   * Check a token's signature (not its expiry)
+   * @returns {Promise<Object|null>} The payload, or null if malformed or not signed by the license key
+   */
+  async verify(token) {
+    if (typeof token !== 'string') return null;
+    const [body, signature, extra] = token.split('.');
+    if (!body || !signature || extra !== undefined) return null;
+    try {
+      const valid = await crypto.subtle.verify(
+        { name: 'ECDSA', hash: 'SHA-256' },
+        await this.importKey(),
+        base64UrlDecode(signature),
+        new TextEncoder().encode(body)
+      );
+      if (!valid) return null;
+      const payload = JSON.parse(new TextDecoder().decode(base64UrlDecode(body)));
+      if (!payload || typeof payload.email !== 'string' || !Number.isFinite(payload.exp)) return null;
+      return payload;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Keep a token from the API (ignored unless it verifies and belongs to the email)
+   * @returns {Promise<Object|null>} The payload if stored
+   */
+  async store(email, token) {
+    const payload = await this.verify(token);
+    const key = (email || '').toLowerCase().trim();
+    if (!payload || payload.email.toLowerCase() !== key) return null;
+    this.tokens[key] = token;
+    await this.plugin.saveSettings();
+    return payload;
+  }
+
+  /**
+   * Cached license for an email
+   * @returns {Promise<Object>} { status: 'valid'|'grace'|'expired'|'missing', license (payload|null), expiresAt, graceUntil }
+   */
+  async lookup(email) {
+    const key = (email || '').toLowerCase().trim();
+    const token = this.tokens[key];
+    const license = token ? await this.verify(token) : null;
+    if (!license || license.email.toLowerCase() !== key) {
+      return { status: 'missing', license: null, expiresAt: null, graceUntil: null };
+    }
+    const now = Date.now();
+    const graceUntil = license.exp + this.graceMs();
+    let status = 'expired';
+    if (now <= license.exp) status = 'valid';
+    else if (now <= graceUntil) status = 'grace';
+    return { status, license, expiresAt: license.exp, graceUntil };
+  }
+
+  async forget(email) {
+    const key = (email || '').toLowerCase().trim();
+    if (!(key in this.tokens)) return;
+    delete this.tokens[key];
+    await this.plugin.saveSettings();
+  }
+}
+
+export { LICENSE_PUBLIC_KEY, DEFAULT_LICENSE_GRACE_HOURS };
+export default LicenseCache;
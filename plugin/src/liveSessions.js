@@ -0,0 +1,113 @@
+// Live Session Registry
+// Everyone currently connected: WebRTC peers and signed-in local browsers.
+// Feeds the settings tab and the status bar popover; entries carry their own disconnect/revoke actions.
+
+class LiveSessionRegistry {
+  constructor() {
+    this.entries = new Map(); // id -> entry (see add)
+    this.listeners = new Set();
+  }
+
+  /**
+   * Register a connection
+   * @param {Object} info - { id, kind: 'webrtc'|'http', user, access, label, guestEmail,
+   *   disconnect: () => void, revoke: (() => Promise) | null }
+   * @returns {Object} The stored entry
+   */
+  add(info) {
+    const now = Date.now();
+    const entry = {
+      connectedAt: now,
+      lastSeen: now,
+      lastCommand: null,
+      lastPath: null,
+      commands: 0,
+      bytesIn: 0,
+      bytesOut: 0,
+      revoke: null,
+      ...info
+    };
+    this.entries.set(entry.id, entry);
+    this.emit();
+    return entry;
+  }
+
+  /**
+   * Count a command against a session (called by processCommand)
+   */
+  recordCommand(id, { cmd, path, bytesIn = 0, bytesOut = 0 }) {
+    const entry = id && this.entries.get(id);
+    if (!entry) return;
+    entry.lastSeen = Date.now();
+    if (cmd !== 'PING') {
+      entry.lastCommand = cmd;
+      entry.lastPath = path || null;
+      entry.commands++;
+    }
+    entry.bytesIn += bytesIn;
+    entry.bytesOut += bytesOut;
+    this.emit();
+  }
+
+  remove(id) {
+    if (this.entries.delete(id)) this.emit();
+  }
+
+  get(id) {
+    return this.entries.get(id) || null;
+  }
+
+  /**
+   * Sessions, oldest connection first
+   */
+  list() {
+    return [...this.entries.values()].sort((a, b) => a.connectedAt - b.connectedAt);
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * End a session (the transport's close handler removes the entry)
+   */
+  disconnect(id) {
+    const entry = this.entries.get(id);
+    if (!entry) return false;
+    entry.disconnect();
+    this.remove(id);
+    return true;
+  }
+
+  /**
+   * End a session and withdraw the access it was granted (guests only)
+   */
+  async revoke(id) {
+    const entry = this.entries.get(id);
+    if (!entry || !entry.revoke) return false;
+    await entry.revoke();
+    this.disconnect(id);
+    return true;
+  }
+
+  /**
+   * Listen for changes
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  emit() {
+    this.listeners.forEach((listener) => {
+      try {
+        listener(this);
+      } catch (e) {
+        console.warn('Session listener failed:', e);
+      }
+    });
+  }
+}
+
+export default LiveSessionRegistry;
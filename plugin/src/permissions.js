@@ -0,0 +1,66 @@
+// Command Permissions
+// Central table of the access level every processCommand command needs.
+// Checked once in processCommand, so HTTP and WebRTC clients get the same rules.
+
+const ACCESS = {
+  READ: 'read', // read-only guests
+  WRITE: 'write', // read-write guests
+  ADMIN: 'admin' // vault owner (local web UI, owner over WebRTC)
+};
+
+const LEVELS = { read: 0, write: 1, admin: 2 };
+
+const COMMAND_PERMISSIONS = {
+  // Session
+  PING: ACCESS.READ,
+  HANDSHAKE: ACCESS.READ,
+  BATCH: ACCESS.READ, // each command inside is checked on its own
+
+  // Reading
+  GET_TREE: ACCESS.READ,
+  SEARCH_VAULT: ACCESS.READ,
+  GET_RENDERED_FILE: ACCESS.READ, // creating a missing "ghost link" note additionally needs WRITE
+  GET_FILE: ACCESS.READ,
+  GET_ASSET: ACCESS.READ,
+  OPEN_FILE: ACCESS.READ,
+
+  // Vault changes
+  SAVE_FILE: ACCESS.WRITE,
+  CREATE_FILE: ACCESS.WRITE,
+  UPLOAD_ATTACHMENT: ACCESS.WRITE,
+  CREATE_FOLDER: ACCESS.WRITE,
+  RENAME_FILE: ACCESS.WRITE,
+  DELETE_FILE: ACCESS.WRITE,
+  OPEN_DAILY_NOTE: ACCESS.WRITE, // creates today's note if it doesn't exist
+
+  // Plugin settings
+  SAVE_SEARCH: ACCESS.ADMIN,
+  DELETE_SAVED_SEARCH: ACCESS.ADMIN,
+  CREATE_SHARE_LINK: ACCESS.ADMIN, // public link to one note (shareLinks.js)
+  GET_AUDIT_LOG: ACCESS.ADMIN
+};
+
+/**
+ * Access level a command needs
+ * @returns {string|null} null for unknown commands
+ */
+function requiredAccess(cmd) {
+  return COMMAND_PERMISSIONS[cmd] || null;
+}
+
+/**
+ * Whether a session with the given access level meets a requirement
+ */
+function hasAccess(access, required) {
+  return (LEVELS[access] ?? -1) >= LEVELS[required];
+}
+
+/**
+ * Whether a session may run a command (unknown commands are always refused)
+ */
+function canRun(access, cmd) {
+  const required = requiredAccess(cmd);
+  return required !== null && hasAccess(access, required);
+}
+
+export { ACCESS, COMMAND_PERMISSIONS, requiredAccess, hasAccess, canRun };
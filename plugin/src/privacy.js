@@ -0,0 +1,109 @@
+// Private Notes
+// Notes that never leave the vault through Note Relay, not even for the owner:
+// paths matching the exclusion globs, and notes with "relay: private" in their frontmatter.
+// Attachments only private notes link to are private too.
+
+const PRIVATE_FRONTMATTER_KEY = 'relay';
+const PRIVATE_FRONTMATTER_VALUE = 'private';
+
+/**
+ * Convert a vault glob to a RegExp
+ * `**` crosses folders, `*` and `?` stay inside one path segment
+ */
+function globToRegExp(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === '*' && glob[i + 1] === '*') {
+      // "**/" also matches zero folders
+      if (glob[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (c === '*') {
+      source += '[^/]*';
+    } else if (c === '?') {
+      source += '[^/]';
+    } else {
+      source += c.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Clean the exclusion list from settings (one glob per line or comma-separated)
+ */
+function parsePatterns(value) {
+  return (Array.isArray(value) ? value : String(value || '').split(/[,\n]/))
+    .map((p) => String(p).trim().replace(/\\/g, '/').replace(/^\/+|\/+$/g, ''))
+    .filter(Boolean);
+}
+
+class PrivacyFilter {
+  /**
+   * @param {App} app - Obsidian app (frontmatter lookups)
+   * @param {Function} getPatterns - Returns the current exclusion globs from settings
+   */
+  constructor(app, getPatterns) {
+    this.app = app;
+    this.getPatterns = getPatterns;
+    this.compiled = { key: null, regexes: [] };
+  }
+
+  regexes() {
+    const patterns = parsePatterns(this.getPatterns());
+    const key = patterns.join('\n');
+    if (this.compiled.key !== key) {
+      this.compiled = { key, regexes: patterns.map(globToRegExp) };
+    }
+    return this.compiled.regexes;
+  }
+
+  /**
+   * Whether a path (or any folder above it) matches an exclusion glob
+   * Works for paths that don't exist yet; "Journal/Private" also hides everything inside it
+   */
+  matchesPath(path) {
+    const regexes = this.regexes();
+    if (!path || regexes.length === 0) return false;
+    const parts = path.split('/');
+    for (let i = parts.length; i > 0; i--) {
+      const candidate = parts.slice(0, i).join('/');
+      if (regexes.some((re) => re.test(candidate))) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Whether a note opted out through its frontmatter
+   */
+  isFlagged(path) {
+    if (!path.toLowerCase().endsWith('.md')) return false;
+    const file = this.app.vault.getAbstractFileByPath(path);
+    if (!file) return false;
+    const value = this.app.metadataCache.getFileCache(file)?.frontmatter?.[PRIVATE_FRONTMATTER_KEY];
+    return String(value || '').toLowerCase().trim() === PRIVATE_FRONTMATTER_VALUE;
+  }
+
+  /**
+   * Whether a non-note file is only used by private notes (so it would reveal them)
+   * Files nothing links to stay visible.
+   */
+  isPrivateAttachment(path) {
+    if (path.toLowerCase().endsWith('.md')) return false;
+    const resolved = this.app.metadataCache.resolvedLinks || {};
+    const sources = Object.keys(resolved).filter((source) => resolved[source][path]);
+    return sources.length > 0 && sources.every((source) => this.matchesPath(source) || this.isFlagged(source));
+  }
+
+  isPrivate(path) {
+    return this.matchesPath(path) || this.isFlagged(path) || this.isPrivateAttachment(path);
+  }
+}
+
+export { globToRegExp, parsePatterns };
+export default PrivacyFilter;
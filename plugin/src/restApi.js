@@ -0,0 +1,532 @@
+// REST API (/api/v1)
+// Resource-style routes for scripts and generated clients. Every route is translated into
+// processCommand calls, so it shares the command handlers, permission checks (permissions.js),
+// privacy/scope filtering and the audit log with /api/command.
+// Sign in like the web UI (POST /api/login/challenge, then POST /api/login with a proof from
+// shared/passwordAuth.js computeProof) and send the token as "Authorization: Bearer <token>".
+// The OpenAPI document (/api/v1/openapi.json) is generated from ROUTES and SCHEMAS below.
+
+const express = require('express');
+const obsidian = require('obsidian');
+import SessionStore from './sessions';
+import { ACCESS } from './permissions';
+import { PROTOCOL_VERSION, ERROR_CODES, MAX_BATCH_COMMANDS } from '../../shared/protocol.js';
+
+const API_PREFIX = '/api/v1';
+const API_VERSION = '1.0.0';
+
+// ERROR codes (shared/protocol.js) -> HTTP status
+const HTTP_STATUS = {
+  [ERROR_CODES.BAD_REQUEST]: 400,
+  [ERROR_CODES.UNKNOWN_COMMAND]: 404,
+  [ERROR_CODES.UNSUPPORTED_VERSION]: 400,
+  [ERROR_CODES.READ_ONLY]: 403,
+  [ERROR_CODES.FORBIDDEN]: 403,
+  [ERROR_CODES.ACCESS_DENIED]: 401,
+  [ERROR_CODES.RATE_LIMITED]: 429,
+  [ERROR_CODES.INVALID_PATH]: 400,
+  [ERROR_CODES.NOT_FOUND]: 404,
+  [ERROR_CODES.ALREADY_EXISTS]: 409,
+  [ERROR_CODES.MEDIA_DISABLED]: 403,
+  [ERROR_CODES.RANGE_NOT_SATISFIABLE]: 416,
+  [ERROR_CODES.TOO_LARGE]: 413,
+  [ERROR_CODES.UNAVAILABLE]: 503,
+  [ERROR_CODES.INTERNAL]: 500
+};
+
+class ApiError extends Error {
+  /**
+   * @param {Object} error - ERROR data: { code, message, field? }
+   * @param {number} status - Overrides the status derived from the code
+   */
+  constructor(error, status = null) {
+    super(error.message);
+    this.error = error;
+    this.status = status || HTTP_STATUS[error.code] || 500;
+  }
+}
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const json = (description, schema) => ({ description, content: { 'application/json': { schema } } });
+const PATH_PARAM = {
+  name: 'path',
+  in: 'path',
+  required: true,
+  description: 'Vault path of the note, e.g. Projects/Plan.md (slashes may be sent as-is or as %2F)',
+  schema: { type: 'string' }
+};
+const ERRORS = {
+  400: json('Malformed request', ref('Error')),
+  401: json('Missing, expired or revoked session token', ref('Error')),
+  403: json('Read-only session, owner-only operation or path outside the shared vault', ref('Error')),
+  404: json('Not found (private and out-of-scope notes look missing too)', ref('Error'))
+};
+
+/**
+ * Component schemas for the OpenAPI document
+ */
+const SCHEMAS = {
+  Error: {
+    type: 'object',
+    required: ['error'],
+    properties: {
+      error: {
+        type: 'object',
+        required: ['code', 'message'],
+        properties: {
+          code: { type: 'string', enum: Object.values(ERROR_CODES) },
+          message: { type: 'string' },
+          field: { type: 'string', description: 'Request field that failed validation' }
+        }
+      }
+    }
+  },
+  Note: {
+    type: 'object',
+    properties: {
+      path: { type: 'string' },
+      content: { type: 'string', description: 'Markdown source' },
+      hash: { type: 'string', description: 'SHA-256 of the content; send as baseHash to detect concurrent edits' },
+      mtime: { type: 'integer', description: 'Last modified (ms since epoch)' },
+      backlinks: { type: 'array', items: { type: 'string' } }
+    }
+  },
+  RenderedNote: {
+    type: 'object',
+    properties: {
+      path: { type: 'string' },
+      html: { type: 'string' },
+      frontmatter: { type: 'object', nullable: true, additionalProperties: true },
+      backlinks: { type: 'array', items: { type: 'string' } }
+    }
+  },
+  NoteWrite: {
+    type: 'object',
+    required: ['content'],
+    properties: {
+      content: { type: 'string' },
+      baseHash: { type: 'string', description: 'hash from GET; the write fails with 409 if the note changed since' }
+    }
+  },
+  NotePatch: {
+    type: 'object',
+    properties: {
+      newPath: { type: 'string', description: 'Rename or move the note' },
+      append: { type: 'string', description: 'Text added to the end of the note' }
+    }
+  },
+  SavedNote: {
+    type: 'object',
+    properties: {
+      path: { type: 'string' },
+      hash: { type: 'string' },
+      mtime: { type: 'integer' },
+      created: { type: 'boolean' }
+    }
+  },
+  Conflict: {
+    type: 'object',
+    properties: {
+      error: { type: 'object', properties: { code: { type: 'string', enum: ['CONFLICT'] }, message: { type: 'string' } } },
+      conflict: { type: 'object', additionalProperties: true, description: 'Current version of the note (path, content, hash, mtime)' }
+    }
+  },
+  Folders: { type: 'object', properties: { folders: { type: 'array', items: { type: 'string' } } } },
+  FolderCreate: { type: 'object', required: ['path'], properties: { path: { type: 'string' } } },
+  SearchResults: {
+    type: 'object',
+    properties: {
+      query: { type: 'string' },
+      total: { type: 'integer' },
+      offset: { type: 'integer' },
+      limit: { type: 'integer' },
+      results: { type: 'array', items: { type: 'object', additionalProperties: true } },
+      error: { type: 'string', description: 'Query syntax error' }
+    }
+  },
+  Tags: {
+    type: 'object',
+    properties: {
+      tags: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: { tag: { type: 'string' }, count: { type: 'integer' }, notes: { type: 'array', items: { type: 'string' } } }
+        }
+      }
+    }
+  },
+  Link: {
+    type: 'object',
+    properties: {
+      source: { type: 'string' },
+      link: { type: 'string', description: 'Link text as written in the note' },
+      target: { type: 'string', nullable: true, description: 'Resolved vault path, null if unresolved' }
+    }
+  },
+  Links: {
+    type: 'object',
+    properties: {
+      path: { type: 'string', description: 'Only with ?path=' },
+      links: { type: 'array', items: ref('Link') },
+      backlinks: { type: 'array', items: { type: 'string' }, description: 'Only with ?path=' }
+    }
+  }
+};
+
+/**
+ * Every route: Express method, OpenAPI path (relative to /api/v1), the RestApi method handling it
+ * and its OpenAPI operation
+ */
+const ROUTES = [
+  {
+    method: 'get',
+    path: '/notes/{path}',
+    handler: 'getNote',
+    operation: {
+      operationId: 'getNote',
+      summary: 'Read a note (Markdown, or rendered HTML with ?format=html)',
+      tags: ['Notes'],
+      parameters: [PATH_PARAM, { name: 'format', in: 'query', schema: { type: 'string', enum: ['markdown', 'html'], default: 'markdown' } }],
+      responses: { 200: json('The note', { oneOf: [ref('Note'), ref('RenderedNote')] }), ...ERRORS }
+    }
+  },
+  {
+    method: 'put',
+    path: '/notes/{path}',
+    handler: 'putNote',
+    operation: {
+      operationId: 'putNote',
+      summary: 'Create or replace a note',
+      description: 'Send JSON ({ content, baseHash? }) or the raw Markdown as text/markdown or text/plain.',
+      tags: ['Notes'],
+      parameters: [PATH_PARAM],
+      requestBody: {
+        required: true,
+        content: {
+          'application/json': { schema: ref('NoteWrite') },
+          'text/markdown': { schema: { type: 'string' } },
+          'text/plain': { schema: { type: 'string' } }
+        }
+      },
+      responses: {
+        200: json('Note replaced', ref('SavedNote')),
+        201: json('Note created', ref('SavedNote')),
+        409: json('The note changed since baseHash', ref('Conflict')),
+        ...ERRORS
+      }
+    }
+  },
+  {
+    method: 'patch',
+    path: '/notes/{path}',
+    handler: 'patchNote',
+    operation: {
+      operationId: 'patchNote',
+      summary: 'Rename/move a note and/or append text to it',
+      tags: ['Notes'],
+      parameters: [PATH_PARAM],
+      requestBody: { required: true, content: { 'application/json': { schema: ref('NotePatch') } } },
+      responses: {
+        200: json('Note updated', ref('SavedNote')),
+        409: json('Target exists, or the note changed while appending (nothing is changed in either case)', ref('Conflict')),
+        ...ERRORS
+      }
+    }
+  },
+  {
+    method: 'delete',
+    path: '/notes/{path}',
+    handler: 'deleteNote',
+    operation: {
+      operationId: 'deleteNote',
+      summary: 'Move a note to the trash',
+      tags: ['Notes'],
+      parameters: [PATH_PARAM],
+      responses: { 204: { description: 'Deleted' }, ...ERRORS }
+    }
+  },
+  {
+    method: 'get',
+    path: '/folders',
+    handler: 'listFolders',
+    operation: {
+      operationId: 'listFolders',
+      summary: 'List folders',
+      tags: ['Folders'],
+      responses: { 200: json('Folder paths', ref('Folders')), 401: ERRORS[401] }
+    }
+  },
+  {
+    method: 'post',
+    path: '/folders',
+    handler: 'createFolder',
+    operation: {
+      operationId: 'createFolder',
+      summary: 'Create a folder',
+      tags: ['Folders'],
+      requestBody: { required: true, content: { 'application/json': { schema: ref('FolderCreate') } } },
+      responses: { 201: json('Folder created', ref('FolderCreate')), 409: json('Folder exists', ref('Error')), ...ERRORS }
+    }
+  },
+  {
+    method: 'get',
+    path: '/search',
+    handler: 'search',
+    operation: {
+      operationId: 'search',
+      summary: 'Search notes (same query syntax as the web UI)',
+      tags: ['Search'],
+      parameters: [
+        { name: 'q', in: 'query', required: true, schema: { type: 'string' } },
+        { name: 'offset', in: 'query', schema: { type: 'integer', minimum: 0, default: 0 } },
+        { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 100, default: 20 } }
+      ],
+      responses: { 200: json('One page of results', ref('SearchResults')), ...ERRORS }
+    }
+  },
+  {
+    method: 'get',
+    path: '/tags',
+    handler: 'listTags',
+    operation: {
+      operationId: 'listTags',
+      summary: 'Tags with the notes using them, most used first',
+      tags: ['Metadata'],
+      responses: { 200: json('Tags', ref('Tags')), 401: ERRORS[401] }
+    }
+  },
+  {
+    method: 'get',
+    path: '/links',
+    handler: 'listLinks',
+    operation: {
+      operationId: 'listLinks',
+      summary: 'Link graph of the vault, or one note\'s outgoing links and backlinks',
+      tags: ['Metadata'],
+      parameters: [{ name: 'path', in: 'query', description: 'Limit to this note', schema: { type: 'string' } }],
+      responses: { 200: json('Links', ref('Links')), ...ERRORS }
+    }
+  }
+];
+
+class RestApi {
+  /**
+   * @param {Plugin} plugin - Provides processCommand, sessions and the vault
+   */
+  constructor(plugin) {
+    this.plugin = plugin;
+  }
+
+  /**
+   * Mount the routes on the Express app
+   */
+  register(app) {
+    app.get(`${API_PREFIX}/openapi.json`, (req, res) => {
+      res.json(this.openApiDocument(`${req.protocol}://${req.get('host')}${API_PREFIX}`));
+    });
+
+    const textBody = express.text({ type: ['text/markdown', 'text/plain'], limit: '50mb' });
+    ROUTES.forEach((route) => {
+      // /notes/{path} -> /notes/*path (note paths contain slashes)
+      const expressPath = API_PREFIX + route.path.replace('{path}', '*path');
+      app[route.method](expressPath, textBody, async (req, res) => {
+        const session = this.plugin.sessions.validate(SessionStore.tokenFromRequest(req));
+        if (!session) {
+          return this.sendError(res, new ApiError({ code: ERROR_CODES.ACCESS_DENIED, message: 'Missing or expired session token (POST /api/login)' }));
+        }
+        try {
+          const pathParam = Array.isArray(req.params.path) ? req.params.path.join('/') : req.params.path;
+          await this[route.handler](session, req, res, pathParam);
+        } catch (error) {
+          if (!(error instanceof ApiError)) console.error(`❌ REST ${route.method.toUpperCase()} ${route.path}:`, error);
+          this.sendError(res, error instanceof ApiError ? error : new ApiError({ code: ERROR_CODES.INTERNAL, message: error.message }));
+        }
+      });
+    });
+  }
+
+  sendError(res, error) {
+    if (res.headersSent) return;
+    res.status(error.status).json({ error: error.error });
+  }
+
+  /**
+   * Run one command as the session (same context as /api/command)
+   * @returns {Promise<Object>} Final response { type, data, meta }; ERROR responses throw ApiError
+   */
+  async run(session, msg) {
+    let last = null;
+    await this.plugin.processCommand({ protocolVersion: PROTOCOL_VERSION, ...msg }, (type, data, meta) => {
+      last = { type, data, meta: meta || {} };
+    }, {
+      access: session.readOnly ? ACCESS.READ : ACCESS.ADMIN,
+      user: session.user,
+      transport: 'REST',
+      liveSessionId: session.id
+    });
+    if (!last) throw new ApiError({ code: ERROR_CODES.INTERNAL, message: `${msg.cmd} sent no response` });
+    if (last.type === 'ERROR') throw new ApiError(last.data);
+    if (last.type === 'BATCH_RESULT') {
+      const failed = last.data.results.find((result) => result.status === 'error');
+      if (failed && failed.type === 'ERROR') throw new ApiError(failed.data);
+    }
+    return last;
+  }
+
+  notePath(path) {
+    if (!path || !path.toLowerCase().endsWith('.md')) {
+      throw new ApiError({ code: ERROR_CODES.BAD_REQUEST, message: 'Note paths must end in .md', field: 'path' });
+    }
+    return path;
+  }
+
+  conflict(res, data) {
+    res.status(409).json({ error: { code: 'CONFLICT', message: 'The note changed since baseHash' }, conflict: data });
+  }
+
+  async getNote(session, req, res, path) {
+    this.notePath(path);
+    if (req.query.format === 'html') {
+      const { data } = await this.run(session, { cmd: 'GET_RENDERED_FILE', path });
+      return res.json({ path, html: data.html, frontmatter: data.yaml || null, backlinks: data.backlinks || [] });
+    }
+    const { data } = await this.run(session, { cmd: 'GET_FILE', path });
+    res.json({ path, content: data.data, hash: data.hash, mtime: data.mtime, backlinks: data.backlinks });
+  }
+
+  async putNote(session, req, res, path) {
+    this.notePath(path);
+    const body = typeof req.body === 'string' ? { content: req.body } : (req.body || {});
+    if (typeof body.content !== 'string') {
+      throw new ApiError({ code: ERROR_CODES.BAD_REQUEST, message: 'content is required', field: 'content' });
+    }
+
+    // SAVE_FILE with create writes the note without rendering it (CREATE_FILE answers with the rendered note)
+    const result = await this.run(session, { cmd: 'SAVE_FILE', path, data: body.content, baseHash: body.baseHash, create: !body.baseHash });
+    if (result.type === 'CONFLICT') return this.conflict(res, result.data);
+    const created = !!result.data.created;
+    res.status(created ? 201 : 200).json({ ...result.data, created });
+  }
+
+  async patchNote(session, req, res, path) {
+    this.notePath(path);
+    const { newPath, append } = req.body || {};
+    if (newPath === undefined && append === undefined) {
+      throw new ApiError({ code: ERROR_CODES.BAD_REQUEST, message: 'Send newPath and/or append' });
+    }
+    if (append !== undefined && typeof append !== 'string') {
+      throw new ApiError({ code: ERROR_CODES.BAD_REQUEST, message: 'append must be a string', field: 'append' });
+    }
+
+    if (newPath !== undefined) this.notePath(newPath);
+    if (append === undefined) {
+      const { data } = await this.run(session, { cmd: 'RENAME_FILE', path, data: { newPath } });
+      return res.json(data);
+    }
+
+    // Read-modify-write guarded by the hash, so a concurrent edit turns into a 409 instead of being lost.
+    // With a rename too, both run as one sequential batch: a failed rename undoes the append.
+    const { data: note } = await this.run(session, { cmd: 'GET_FILE', path });
+    const save = { cmd: 'SAVE_FILE', path, data: note.data + append, baseHash: note.hash };
+    const commands = newPath === undefined ? [save] : [save, { cmd: 'RENAME_FILE', path, data: { newPath } }];
+    const { data: batch } = await this.run(session, { cmd: 'BATCH', mode: 'sequential', commands });
+    const [saved, renamed] = batch.results;
+    if (saved.type === 'CONFLICT') return this.conflict(res, saved.data);
+    res.json(renamed ? { ...saved.data, path: renamed.data.path } : saved.data);
+  }
+
+  async deleteNote(session, req, res, path) {
+    this.notePath(path);
+    await this.run(session, { cmd: 'DELETE_FILE', path });
+    res.status(204).end();
+  }
+
+  async listFolders(session, req, res) {
+    const { data } = await this.run(session, { cmd: 'GET_TREE' });
+    res.json({ folders: data.folders });
+  }
+
+  async createFolder(session, req, res) {
+    const { data } = await this.run(session, { cmd: 'CREATE_FOLDER', path: req.body?.path });
+    res.status(201).json({ path: data.path });
+  }
+
+  async search(session, req, res) {
+    if (typeof req.query.q !== 'string') {
+      throw new ApiError({ code: ERROR_CODES.BAD_REQUEST, message: 'q is required', field: 'q' });
+    }
+    const intParam = (name) => (req.query[name] === undefined ? undefined : Number(req.query[name]));
+    const { data } = await this.run(session, {
+      cmd: 'SEARCH_VAULT',
+      data: { query: req.query.q, offset: intParam('offset'), limit: Math.min(intParam('limit') ?? 20, 100) }
+    });
+    res.json(data);
+  }
+
+  async listTags(session, req, res) {
+    const { data } = await this.run(session, { cmd: 'GET_TREE' });
+    const tags = new Map();
+    data.files.forEach((file) => file.tags.forEach((tag) => {
+      if (!tags.has(tag)) tags.set(tag, []);
+      tags.get(tag).push(file.path);
+    }));
+    const list = [...tags.entries()]
+      .map(([tag, notes]) => ({ tag, count: notes.length, notes }))
+      .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+    res.json({ tags: list });
+  }
+
+  async listLinks(session, req, res) {
+    const { data } = await this.run(session, { cmd: 'GET_TREE' });
+    const { metadataCache } = this.plugin.app;
+    // GET_TREE already dropped links into notes this session can't see
+    const links = data.files.flatMap((file) => file.links.map((link) => {
+      const dest = metadataCache.getFirstLinkpathDest(obsidian.getLinkpath(link), file.path);
+      return { source: file.path, link, target: dest ? dest.path : null };
+    }));
+
+    const path = req.query.path;
+    if (path === undefined) return res.json({ links });
+    if (!data.files.some((file) => file.path === path)) {
+      throw new ApiError({ code: ERROR_CODES.NOT_FOUND, message: 'File not found' });
+    }
+    res.json({
+      path,
+      links: links.filter((link) => link.source === path),
+      backlinks: [...new Set(links.filter((link) => link.target === path).map((link) => link.source))]
+    });
+  }
+
+  /**
+   * OpenAPI 3.0 description of ROUTES
+   * @param {string} serverUrl - Base URL the document was requested from
+   */
+  openApiDocument(serverUrl) {
+    const paths = {};
+    ROUTES.forEach((route) => {
+      paths[route.path] = paths[route.path] || {};
+      paths[route.path][route.method] = route.operation;
+    });
+    return {
+      openapi: '3.0.3',
+      info: {
+        title: 'Note Relay Vault API',
+        version: API_VERSION,
+        description: 'REST access to an Obsidian vault served by the Note Relay plugin. Get a token with POST /api/login/challenge ' +
+          'and POST /api/login (challenge-response, see shared/passwordAuth.js in the plugin repository) and send it as a Bearer token. ' +
+          `Read-only sessions can only use GET. Several changes in one request: POST /api/command with { cmd: 'BATCH' } (max ${MAX_BATCH_COMMANDS} commands).`
+      },
+      servers: [{ url: serverUrl }],
+      security: [{ bearerAuth: [] }],
+      paths,
+      components: {
+        securitySchemes: { bearerAuth: { type: 'http', scheme: 'bearer', description: 'Session token from POST /api/login' } },
+        schemas: SCHEMAS
+      }
+    };
+  }
+}
+
+export { API_PREFIX, ROUTES };
+export default RestApi;
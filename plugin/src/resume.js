@@ -0,0 +1,105 @@
+// Resumable WebRTC Sessions
+// After a successful login the host hands the client a resume token (HANDSHAKE_ACK.resumeToken).
+// If the connection drops (network switch, ICE failure), the client opens a new peer and sends
+// { cmd: 'RESUME', resumeToken } instead of logging in again. Tokens are single use: every resume
+// returns a fresh one. While a session is suspended, vault events it would have received are
+// buffered so the client can catch up; past the buffer limit it is told to reload instead.
+// The client half (token storage, RESUME, replaying offline edits) is shared/resumeClient.js.
+
+import { randomBytes } from 'crypto';
+
+const RESUME_TTL = 10 * 60 * 1000; // how long a dropped session can be picked up again
+const MAX_MISSED_EVENTS = 200;
+
+class ResumableSessions {
+  constructor() {
+    this.sessions = new Map(); // token -> { state, peer, suspendedAt, timer, missed, overflowed }
+  }
+
+  /**
+   * Register an authenticated connection
+   * @param {Object} state - Everything needed to restore it: { user, identity, access, readOnly,
+   *   scope (GuestScope|null), guestEmail, guestUserId, label, liveSessionId, shownPaths }
+   * @param {Object} peer - The live peer (replaced on resume)
+   * @returns {string} Resume token
+   */
+  issue(state, peer) {
+    const token = randomBytes(32).toString('base64url');
+    this.sessions.set(token, { state, peer, suspendedAt: null, timer: null, missed: [], overflowed: false });
+    return token;
+  }
+
+  /**
+   * The connection dropped: keep the session for RESUME_TTL and start buffering events
+   */
+  suspend(token) {
+    const session = token && this.sessions.get(token);
+    if (!session || session.suspendedAt) return;
+    session.peer = null;
+    session.suspendedAt = Date.now();
+    session.timer = setTimeout(() => this.sessions.delete(token), RESUME_TTL);
+  }
+
+  /**
+   * Take over a session from a new peer
+   * @returns {Object|null} { token (new), state, previousPeer, missedEvents, resync } or null if unknown/expired
+   */
+  resume(token, peer) {
+    const session = token && this.sessions.get(token);
+    if (!session) return null;
+    this.sessions.delete(token);
+    if (session.timer) clearTimeout(session.timer);
+
+    // The old peer may not have noticed the drop yet (ICE still "disconnected"); the caller closes it
+    const previousPeer = session.peer;
+    const next = this.issue(session.state, peer);
+    return {
+      token: next,
+      state: session.state,
+      previousPeer,
+      missedEvents: session.overflowed ? [] : session.missed,
+      resync: session.overflowed
+    };
+  }
+
+  /**
+   * Queue a vault event for suspended sessions
+   * @param {Function} scopeFor - (state) => payload visible to that session, or null
+   */
+  bufferEvent(scopeFor) {
+    this.sessions.forEach((session) => {
+      if (!session.suspendedAt || session.overflowed) return;
+      const payload = scopeFor(session.state);
+      if (!payload) return;
+      if (session.missed.length >= MAX_MISSED_EVENTS) {
+        session.overflowed = true;
+        session.missed = [];
+        return;
+      }
+      session.missed.push(payload);
+    });
+  }
+
+  revoke(token) {
+    const session = token && this.sessions.get(token);
+    if (!session) return;
+    if (session.timer) clearTimeout(session.timer);
+    this.sessions.delete(token);
+  }
+
+  /**
+   * Drop every session matching a predicate (e.g. a revoked guest)
+   */
+  revokeWhere(predicate) {
+    [...this.sessions.entries()].forEach(([token, session]) => {
+      if (predicate(session.state)) this.revoke(token);
+    });
+  }
+
+  revokeAll() {
+    this.revokeWhere(() => true);
+  }
+}
+
+export { RESUME_TTL };
+export default ResumableSessions;
@@ -0,0 +1,176 @@
+// Guest Scope
+// Limits a guest to parts of the vault: allow/deny lists of folders and tags.
+// An empty allow list means "everything"; deny rules always win.
+// Private notes (privacy.js) are hidden on top of the rules, for guests and the owner alike.
+
+const obsidian = require('obsidian');
+
+const normalizeFolder = (folder) => folder.trim().replace(/\\/g, '/').replace(/^\/+|\/+$/g, '');
+const normalizeTag = (tag) => {
+  const clean = tag.trim().toLowerCase();
+  return clean.startsWith('#') ? clean : '#' + clean;
+};
+
+/**
+ * Clean a scope from settings (strings split on commas/newlines, folders without slashes, tags with #)
+ * @returns {Object} { allowFolders, denyFolders, allowTags, denyTags }
+ */
+function normalizeScope(scope = {}) {
+  const list = (value) => (Array.isArray(value) ? value : String(value || '').split(/[,\n]/))
+    .map((v) => String(v).trim())
+    .filter(Boolean);
+  return {
+    allowFolders: list(scope.allowFolders).map(normalizeFolder).filter(Boolean),
+    denyFolders: list(scope.denyFolders).map(normalizeFolder).filter(Boolean),
+    allowTags: list(scope.allowTags).map(normalizeTag),
+    denyTags: list(scope.denyTags).map(normalizeTag)
+  };
+}
+
+/**
+ * Whether a scope restricts anything at all
+ */
+function isScopeRestricted(scope) {
+  if (!scope) return false;
+  const s = normalizeScope(scope);
+  return s.allowFolders.length + s.denyFolders.length + s.allowTags.length + s.denyTags.length > 0;
+}
+
+/**
+ * One-line description for the settings table
+ */
+function describeScope(scope) {
+  if (!isScopeRestricted(scope)) return 'Whole vault';
+  const s = normalizeScope(scope);
+  const parts = [];
+  if (s.allowFolders.length || s.allowTags.length) parts.push('Only ' + [...s.allowFolders.map((f) => f + '/'), ...s.allowTags].join(', '));
+  if (s.denyFolders.length || s.denyTags.length) parts.push('Except ' + [...s.denyFolders.map((f) => f + '/'), ...s.denyTags].join(', '));
+  return parts.join('; ');
+}
+
+class GuestScope {
+  /**
+   * @param {App} app - Obsidian app (metadata cache for tags and links)
+   * @param {Object} scope - Raw scope from the guest entry (null for the owner)
+   * @param {PrivacyFilter} privacy - Private-note exclusions, if any
+   */
+  constructor(app, scope, privacy = null) {
+    this.app = app;
+    this.rules = normalizeScope(scope || {});
+    this.privacy = privacy;
+    this.attachmentCache = new Map(); // non-markdown path -> allowed (linked from an allowed note)
+  }
+
+  /**
+   * Forget cached attachment decisions (links changed)
+   */
+  invalidate() {
+    this.attachmentCache.clear();
+  }
+
+  inFolder(path, folders) {
+    return folders.some((folder) => path === folder || path.startsWith(folder + '/'));
+  }
+
+  tagsOf(path) {
+    const file = this.app.vault.getAbstractFileByPath(path);
+    if (!file || file.extension !== 'md') return [];
+    const cache = this.app.metadataCache.getFileCache(file);
+    return cache ? (obsidian.getAllTags(cache) || []).map((t) => t.toLowerCase()) : [];
+  }
+
+  hasTag(tags, wanted) {
+    return tags.some((tag) => wanted.some((w) => tag === w || tag.startsWith(w + '/')));
+  }
+
+  /**
+   * Path-only check for files that don't exist yet (new notes, deleted files): folder rules only
+   */
+  allowsPath(path) {
+    const { allowFolders, denyFolders, allowTags } = this.rules;
+    if (this.privacy && this.privacy.matchesPath(path)) return false;
+    if (this.inFolder(path, denyFolders)) return false;
+    if (allowFolders.length === 0) return allowTags.length === 0;
+    return this.inFolder(path, allowFolders);
+  }
+
+  /**
+   * Whether the guest may see a vault file
+   * Attachments outside the allowed folders are visible when an allowed note links to them.
+   */
+  allows(path) {
+    if (!path) return false;
+    const { allowFolders, denyFolders, allowTags, denyTags } = this.rules;
+    if (this.privacy && this.privacy.isPrivate(path)) return false;
+    if (this.inFolder(path, denyFolders)) return false;
+
+    const isNote = path.toLowerCase().endsWith('.md');
+    if (!isNote) return this.allowsAttachment(path);
+
+    const tags = this.tagsOf(path);
+    if (this.hasTag(tags, denyTags)) return false;
+    if (allowFolders.length === 0 && allowTags.length === 0) return true;
+    return this.inFolder(path, allowFolders) || this.hasTag(tags, allowTags);
+  }
+
+  allowsAttachment(path) {
+    const { allowFolders, allowTags } = this.rules;
+    if (allowFolders.length === 0 && allowTags.length === 0) return true;
+    if (this.inFolder(path, allowFolders)) return true;
+
+    if (!this.attachmentCache.has(path)) {
+      const resolved = this.app.metadataCache.resolvedLinks;
+      const linked = Object.keys(resolved).some((source) => resolved[source][path] && this.allows(source));
+      this.attachmentCache.set(path, linked);
+    }
+    return this.attachmentCache.get(path);
+  }
+
+  /**
+   * Whether a folder should appear in the tree (it is allowed or leads to something allowed)
+   */
+  allowsFolder(folderPath, visibleFiles) {
+    if (this.privacy && this.privacy.matchesPath(folderPath)) return false;
+    if (this.inFolder(folderPath, this.rules.denyFolders)) return false;
+    if (this.allowsPath(folderPath + '/')) return true;
+    return visibleFiles.some((path) => path.startsWith(folderPath + '/')) ||
+      this.rules.allowFolders.some((folder) => folder.startsWith(folderPath + '/'));
+  }
+
+  /**
+   * Neutralise links and embeds pointing outside the scope in rendered HTML
+   * Both become a placeholder: a link's text is usually the note's title (dataview lists and tables
+   * render nothing but titles), so it can't be kept
+   * @param {HTMLElement} root - Rendered note
+   * @param {string} sourcePath - Note the HTML was rendered from (for link resolution)
+   */
+  sanitizeRendered(root, sourcePath) {
+    const resolve = (linktext) => {
+      const target = this.app.metadataCache.getFirstLinkpathDest(obsidian.getLinkpath(linktext), sourcePath);
+      return target ? target.path : null;
+    };
+
+    root.querySelectorAll('.internal-embed').forEach((embed) => {
+      const target = resolve(embed.getAttribute('src') || '');
+      // Unresolved embeds keep Obsidian's own "not created yet" rendering
+      if (!target || this.allows(target)) return;
+      const placeholder = document.createElement('span');
+      placeholder.className = 'internal-embed is-restricted';
+      placeholder.textContent = '🔒 Restricted';
+      embed.replaceWith(placeholder);
+    });
+
+    root.querySelectorAll('a.internal-link').forEach((link) => {
+      const target = resolve(link.getAttribute('data-href') || link.getAttribute('href') || '');
+      // Unresolved links are harmless (and may become notes the guest creates)
+      if (!target || this.allows(target)) return;
+      const placeholder = document.createElement('span');
+      placeholder.className = 'internal-link is-restricted';
+      placeholder.textContent = '🔒 Restricted';
+      link.replaceWith(placeholder);
+    });
+  }
+}
+
+export { normalizeScope, isScopeRestricted, describeScope };
+export default GuestScope;
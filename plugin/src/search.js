@@ -0,0 +1,230 @@
+// Full-Text Vault Search
+// Ranks markdown notes by body/title matches and builds highlighted line snippets
+// Query syntax (tag:, path:, line:(...), OR, -negation, /regex/) lives in shared/searchQuery.js
+
+const obsidian = require('obsidian');
+import { parseQuery, evaluateQuery, queryNeedsContent, collectHighlightTerms, SearchQueryError } from '../../shared/searchQuery.js';
+
+const SNIPPET_RADIUS = 80; // characters of context on each side of the first hit
+const MAX_SNIPPETS_PER_FILE = 3;
+const YIELD_EVERY = 200; // files scanned between yields to keep Obsidian responsive
+const CACHE_TTL = 60 * 1000;
+
+class VaultSearch {
+  constructor(app) {
+    this.app = app;
+    this.cache = null; // { key, results, createdAt } - last full result set, for paging
+  }
+
+  /**
+   * Drop cached results (called whenever the vault changes)
+   */
+  invalidate() {
+    this.cache = null;
+  }
+
+  /**
+   * Run a search and return one page of ranked results
+   * @param {string} query - Raw user input
+   * @param {Object} options - { offset, limit, filter: (path) => boolean, allowRegex: accept /regex/ terms }
+   * @returns {Promise<Object>} { query, total, offset, limit, results, error? }
+   */
+  async search(query, { offset = 0, limit = 20, filter = null, allowRegex = false } = {}) {
+    const key = (query || '').trim();
+    if (!key) {
+      return { query: key, total: 0, offset, limit, results: [] };
+    }
+
+    // Parsed even on a cache hit: the cache is shared, allowRegex is per caller
+    let ast;
+    try {
+      ast = parseQuery(key, { allowRegex });
+    } catch (e) {
+      if (!(e instanceof SearchQueryError)) throw e;
+      return { query: key, total: 0, offset, limit, results: [], error: e.message };
+    }
+
+    let results;
+    if (this.cache && this.cache.key === key && Date.now() - this.cache.createdAt < CACHE_TTL) {
+      results = this.cache.results;
+    } else {
+      results = await this.scan(ast);
+      this.cache = { key, results, createdAt: Date.now() };
+    }
+
+    // Applied after the (shared) cache so scoped guests never page through hidden notes
+    if (filter) results = results.filter((r) => filter(r.path));
+
+    return {
+      query: key,
+      total: results.length,
+      offset,
+      limit,
+      results: results.slice(offset, offset + limit)
+    };
+  }
+
+  /**
+   * Scan every markdown file and rank the ones matching the query
+   * @param {Object} ast - Parsed query from parseQuery
+   */
+  async scan(ast) {
+    if (!ast) return [];
+
+    const files = this.app.vault.getMarkdownFiles();
+    const needsContent = queryNeedsContent(ast);
+    const { terms, regexes } = collectHighlightTerms(ast);
+    const results = [];
+
+    for (let i = 0; i < files.length; i++) {
+      if (i > 0 && i % YIELD_EVERY === 0) {
+        await new Promise((r) => setTimeout(r, 0));
+      }
+
+      const file = files[i];
+      // Metadata-only queries (tag:/path:/file:) never touch the disk
+      const content = needsContent ? await this.app.vault.cachedRead(file) : null;
+      const ctx = this.buildContext(file, content);
+      if (!evaluateQuery(ast, ctx)) continue;
+
+      results.push(this.rankFile(file, content || '', terms, regexes));
+    }
+
+    results.sort((a, b) => b.score - a.score || a.path.localeCompare(b.path));
+    return results;
+  }
+
+  /**
+   * Build the evaluation context for shared/searchQuery.js from the metadata cache
+   * @returns {Object} { path, name, content, tags, sections, tasks }
+   */
+  buildContext(file, content) {
+    const cache = this.app.metadataCache.getFileCache(file);
+    const tags = cache ? [...new Set(obsidian.getAllTags(cache) || [])] : [];
+    const ctx = { path: file.path, name: file.name, content, tags, sections: [], tasks: [] };
+    if (content === null) return ctx;
+
+    const lines = content.split('\n');
+
+    // Sections: text between consecutive headings (preamble counts as its own section)
+    const headingLines = (cache?.headings || []).map((h) => h.position.start.line);
+    const bounds = [0, ...headingLines.filter((l) => l > 0), lines.length];
+    for (let i = 0; i < bounds.length - 1; i++) {
+      ctx.sections.push(lines.slice(bounds[i], bounds[i + 1]).join('\n'));
+    }
+
+    // Tasks: list items with a checkbox (task is ' ' when open)
+    (cache?.listItems || []).forEach((item) => {
+      if (item.task === undefined) return;
+      const raw = lines[item.position.start.line] || '';
+      ctx.tasks.push({
+        text: raw.replace(/^\s*(?:[-*+]|\d+[.)])\s+\[.\]\s*/, ''),
+        done: item.task !== ' '
+      });
+    });
+
+    return ctx;
+  }
+
+  /**
+   * Score a matching file and collect its highlighted lines
+   * @returns {Object} { path, score, matchCount, matches }
+   */
+  rankFile(file, content, terms, regexes) {
+    const lowerContent = content.toLowerCase();
+    const lowerTitle = file.basename.toLowerCase();
+
+    let score = 0;
+    let matchCount = 0;
+
+    terms.forEach((term) => {
+      const count = this.countOccurrences(lowerContent, term);
+      matchCount += count;
+      // Diminishing returns so one long note doesn't drown out everything else
+      score += Math.log2(1 + count);
+      if (lowerTitle.includes(term)) score += 5;
+      if (lowerTitle === term) score += 5;
+    });
+
+    regexes.forEach((re) => {
+      const count = (content.match(new RegExp(re.source, re.flags + 'g')) || []).length;
+      matchCount += count;
+      score += Math.log2(1 + count);
+    });
+
+    // Prefer notes where the whole query appears as a phrase
+    if (terms.length > 1 && lowerContent.includes(terms.join(' '))) score += 3;
+
+    const matches = [];
+    if (terms.length > 0 || regexes.length > 0) {
+      const lines = content.split('\n');
+      for (let n = 0; n < lines.length && matches.length < MAX_SNIPPETS_PER_FILE; n++) {
+        const snippet = this.buildSnippet(lines[n], terms, regexes);
+        if (snippet) matches.push({ line: n + 1, ...snippet });
+      }
+    }
+
+    return {
+      path: file.path,
+      score: Math.round(score * 100) / 100,
+      matchCount,
+      matches
+    };
+  }
+
+  countOccurrences(haystack, needle) {
+    let count = 0;
+    let idx = haystack.indexOf(needle);
+    while (idx !== -1) {
+      count++;
+      idx = haystack.indexOf(needle, idx + needle.length);
+    }
+    return count;
+  }
+
+  /**
+   * Find every [start, end) hit of the terms and regexes in a string
+   */
+  findRanges(text, terms, regexes) {
+    const ranges = [];
+    const lower = text.toLowerCase();
+    terms.forEach((term) => {
+      let idx = lower.indexOf(term);
+      while (idx !== -1) {
+        ranges.push([idx, idx + term.length]);
+        idx = lower.indexOf(term, idx + term.length);
+      }
+    });
+    regexes.forEach((re) => {
+      const global = new RegExp(re.source, re.flags + 'g');
+      let m;
+      while ((m = global.exec(text)) !== null) {
+        if (m[0].length === 0) {
+          global.lastIndex++;
+          continue;
+        }
+        ranges.push([m.index, m.index + m[0].length]);
+      }
+    });
+    return ranges.sort((a, b) => a[0] - b[0]);
+  }
+
+  /**
+   * Cut a context window around the first hit in a line
+   * @returns {Object|null} { text, ranges } - ranges are [start, end) offsets into text for highlighting
+   */
+  buildSnippet(line, terms, regexes) {
+    const hits = this.findRanges(line, terms, regexes);
+    if (hits.length === 0) return null;
+    const first = hits[0][0];
+
+    const start = Math.max(0, first - SNIPPET_RADIUS);
+    const end = Math.min(line.length, first + SNIPPET_RADIUS);
+    const prefix = start > 0 ? '…' : '';
+    const text = prefix + line.slice(start, end).trim() + (end < line.length ? '…' : '');
+
+    return { text, ranges: this.findRanges(text, terms, regexes) };
+  }
+}
+
+export default VaultSearch;
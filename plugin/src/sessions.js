@@ -0,0 +1,147 @@
+// Web Session Store
+// Short-lived, revocable tokens for the local HTTP API (issued by POST /api/login)
+// Sessions live in memory only: reloading the plugin signs every browser out
+
+import { randomBytes } from 'crypto';
+
+const SESSION_IDLE_TIMEOUT = 30 * 60 * 1000; // no requests for this long ends the session
+const SESSION_TTL = 8 * 60 * 60 * 1000; // token lifetime; POST /api/session/refresh issues a new one
+const SESSION_COOKIE = 'noterelay_session';
+
+class SessionStore {
+  constructor() {
+    this.sessions = new Map(); // token -> { id, user, readOnly, createdAt, lastSeen, expiresAt, shownPaths }
+    this.onRevoke = null; // (session) => void - lets the server drop streams owned by the session
+  }
+
+  /**
+   * Start a new session
+   * @param {Object} info - { user, readOnly }
+   * @returns {Object} { token, session }
+   */
+  create({ user = 'owner', readOnly = false } = {}) {
+    this.prune();
+    const now = Date.now();
+    const token = randomBytes(32).toString('base64url');
+    const session = {
+      id: randomBytes(8).toString('hex'), // safe to show in UIs/logs, unlike the token
+      user,
+      readOnly,
+      createdAt: now,
+      lastSeen: now,
+      expiresAt: now + SESSION_TTL,
+      shownPaths: new Set() // vault paths this browser was shown (filters delete/rename events)
+    };
+    this.sessions.set(token, session);
+    return { token, session };
+  }
+
+  /**
+   * Look up a token and mark the session as active
+   * @returns {Object|null} The session, or null if unknown, idle or expired
+   */
+  validate(token) {
+    if (!token) return null;
+    const session = this.sessions.get(token);
+    if (!session) return null;
+
+    const now = Date.now();
+    if (now > session.expiresAt || now - session.lastSeen > SESSION_IDLE_TIMEOUT) {
+      this.revoke(token);
+      return null;
+    }
+
+    session.lastSeen = now;
+    return session;
+  }
+
+  /**
+   * Swap a valid token for a fresh one (the old token stops working immediately)
+   * @returns {Object|null} { token, session }
+   */
+  refresh(token) {
+    const session = this.validate(token);
+    if (!session) return null;
+
+    this.sessions.delete(token);
+    const newToken = randomBytes(32).toString('base64url');
+    session.expiresAt = Date.now() + SESSION_TTL;
+    this.sessions.set(newToken, session);
+    return { token: newToken, session };
+  }
+
+  revoke(token) {
+    const session = this.sessions.get(token);
+    if (!session) return;
+    this.sessions.delete(token);
+    if (this.onRevoke) this.onRevoke(session);
+  }
+
+  /**
+   * End a session by its public id (session manager "disconnect")
+   * @returns {boolean} Whether a session was found
+   */
+  revokeById(id) {
+    for (const [token, session] of this.sessions) {
+      if (session.id === id) {
+        this.revoke(token);
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Sign out every browser (settings tab button, password change)
+   * @returns {number} Number of sessions ended
+   */
+  revokeAll() {
+    const tokens = [...this.sessions.keys()];
+    tokens.forEach((token) => this.revoke(token));
+    return tokens.length;
+  }
+
+  /**
+   * Drop sessions that have already expired
+   */
+  prune() {
+    const now = Date.now();
+    this.sessions.forEach((session, token) => {
+      if (now > session.expiresAt || now - session.lastSeen > SESSION_IDLE_TIMEOUT) {
+        this.revoke(token);
+      }
+    });
+  }
+
+  get size() {
+    this.prune();
+    return this.sessions.size;
+  }
+
+  /**
+   * Extract the token from "Authorization: Bearer ..." or the session cookie
+   * @param {Object} req - Express request
+   */
+  static tokenFromRequest(req) {
+    const auth = req.headers.authorization || '';
+    if (auth.startsWith('Bearer ')) return auth.slice(7).trim();
+
+    const cookies = req.headers.cookie || '';
+    for (const part of cookies.split(';')) {
+      const [name, ...rest] = part.trim().split('=');
+      if (name === SESSION_COOKIE) return decodeURIComponent(rest.join('='));
+    }
+    return null;
+  }
+
+  /**
+   * Set-Cookie value for a token (HttpOnly so page scripts can't read it)
+   * Asset requests from <img>/<embed> tags authenticate with this cookie
+   */
+  static cookieFor(token, maxAgeMs = SESSION_TTL) {
+    return `${SESSION_COOKIE}=${encodeURIComponent(token)}; HttpOnly; SameSite=Strict; Path=/api; Max-Age=${Math.floor(maxAgeMs / 1000)}`;
+  }
+}
+
+export { SESSION_IDLE_TIMEOUT, SESSION_TTL };
+export default SessionStore;
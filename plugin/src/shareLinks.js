@@ -0,0 +1,173 @@
+// Public Share Links
+// Read-only links to a single rendered note (GET /s/:token) for people without a Note Relay account.
+// Links are stored in settings.shareLinks so they survive restarts; password unlocks live in memory.
+
+import { randomBytes } from 'crypto';
+import GuestScope from './scope';
+import { createVerifier, verifyPasswordHash, sha256Hex } from '../../shared/passwordAuth.js';
+
+const SHARE_EXPIRY_OPTIONS = {
+  '1h': { label: '1 hour', ms: 60 * 60 * 1000 },
+  '1d': { label: '1 day', ms: 24 * 60 * 60 * 1000 },
+  '7d': { label: '7 days', ms: 7 * 24 * 60 * 60 * 1000 },
+  '30d': { label: '30 days', ms: 30 * 24 * 60 * 60 * 1000 }
+};
+const DEFAULT_SHARE_EXPIRY = '7d';
+const SHARE_UNLOCK_TTL = 60 * 60 * 1000; // how long a correct password keeps a browser unlocked
+const SHARE_COOKIE = 'noterelay_share';
+
+/**
+ * Visibility for a share link: the shared note plus the attachments it links to, nothing else
+ * Private notes (privacy.js) stay hidden even if they are the shared note.
+ */
+class ShareScope extends GuestScope {
+  constructor(app, notePath, privacy) {
+    super(app, null, privacy);
+    this.notePath = notePath;
+  }
+
+  allowsPath(path) {
+    return path === this.notePath && super.allowsPath(path);
+  }
+
+  allows(path) {
+    if (path === this.notePath) return super.allows(path);
+    if (!path || path.toLowerCase().endsWith('.md')) return false;
+    const links = this.app.metadataCache.resolvedLinks[this.notePath] || {};
+    return !!links[path] && super.allows(path);
+  }
+
+  allowsFolder() {
+    return false;
+  }
+}
+
+class ShareLinkStore {
+  /**
+   * @param {Plugin} plugin - Owner of settings.shareLinks (saved through plugin.saveSettings)
+   */
+  constructor(plugin) {
+    this.plugin = plugin;
+    this.unlocks = new Map(); // unlock id -> { token, expiresAt } (set as a cookie after a correct password)
+  }
+
+  get links() {
+    if (!Array.isArray(this.plugin.settings.shareLinks)) this.plugin.settings.shareLinks = [];
+    return this.plugin.settings.shareLinks;
+  }
+
+  /**
+   * Mint a link for a note
+   * @param {string} path - Vault path of the note
+   * @param {Object} options - { expiry: key of SHARE_EXPIRY_OPTIONS, password, maxViews (0 = unlimited) }
+   * @returns {Promise<Object>} The stored link
+   */
+  async create(path, { expiry = DEFAULT_SHARE_EXPIRY, password = '', maxViews = 0 } = {}) {
+    const duration = (SHARE_EXPIRY_OPTIONS[expiry] || SHARE_EXPIRY_OPTIONS[DEFAULT_SHARE_EXPIRY]).ms;
+    const now = Date.now();
+    const link = {
+      token: randomBytes(24).toString('base64url'),
+      path,
+      createdAt: now,
+      expiresAt: now + duration,
+      maxViews: Math.max(0, parseInt(maxViews, 10) || 0),
+      views: 0,
+      password: password ? await createVerifier(await sha256Hex(password)) : null
+    };
+    this.prune();
+    this.links.push(link);
+    await this.plugin.saveSettings();
+    return link;
+  }
+
+  /**
+   * Look up an unexpired link
+   * @returns {Object|null}
+   */
+  find(token) {
+    if (!token) return null;
+    const link = this.links.find((l) => l.token === token);
+    if (!link || Date.now() > link.expiresAt) return null;
+    return link;
+  }
+
+  isExhausted(link) {
+    return link.maxViews > 0 && link.views >= link.maxViews;
+  }
+
+  async recordView(link) {
+    link.views++;
+    link.lastViewedAt = Date.now();
+    await this.plugin.saveSettings();
+  }
+
+  /**
+   * Unexpired links, newest first (for the settings tab)
+   */
+  active() {
+    this.prune();
+    return [...this.links].sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  async revoke(token) {
+    const index = this.links.findIndex((l) => l.token === token);
+    if (index === -1) return false;
+    this.links.splice(index, 1);
+    this.unlocks.forEach((unlock, id) => {
+      if (unlock.token === token) this.unlocks.delete(id);
+    });
+    await this.plugin.saveSettings();
+    return true;
+  }
+
+  /**
+   * Drop expired links (not saved here; the next create/revoke/view persists it)
+   */
+  prune() {
+    const now = Date.now();
+    const kept = this.links.filter((l) => now <= l.expiresAt);
+    if (kept.length !== this.links.length) this.plugin.settings.shareLinks = kept;
+    this.unlocks.forEach((unlock, id) => {
+      if (now > unlock.expiresAt) this.unlocks.delete(id);
+    });
+  }
+
+  /**
+   * Check the password typed on the share page
+   */
+  async verify(link, password) {
+    if (!link.password) return true;
+    if (!password) return false;
+    return verifyPasswordHash(link.password, await sha256Hex(password));
+  }
+
+  /**
+   * Remember that this browser entered the right password
+   * @returns {string} Set-Cookie value
+   */
+  unlock(link) {
+    const id = randomBytes(24).toString('base64url');
+    const expiresAt = Math.min(Date.now() + SHARE_UNLOCK_TTL, link.expiresAt);
+    this.unlocks.set(id, { token: link.token, expiresAt });
+    const maxAge = Math.max(0, Math.floor((expiresAt - Date.now()) / 1000));
+    return `${SHARE_COOKIE}=${id}; HttpOnly; SameSite=Lax; Path=/s/${link.token}; Max-Age=${maxAge}`;
+  }
+
+  /**
+   * Whether a request may see a link (no password, or an unlock cookie for it)
+   */
+  isUnlocked(req, link) {
+    if (!link.password) return true;
+    const cookies = req.headers.cookie || '';
+    for (const part of cookies.split(';')) {
+      const [name, ...rest] = part.trim().split('=');
+      if (name !== SHARE_COOKIE) continue;
+      const unlock = this.unlocks.get(rest.join('='));
+      if (unlock && unlock.token === link.token && Date.now() <= unlock.expiresAt) return true;
+    }
+    return false;
+  }
+}
+
+export { ShareScope, SHARE_EXPIRY_OPTIONS, DEFAULT_SHARE_EXPIRY };
+export default ShareLinkStore;
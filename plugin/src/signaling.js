@@ -0,0 +1,287 @@
+// Signaling Adapters
+// Carry WebRTC offers/answers (plus trickled candidates and ICE restart requests) between remote
+// clients and the host.
+// Every adapter exposes the same surface, so answerCall/connectSignaling don't care which backend runs:
+//   connect(hostId, onMessage)          start listening; onMessage({ source, type, payload })
+//   send({ target, type, payload })     deliver a message to a client
+//   disconnect()
+//   connected                           whether messages can be sent right now
+//   iceServers                          ICE servers offered by the backend (null = use defaults)
+// EncryptedSignaling wraps any adapter so payloads cross the broker encrypted (shared/signalingCrypto.js).
+
+const { createClient } = require('@supabase/supabase-js');
+import { deriveSignalingKey, isSealed, sealSignal, openSignal } from '../../shared/signalingCrypto.js';
+
+const SIGNALING_BACKENDS = {
+  supabase: 'Note Relay cloud (Supabase)',
+  websocket: 'Self-hosted WebSocket server'
+};
+const DEFAULT_SIGNALING_BACKEND = 'supabase';
+const RECONNECT_MIN_DELAY = 1000;
+const RECONNECT_MAX_DELAY = 60 * 1000;
+
+/**
+ * Supabase realtime: clients INSERT rows into the `signaling` table, the host listens for rows
+ * targeted at its id and answers with another INSERT
+ */
+class SupabaseSignaling {
+  /**
+   * @param {Object} options - { url, key } (credentials come from /api/plugin-init)
+   */
+  constructor({ url, key }) {
+    this.url = url;
+    this.key = key;
+    this.iceServers = null; // the cloud hands out ICE servers through /api/plugin-init instead
+    this.client = null;
+    this.channel = null;
+    this.hostId = null;
+  }
+
+  get connected() {
+    return !!this.channel;
+  }
+
+  async connect(hostId, onMessage) {
+    this.hostId = hostId;
+    this.client = createClient(this.url, this.key);
+    this.channel = this.client.channel('host-channel')
+      .on(
+        'postgres_changes',
+        { event: 'INSERT', schema: 'public', table: 'signaling', filter: `target=eq.${hostId}` },
+        (payload) => onMessage({ source: payload.new.source, type: payload.new.type, payload: payload.new.payload })
+      )
+      .subscribe();
+  }
+
+  async send({ target, type, payload }) {
+    if (!this.client) throw new Error('Signaling not connected');
+    // Clients listen for rows with source 'host' (the row id, not the signal id)
+    const { error } = await this.client.from('signaling').insert({ source: 'host', target, type, payload });
+    if (error) throw new Error(error.message);
+  }
+
+  disconnect() {
+    if (this.channel) {
+      this.channel.unsubscribe();
+      this.channel = null;
+    }
+    if (this.client) {
+      this.client.removeAllChannels();
+      this.client = null;
+    }
+  }
+}
+
+/**
+ * Self-hosted relay (signaling-server/server.js): one WebSocket, JSON messages, reconnects with backoff
+ */
+class WebSocketSignaling {
+  /**
+   * @param {Object} options - { url: ws(s)://host:port, token: shared secret (SIGNALING_TOKEN),
+   *   hostKey: host-only secret the server binds the host id to, onStatus(status, detail) }
+   */
+  constructor({ url, token = '', hostKey = '', onStatus = null }) {
+    this.url = url;
+    this.token = token;
+    this.hostKey = hostKey;
+    this.onStatus = onStatus;
+    this.iceServers = null;
+    this.hostId = null;
+    this.onMessage = null;
+    this.socket = null;
+    this.registered = false;
+    this.closedByUser = false;
+    this.reconnectDelay = RECONNECT_MIN_DELAY;
+    this.reconnectTimer = null;
+  }
+
+  get connected() {
+    return !!this.socket && this.socket.readyState === WebSocket.OPEN && this.registered;
+  }
+
+  connectUrl() {
+    const url = new URL(this.url);
+    if (this.token) url.searchParams.set('token', this.token);
+    return url.toString();
+  }
+
+  /**
+   * Resolves once the server confirmed the registration; later drops reconnect in the background
+   */
+  connect(hostId, onMessage) {
+    this.hostId = hostId;
+    this.onMessage = onMessage;
+    this.closedByUser = false;
+    return new Promise((resolve, reject) => this.open(resolve, reject));
+  }
+
+  open(resolve = null, reject = null) {
+    let socket;
+    try {
+      socket = new WebSocket(this.connectUrl());
+    } catch (error) {
+      if (reject) reject(error);
+      return;
+    }
+    this.socket = socket;
+    this.registered = false;
+
+    socket.onopen = () => {
+      socket.send(JSON.stringify({ type: 'register', id: this.hostId, key: this.hostKey || undefined }));
+    };
+
+    socket.onmessage = (event) => {
+      let msg;
+      try {
+        msg = JSON.parse(event.data);
+      } catch (e) {
+        return;
+      }
+      if (msg.type === 'registered') {
+        this.registered = true;
+        this.reconnectDelay = RECONNECT_MIN_DELAY;
+        if (Array.isArray(msg.iceServers) && msg.iceServers.length) this.iceServers = msg.iceServers;
+        this.status('connected');
+        if (resolve) resolve();
+        resolve = reject = null;
+      } else if (msg.type === 'error') {
+        console.warn('Signaling server:', msg.message);
+        if (!this.registered && reject) {
+          // First registration refused (id in use, bad id): report it instead of hammering the server
+          reject(new Error(msg.message));
+          resolve = reject = null;
+          this.closedByUser = true;
+          socket.close();
+          this.status('error', msg.message);
+        } else if (!this.registered) {
+          // Reconnect refused, usually because the server still holds our dropped socket:
+          // onclose retries with backoff until that socket times out
+          socket.close();
+        }
+      } else if (msg.source) {
+        this.onMessage({ source: msg.source, type: msg.type, payload: msg.payload });
+      }
+    };
+
+    socket.onclose = () => {
+      if (this.socket !== socket) return;
+      this.registered = false;
+      this.socket = null;
+      if (reject) reject(new Error(`Could not reach signaling server at ${this.url}`));
+      resolve = reject = null;
+      if (this.closedByUser) return;
+      this.status('reconnecting');
+      this.reconnectTimer = setTimeout(() => {
+        this.reconnectTimer = null;
+        this.open();
+      }, this.reconnectDelay);
+      this.reconnectDelay = Math.min(this.reconnectDelay * 2, RECONNECT_MAX_DELAY);
+    };
+  }
+
+  async send({ target, type, payload }) {
+    if (!this.connected) throw new Error('Signaling not connected');
+    this.socket.send(JSON.stringify({ type, target, payload }));
+  }
+
+  status(status, detail = null) {
+    if (this.onStatus) this.onStatus(status, detail);
+  }
+
+  disconnect() {
+    this.closedByUser = true;
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    if (this.socket) {
+      const socket = this.socket;
+      this.socket = null;
+      socket.close();
+    }
+    this.registered = false;
+  }
+}
+
+/**
+ * End-to-end encryption on top of another adapter: clients that seal their offer get every reply
+ * sealed too; plain-text clients (older apps) are still answered in the clear unless required is set.
+ * Anyone can post to the broker under any client id, so plain-text signals for an id with a live
+ * peer are dropped: they could neither downgrade a sealed client nor inject SDP into its connection.
+ */
+class EncryptedSignaling {
+  /**
+   * @param {Object} adapter - SupabaseSignaling / WebSocketSignaling
+   * @param {Object} options - { secret: pairing secret, required: drop clients that don't encrypt,
+   *   hasPeer(clientId): whether a live peer connection exists for that client }
+   */
+  constructor(adapter, { secret, required = false, hasPeer = () => false }) {
+    this.adapter = adapter;
+    this.secret = secret;
+    this.required = required;
+    this.hasPeer = hasPeer;
+    this.key = null;
+    this.sealedClients = new Set(); // client ids whose last offer was encrypted
+    this.queue = Promise.resolve(); // decrypting is async; keep offer -> candidate order
+  }
+
+  get connected() {
+    return this.adapter.connected;
+  }
+
+  get iceServers() {
+    return this.adapter.iceServers;
+  }
+
+  async connect(hostId, onMessage) {
+    this.key = await deriveSignalingKey(this.secret, hostId);
+    return this.adapter.connect(hostId, (msg) => {
+      this.queue = this.queue.then(() => this.receive(msg, onMessage));
+    });
+  }
+
+  async receive(msg, onMessage) {
+    if (!isSealed(msg.payload)) {
+      if (this.required || this.hasPeer(msg.source)) {
+        console.warn(`Signaling: ignored unencrypted ${msg.type} from ${msg.source}`);
+        return;
+      }
+      // A new connection (no peer yet) from an app without pairing support
+      if (msg.type === 'offer') this.sealedClients.delete(msg.source);
+      onMessage(msg);
+      return;
+    }
+    let payload;
+    try {
+      payload = await openSignal(this.key, { direction: 'c2h', clientId: msg.source, type: msg.type }, msg.payload);
+    } catch (e) {
+      console.warn(`Signaling: could not decrypt ${msg.type} from ${msg.source} (wrong pairing secret?)`);
+      return;
+    }
+    this.sealedClients.add(msg.source);
+    onMessage({ ...msg, payload });
+  }
+
+  /**
+   * Whether a client's signals arrive encrypted
+   */
+  isSealedClient(clientId) {
+    return this.sealedClients.has(clientId);
+  }
+
+  async send({ target, type, payload }) {
+    if (this.sealedClients.has(target)) {
+      const sealed = await sealSignal(this.key, { direction: 'h2c', clientId: target, type }, payload);
+      return this.adapter.send({ target, type, payload: sealed });
+    }
+    if (this.required) throw new Error('Refusing to send an unencrypted signal');
+    return this.adapter.send({ target, type, payload });
+  }
+
+  disconnect() {
+    this.sealedClients.clear();
+    this.adapter.disconnect();
+  }
+}
+
+export { SupabaseSignaling, WebSocketSignaling, EncryptedSignaling, SIGNALING_BACKENDS, DEFAULT_SIGNALING_BACKEND };
@@ -4,15 +4,33 @@ if (typeof window !== 'undefined') {
 }
 
 const obsidian = require('obsidian');
-const { createClient } = require('@supabase/supabase-js');
 const SimplePeer = require('simple-peer');
 const express = require('express');
 const cors = require('cors');
-const { readFileSync } = require('fs');
+const { readFileSync, createReadStream } = require('fs');
 const { join } = require('path');
 
 // Analytics telemetry service
 import telemetryService from './telemetry';
+import VaultSearch from './search';
+import SessionStore, { SESSION_IDLE_TIMEOUT } from './sessions';
+import AuthThrottle, { LOCKOUT_DURATION } from './authThrottle';
+import { ACCESS, requiredAccess, hasAccess, canRun } from './permissions';
+import GuestScope, { isScopeRestricted, normalizeScope, describeScope } from './scope';
+import PrivacyFilter from './privacy';
+import ShareLinkStore, { ShareScope, SHARE_EXPIRY_OPTIONS, DEFAULT_SHARE_EXPIRY } from './shareLinks';
+import AuditLog, { measurePayload, DEFAULT_MAX_SIZE_MB, DEFAULT_MAX_FILES } from './auditLog';
+import LiveSessionRegistry from './liveSessions';
+import TrustedDevices, { APPROVAL_TIMEOUT } from './devices';
+import LicenseCache, { DEFAULT_LICENSE_GRACE_HOURS } from './licenseCache';
+import ResumableSessions, { RESUME_TTL } from './resume';
+import FrameSender, { negotiateFrames } from './frames';
+import RestApi from './restApi';
+import BatchJournal from './batchJournal';
+import { SupabaseSignaling, WebSocketSignaling, EncryptedSignaling, SIGNALING_BACKENDS, DEFAULT_SIGNALING_BACKEND } from './signaling';
+import { PASSWORD_ITERATIONS, createVerifier, isLegacyHash, buildAuthMessage, verifyProof, verifyPasswordHash, randomBase64 } from '../../shared/passwordAuth.js';
+import { generatePairingSecret } from '../../shared/signalingCrypto.js';
+import { PROTOCOL_VERSION, MIN_PROTOCOL_VERSION, ERROR_CODES, COMMANDS, FAILURE_RESPONSES, BATCH_CONCURRENCY, BATCH_EXCLUDED_COMMANDS, validateCommand, checkResponse } from '../../shared/protocol.js';
 
 // Supabase credentials loaded dynamically from API (no hardcoded keys)
 let SUPABASE_URL = null;
@@ -20,8 +38,17 @@ let SUPABASE_KEY = null;
 const API_BASE_URL = 'https://noterelay.io';
 const BUILD_VERSION = 'v7.1.0-EMAIL-AUTH';
 const CHUNK_SIZE = 16 * 1024;
+const MAX_UPLOAD_BYTES = 50 * 1024 * 1024; // per attachment
+const UPLOAD_TTL = 10 * 60 * 1000; // abandoned chunked uploads are dropped after this
+const UPLOAD_CHUNK_SIZE = 256 * 1024; // largest accepted chunk (what the web UI sends)
+const MAX_UPLOAD_CHUNKS = Math.ceil(MAX_UPLOAD_BYTES / UPLOAD_CHUNK_SIZE);
+const MAX_PENDING_UPLOADS = 4; // unfinished uploads per session
+const ASSET_RANGE_MAX = 2 * 1024 * 1024; // largest GET_ASSET slice; clients request the rest by range
+const VIDEO_EXTS = ['mp4', 'mov', 'avi', 'mkv', 'iso', 'flv', 'webm', 'm4v'];
+const LOGIN_CHALLENGE_TTL = 60 * 1000; // a challenge must be answered within this window
+const MAX_LOGIN_CHALLENGES = 100; // outstanding /api/login/challenge nonces; the oldest go first
 const DEFAULT_SETTINGS = { 
-  passwordHash: '',
+  passwordHash: '', // PBKDF2 verifier from shared/passwordAuth.js (legacy: SHA-256 hex, upgraded on next login)
   localPort: 5474,
   autoStartServer: true,
   // SECURITY: CORS Settings
@@ -29,11 +56,38 @@ const DEFAULT_SETTINGS = {
   corsAllowedOrigins: '', // Custom domains only (e.g. https://my-proxy.com)
   // IDENTITY-BASED REMOTE ACCESS
   userEmail: '', // User's email address (subscription validation)
-  masterPasswordHash: '', // Owner's override password
+  masterPasswordHash: '', // Owner's override password (verifier, same format as passwordHash)
   vaultId: '', // Unique vault identifier (auto-generated)
-  guestList: [], // [{ userId, email, passHash, mode: 'rw'|'ro', label, status: 'pending'|'verified' }]
+  guestList: [], // [{ userId, email, passHash (verifier), mode: 'rw'|'ro', label, status: 'pending'|'verified', scope? }]
+  // scope: { allowFolders, denyFolders, allowTags, denyTags } - see scope.js; missing = whole vault
   // ANALYTICS
-  enableAnalytics: false // Opt-in only - user must explicitly enable
+  enableAnalytics: false, // Opt-in only - user must explicitly enable
+  // SEARCH
+  savedSearches: [], // [{ name, query }] - listed in the web UI sidebar
+  // PRIVACY
+  privateFolders: '', // Globs (one per line) never exposed to any client; notes can also opt out with "relay: private"
+  // SHARING
+  shareLinks: [], // [{ token, path, createdAt, expiresAt, maxViews, views, password (verifier|null) }] - see shareLinks.js
+  // DEVICE APPROVAL
+  requireDeviceApproval: false, // hold new remote devices until the owner clicks Allow
+  trustedDevices: [], // [{ id, key, identity, label, userAgent, platform, approvedAt, lastSeen }] - see devices.js
+  // SIGNALING (how remote clients reach this host to set up WebRTC) - see signaling.js
+  signalingBackend: DEFAULT_SIGNALING_BACKEND, // 'supabase' (Note Relay cloud) | 'websocket' (signaling-server/)
+  signalingUrl: '', // ws(s)://host:port of a self-hosted signaling server
+  signalingToken: '', // shared secret matching the server's SIGNALING_TOKEN
+  signalingHostKey: '', // binds the host id to this vault on a self-hosted server (only it can register or reclaim the id), auto-generated
+  signalingSecret: '', // pairing secret clients encrypt SDP with (shared/signalingCrypto.js), auto-generated
+  requireSignalingEncryption: false, // ignore clients that send plain-text offers
+  // SELF-HOSTED MODE: never calls the Note Relay API (no beta lock, license or guest backend checks,
+  // guests verified against guestList only); remote access needs signalingBackend 'websocket'
+  selfHosted: false,
+  apiBaseUrl: '', // Note Relay API used outside self-hosted mode; empty = https://noterelay.io
+  // LICENSE CACHE (signed tokens from /api/validate-license) - see licenseCache.js
+  licenseTokens: {}, // { email: token }
+  licenseGraceHours: DEFAULT_LICENSE_GRACE_HOURS, // cached licenses keep working this long past expiry while the API is down
+  // AUDIT LOG (audit.jsonl in the plugin folder)
+  auditMaxSizeMB: DEFAULT_MAX_SIZE_MB, // rotate the live file past this size
+  auditMaxFiles: DEFAULT_MAX_FILES // rotated files to keep
 };
 
 async function hashString(str) {
@@ -42,28 +96,36 @@ async function hashString(str) {
   return Array.from(new Uint8Array(hashBuffer)).map((b) => b.toString(16).padStart(2, '0')).join('');
 }
 
+function escapeHtml(str) {
+  return String(str).replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
 class MicroServer extends obsidian.Plugin {
   async onload() {
     await this.loadSettings();
     this.addSettingTab(new MicroServerSettingTab(this.app, this));
     
-    // BETA KILL SWITCH: Check if plugin is locked
-    try {
-      const statusRes = await fetch(`${API_BASE_URL}/api/status`);
-      const { beta_locked } = await statusRes.json();
+    // BETA KILL SWITCH: Check if plugin is locked (self-hosted installs never ask)
+    if (this.settings.selfHosted) {
+      console.log('[Self-Hosted] Skipping Note Relay status check');
+    } else {
+      try {
+        const statusRes = await fetch(this.apiUrl('/api/status'));
+        const { beta_locked } = await statusRes.json();
       
-      if (beta_locked === true) {
-        // Check if user has valid license key
-        if (!this.settings.remoteLicenseKey) {
-          new obsidian.Notice('⚠️ Note Relay is in Private Beta. Invite Key Required.', 10000);
-          console.log('[Beta Lock] Server startup blocked - no valid license key');
-          return; // Exit onload - do not start server
+        if (beta_locked === true) {
+          // Check if user has valid license key
+          if (!this.settings.remoteLicenseKey) {
+            new obsidian.Notice('⚠️ Note Relay is in Private Beta. Invite Key Required.', 10000);
+            console.log('[Beta Lock] Server startup blocked - no valid license key');
+            return; // Exit onload - do not start server
+          }
+          console.log('[Beta Lock] Valid license detected - proceeding with startup');
         }
-        console.log('[Beta Lock] Valid license detected - proceeding with startup');
+      } catch (err) {
+        // Fail-open: If API is unreachable, allow local usage (don't brick existing users)
+        console.warn('[Beta Lock] Status check failed - defaulting to open (offline mode)', err);
       }
-    } catch (err) {
-      // Fail-open: If API is unreachable, allow local usage (don't brick existing users)
-      console.warn('[Beta Lock] Status check failed - defaulting to open (offline mode)', err);
     }
     
     // Generate pluginId from vault path for license validation
@@ -76,6 +138,15 @@ class MicroServer extends obsidian.Plugin {
       await this.saveSettings();
       console.log('Generated new vaultId:', this.settings.vaultId);
     }
+    
+    if (!this.settings.signalingSecret) {
+      this.settings.signalingSecret = generatePairingSecret();
+      await this.saveSettings();
+    }
+    if (!this.settings.signalingHostKey) {
+      this.settings.signalingHostKey = generatePairingSecret();
+      await this.saveSettings();
+    }
     console.log('Plugin ID:', this.pluginId);
     
     // TRINITY PROTOCOL: Generate Machine ID (Node ID)
@@ -100,7 +171,7 @@ class MicroServer extends obsidian.Plugin {
     // Initialize telemetry service
     // STRICT GATING: Only enable analytics for registered users (dbVaultId + userId present)
     // No registration = No telemetry (no local UUID usage)
-    if (this.settings.enableAnalytics && this.settings.dbVaultId && this.settings.userId) {
+    if (this.settings.enableAnalytics && this.settings.dbVaultId && this.settings.userId && !this.settings.selfHosted) {
       telemetryService.init(this.settings.dbVaultId, this.settings.userId, this.nodeId, true);
       telemetryService.recordSessionStart('lan'); // Initial session on plugin load
       console.log('[Telemetry] Initialized for registered vault:', this.settings.dbVaultId);
@@ -110,8 +181,48 @@ class MicroServer extends obsidian.Plugin {
     
     console.log(`%c PORTAL ${BUILD_VERSION} READY`, 'color: #00ff00; font-weight: bold; background: #000;');
     this.statusBar = this.addStatusBarItem();
+    this.statusBar.addClass('mod-clickable');
+    this.registerDomEvent(this.statusBar, 'click', (evt) => this.showSessionMenu(evt));
     this.serverRunning = false;
     
+    // Push channels for live vault events
+    this.activePeers = new Set();
+    this.rtcPeers = new Map(); // signaling id -> peer, so trickled candidates and renegotiation offers reach it
+    this.resumableSessions = new ResumableSessions();
+    this.eventClients = new Set();
+    this.vaultSearch = new VaultSearch(this.app);
+    this.privacy = new PrivacyFilter(this.app, () => this.settings.privateFolders);
+    this.registerVaultEvents();
+    this.pendingUploads = new Map(); // 'session:uploadId' -> { session, name, sourcePath, total, chunks, received, size, updatedAt }
+    this.sessions = new SessionStore();
+    this.loginChallenges = new Map(); // serverNonce -> issuedAt (single use)
+    this.authThrottle = new AuthThrottle();
+    this.trustedDevices = new TrustedDevices(this);
+    this.licenseCache = new LicenseCache(this);
+    this.liveSessions = new LiveSessionRegistry();
+    this.liveSessions.subscribe(() => this.updateSessionStatus());
+    this.sessions.onRevoke = (session) => {
+      this.closeEventClients(session.id);
+      this.liveSessions.remove(session.id);
+    };
+    // Closed browsers send nothing: end their sessions once idle so the status bar stops listing them
+    this.registerInterval(window.setInterval(() => this.sessions.prune(), 60 * 1000));
+    this.shareLinks = new ShareLinkStore(this);
+    this.restApi = new RestApi(this);
+    this.auditLog = new AuditLog(this.app.vault.adapter, this.manifest.dir, () => ({
+      maxSizeMB: this.settings.auditMaxSizeMB,
+      maxFiles: this.settings.auditMaxFiles
+    }));
+    
+    // "Create share link" in the file explorer / editor menu
+    this.registerEvent(this.app.workspace.on('file-menu', (menu, file) => {
+      if (!(file instanceof obsidian.TFile) || file.extension !== 'md') return;
+      menu.addItem((item) => item
+        .setTitle('Create share link')
+        .setIcon('link')
+        .onClick(() => new ShareLinkModal(this.app, this, file).open()));
+    }));
+    
     // Auto-start server if enabled in settings (default true)
     if (this.settings.autoStartServer !== false) {
       this.startServer();
@@ -124,12 +235,17 @@ class MicroServer extends obsidian.Plugin {
     
     // Register wake detection
     this.wakeHandler = async () => {
-      if (!document.hidden && this.settings.remoteLicenseKey) {
+      if (!document.hidden && (this.settings.remoteLicenseKey || this.settings.selfHosted)) {
         await this.checkConnectionHealth();
       }
     };
     
     this.registerDomEvent(document, 'visibilitychange', this.wakeHandler);
+    
+    // This machine changed networks: remote peers need new ICE candidates
+    this.registerDomEvent(window, 'online', () => {
+      this.activePeers.forEach((peer) => this.requestIceRestart(peer));
+    });
     console.log('Note Relay: Wake detection enabled');
     
     setTimeout(() => this.connectSignaling(), 1000);
@@ -153,6 +269,7 @@ class MicroServer extends obsidian.Plugin {
     }
     
     if (this.expressServer) {
+      this.closeEventClients();
       this.expressServer.close(() => {
         console.log('Express server stopped');
         new obsidian.Notice('Web server stopped');
@@ -329,6 +446,7 @@ class MicroServer extends obsidian.Plugin {
                     <div class="tab-bar">
                         <div id="tab-folders" class="tab active" onclick="switchTab('folders')">FOLDERS</div>
                         <div id="tab-tags" class="tab" onclick="switchTab('tags')">TAGS</div>
+                        <div id="tab-searches" class="tab" onclick="switchTab('searches')">SEARCHES</div>
                     </div>
                 </div>
 
@@ -339,7 +457,10 @@ class MicroServer extends obsidian.Plugin {
     </div>
         <div id="pane-notes">
             <div class="pane-header">NOTES</div>
-            <div class="search-box-container"><input id="search-input" placeholder="Filter notes..." onkeyup="doSearch(event)"></div>
+            <div class="search-box-container">
+                <input id="search-input" placeholder="Search (tag: path: line:( ) -exclude OR)" onkeyup="doSearch(event)">
+                <button class="nav-btn" onclick="saveCurrentSearch()" title="Save this search"><i class="fa-regular fa-bookmark"></i></button>
+            </div>
             <div id="note-list"></div>
         </div>
         <div id="pane-editor">
@@ -348,6 +469,8 @@ class MicroServer extends obsidian.Plugin {
                 <div style="display:flex; align-items:center;">
                     <button id="focus-btn" class="header-btn" title="Toggle Focus Mode" onclick="toggleFocus()"><i class="fa-solid fa-maximize"></i></button>
                     <button id="view-btn" class="header-btn" title="Toggle Reading/Editing" onclick="toggleViewMode()"><i class="fa-regular fa-eye"></i></button>
+                    <button id="attach-btn" class="header-btn" title="Attach file" onclick="pickAttachment()"><i class="fa-solid fa-paperclip"></i></button>
+                    <button id="share-btn" class="header-btn" title="Create share link" onclick="createShareLink()"><i class="fa-solid fa-link"></i></button>
                     <button id="save-btn" class="save-btn" onclick="saveFile()">Save</button>
                 </div>
             </div>
@@ -460,38 +583,13 @@ class MicroServer extends obsidian.Plugin {
     // API endpoint for commands
     this.expressApp.post('/api/command', async (req, res) => {
       try {
-        const { authHash, cmd, path, data } = req.body;
+        const { cmd, path, data, baseHash, baseMtime, refreshTree, protocolVersion, mode, commands } = req.body;
         
         console.log(`📥 HTTP Command received: ${cmd}`, path ? `(${path})` : '');
         
-        // Verify authentication and determine access level
-        let isReadOnly = false;
-        
-        if (!authHash) {
-          console.log('❌ Authentication failed - no password provided');
-          return res.status(401).json({ 
-            type: 'ERROR', 
-            message: 'INVALID PASSWORD' 
-          });
-        }
-        
-        // Check password - local HTTP is always read-write
-        console.log(`🔐 Auth check - cmd: ${cmd}`);
-        console.log(`🔐 passwordHash set: ${!!this.settings.passwordHash}`);
-        console.log(`🔐 authHash matches passwordHash: ${authHash === this.settings.passwordHash}`);
-        
-        if (authHash === this.settings.passwordHash) {
-          console.log('✅ Authenticated - read-write access');
-          isReadOnly = false; // Local HTTP is always read-write
-        }
-        // Invalid password
-        else {
-          console.log('❌ Authentication failed - invalid password');
-          return res.status(401).json({ 
-            type: 'ERROR', 
-            message: 'INVALID PASSWORD' 
-          });
-        }
+        // The session proves the password was entered; its access level is checked in processCommand
+        const session = this.authenticateRequest(req, res);
+        if (!session) return;
         
         // Create HTTP send callback
         const httpSendCallback = (type, responseData, meta = {}) => {
@@ -500,17 +598,258 @@ class MicroServer extends obsidian.Plugin {
         };
         
         // Process the command
-        await this.processCommand({ cmd, path, data }, httpSendCallback);
+        const access = session.readOnly ? ACCESS.READ : ACCESS.ADMIN;
+        await this.processCommand({ cmd, path, data, baseHash, baseMtime, refreshTree, protocolVersion, mode, commands }, httpSendCallback, {
+          access,
+          user: session.user,
+          transport: 'HTTP',
+          liveSessionId: session.id,
+          shownPaths: session.shownPaths
+        });
         
       } catch (error) {
         console.error('❌ API Error:', error);
         res.status(500).json({ 
           type: 'ERROR', 
-          message: error.message 
+          message: error.message,
+          data: { code: ERROR_CODES.INTERNAL, message: error.message }
+        });
+      }
+    });
+
+    // Login step 1: salt, iteration count and a one-time nonce (see shared/passwordAuth.js)
+    this.expressApp.post('/api/login/challenge', async (req, res) => {
+      if (!this.settings.passwordHash) {
+        return res.status(401).json({ 
+          type: 'ERROR', 
+          message: 'NO PASSWORD SET' 
+        });
+      }
+      
+      // A throttled client gets no fresh challenges either
+      const throttle = this.authThrottle.check([`ip:${req.ip}`]);
+      if (!throttle.allowed) {
+        const retryAfter = Math.ceil(throttle.retryAfter / 1000);
+        res.setHeader('Retry-After', retryAfter);
+        return res.status(429).json({ 
+          type: 'ERROR', 
+          message: throttle.locked ? 'LOCKED_OUT' : 'TOO_MANY_ATTEMPTS',
+          retryAfter
+        });
+      }
+      
+      // Legacy SHA-256 hash: upgrade it now so this login already uses the salted verifier
+      if (isLegacyHash(this.settings.passwordHash)) {
+        this.settings.passwordHash = await createVerifier(this.settings.passwordHash);
+        await this.saveSettings();
+        console.log('🔐 Upgraded local password to a salted verifier');
+      }
+      
+      const now = Date.now();
+      this.loginChallenges.forEach((issuedAt, nonce) => {
+        if (now - issuedAt > LOGIN_CHALLENGE_TTL) this.loginChallenges.delete(nonce);
+      });
+      
+      // Map keeps insertion order, so the first key is the oldest challenge
+      if (this.loginChallenges.size >= MAX_LOGIN_CHALLENGES) {
+        this.loginChallenges.delete(this.loginChallenges.keys().next().value);
+      }
+      const serverNonce = randomBase64(18);
+      this.loginChallenges.set(serverNonce, now);
+      const { salt, iterations } = this.settings.passwordHash;
+      res.json({ type: 'LOGIN_CHALLENGE', data: { serverNonce, salt, iterations } });
+    });
+    
+    // Login step 2: verify the proof and start a session (neither password nor verifier is sent)
+    this.expressApp.post('/api/login', async (req, res) => {
+      const { clientNonce, serverNonce, proof } = req.body || {};
+      const throttleKeys = [`ip:${req.ip}`];
+      const throttle = this.authThrottle.begin(throttleKeys);
+      if (!throttle.allowed) {
+        const retryAfter = Math.ceil(throttle.retryAfter / 1000);
+        console.log(`⏳ Login throttled for ${req.ip} (${retryAfter}s)`);
+        res.setHeader('Retry-After', retryAfter);
+        return res.status(429).json({ 
+          type: 'ERROR', 
+          message: throttle.locked ? 'LOCKED_OUT' : 'TOO_MANY_ATTEMPTS',
+          retryAfter
         });
       }
+      
+      const issuedAt = this.loginChallenges.get(serverNonce);
+      this.loginChallenges.delete(serverNonce);
+      
+      const record = this.settings.passwordHash;
+      const fresh = issuedAt && Date.now() - issuedAt <= LOGIN_CHALLENGE_TTL;
+      const valid = fresh && typeof clientNonce === 'string' && record && !isLegacyHash(record) &&
+        await verifyProof(record, buildAuthMessage(clientNonce, serverNonce, record.salt, record.iterations), proof);
+      
+      if (!valid) {
+        console.log('❌ Login failed - invalid password or stale challenge');
+        this.recordAuthFailure(throttleKeys, req.ip, 'HTTP');
+        return res.status(401).json({ 
+          type: 'ERROR', 
+          message: 'INVALID PASSWORD' 
+        });
+      }
+      
+      this.authThrottle.recordSuccess(throttleKeys);
+      const { token, session } = this.sessions.create({ user: 'owner', readOnly: false });
+      this.liveSessions.add({
+        id: session.id,
+        kind: 'http',
+        user: 'owner',
+        label: `Browser (${req.ip})`,
+        access: ACCESS.ADMIN,
+        disconnect: () => this.sessions.revokeById(session.id)
+      });
+      console.log(`✅ Web session ${session.id} started`);
+      this.logActivity('owner', 'CONNECTED', { transport: 'HTTP', access: ACCESS.ADMIN, details: { ip: req.ip, sessionId: session.id } });
+      this.sendSession(res, token, session);
+    });
+    
+    // Rotate the token before it expires (the old token stops working)
+    this.expressApp.post('/api/session/refresh', (req, res) => {
+      const refreshed = this.sessions.refresh(SessionStore.tokenFromRequest(req));
+      if (!refreshed) {
+        return res.status(401).json({ 
+          type: 'ERROR', 
+          message: 'SESSION_EXPIRED' 
+        });
+      }
+      this.sendSession(res, refreshed.token, refreshed.session);
+    });
+    
+    this.expressApp.post('/api/logout', (req, res) => {
+      this.sessions.revoke(SessionStore.tokenFromRequest(req));
+      res.setHeader('Set-Cookie', SessionStore.cookieFor('', 0));
+      res.json({ type: 'LOGGED_OUT', data: {} });
+    });
+
+    // Vault assets for rendered notes (authenticated by the HttpOnly session cookie)
+    this.expressApp.get('/api/asset', async (req, res) => {
+      try {
+        if (!this.authenticateRequest(req, res)) return;
+        
+        const safePath = this.sanitizePath(req.query.path);
+        if (!safePath) {
+          return res.status(400).send('Invalid path');
+        }
+        
+        const file = this.app.vault.getAbstractFileByPath(safePath);
+        if (!file || file.children || this.privacy.isPrivate(file.path)) {
+          return res.status(404).send('File not found');
+        }
+        await this.sendAsset(req, res, file);
+      } catch (error) {
+        console.error('❌ Asset Error:', error);
+        if (!res.headersSent) res.status(500).send(error.message);
+      }
+    });
+
+    // Public share links: one read-only rendered note, no account needed (see shareLinks.js)
+    this.expressApp.get('/s/:token', async (req, res) => {
+      try {
+        this.setSharePageHeaders(res);
+        const link = this.shareLinks.find(req.params.token);
+        const file = link && this.app.vault.getAbstractFileByPath(link.path);
+        if (!link || !file || this.privacy.isPrivate(file.path)) {
+          return res.status(404).send(this.buildShareMessagePage('Link not available', 'This link has expired or was revoked.'));
+        }
+        if (this.shareLinks.isExhausted(link)) {
+          return res.status(410).send(this.buildShareMessagePage('Link not available', 'This link has reached its view limit.'));
+        }
+        if (!this.shareLinks.isUnlocked(req, link)) {
+          return res.send(this.buildSharePasswordPage(link, false));
+        }
+        
+        const rendered = await this.renderSharedNote(link);
+        await this.shareLinks.recordView(link);
+        console.log(`🔗 Share link viewed: ${link.path} (${link.views}${link.maxViews ? '/' + link.maxViews : ''})`);
+        res.send(this.buildSharePage(file, rendered));
+      } catch (error) {
+        console.error('❌ Share Link Error:', error);
+        if (!res.headersSent) res.status(500).send(this.buildShareMessagePage('Something went wrong', 'The note could not be rendered.'));
+      }
+    });
+    
+    // Password form for protected links (a plain form post, the page runs no scripts)
+    this.expressApp.post('/s/:token', express.urlencoded({ extended: false, limit: '4kb' }), async (req, res) => {
+      this.setSharePageHeaders(res);
+      const link = this.shareLinks.find(req.params.token);
+      if (!link || !link.password) {
+        return res.redirect(303, `/s/${encodeURIComponent(req.params.token)}`);
+      }
+      
+      const throttleKeys = [`ip:${req.ip}`, `share:${link.token}`];
+      const throttle = this.authThrottle.begin(throttleKeys);
+      if (!throttle.allowed) {
+        const retryAfter = Math.ceil(throttle.retryAfter / 1000);
+        res.setHeader('Retry-After', retryAfter);
+        return res.status(429).send(this.buildShareMessagePage('Too many attempts', `Try again in ${retryAfter} seconds.`));
+      }
+      
+      if (!(await this.shareLinks.verify(link, req.body?.password))) {
+        this.recordAuthFailure(throttleKeys, req.ip, 'Share Link');
+        return res.status(401).send(this.buildSharePasswordPage(link, true));
+      }
+      
+      this.authThrottle.recordSuccess(throttleKeys);
+      res.setHeader('Set-Cookie', this.shareLinks.unlock(link));
+      res.redirect(303, `/s/${link.token}`);
+    });
+    
+    // Attachments embedded in a shared note (nothing else is reachable through the link)
+    this.expressApp.get('/s/:token/asset', async (req, res) => {
+      try {
+        const link = this.shareLinks.find(req.params.token);
+        if (!link || !this.shareLinks.isUnlocked(req, link)) {
+          return res.status(404).send('File not found');
+        }
+        
+        const safePath = this.sanitizePath(req.query.path);
+        const file = safePath && this.app.vault.getAbstractFileByPath(safePath);
+        const scope = new ShareScope(this.app, link.path, this.privacy);
+        if (!file || file.children || !scope.allows(file.path)) {
+          return res.status(404).send('File not found');
+        }
+        res.setHeader('X-Robots-Tag', 'noindex');
+        await this.sendAsset(req, res, file);
+      } catch (error) {
+        console.error('❌ Share Asset Error:', error);
+        if (!res.headersSent) res.status(500).send(error.message);
+      }
+    });
+
+    // Push channel for live vault events (Server-Sent Events over a POST stream)
+    this.expressApp.post('/api/events', (req, res) => {
+      const session = this.authenticateRequest(req, res);
+      if (!session) return;
+      
+      res.setHeader('Content-Type', 'text/event-stream');
+      res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+      res.setHeader('Connection', 'keep-alive');
+      res.flushHeaders();
+      res.write(': connected\n\n');
+      
+      res.sessionId = session.id; // closed when the session is revoked
+      res.shownPaths = session.shownPaths;
+      this.eventClients.add(res);
+      console.log(`📡 Event stream opened (${this.eventClients.size} subscribers)`);
+      
+      // Keep-alive comment so proxies don't drop an idle stream
+      const keepAlive = setInterval(() => res.write(': ping\n\n'), 25000);
+      
+      req.on('close', () => {
+        clearInterval(keepAlive);
+        this.eventClients.delete(res);
+        console.log(`📡 Event stream closed (${this.eventClients.size} subscribers)`);
+      });
     });
 
+    // /api/v1: REST routes for scripts, backed by processCommand (restApi.js)
+    this.restApi.register(this.expressApp);
+
     // Start server
     const PORT = this.settings.localPort || 5474;
     this.expressServer = this.expressApp.listen(PORT, () => {
@@ -528,6 +867,115 @@ class MicroServer extends obsidian.Plugin {
     });
   }
 
+  /**
+   * End live event streams
+   * @param {string} sessionId - Only streams opened by this session (all if omitted)
+   */
+  closeEventClients(sessionId = null) {
+    this.eventClients.forEach((res) => {
+      if (sessionId && res.sessionId !== sessionId) return;
+      try {
+        res.end();
+      } catch (e) {
+        // Stream already closed
+      }
+      this.eventClients.delete(res);
+    });
+  }
+
+  /**
+   * Resolve the session for an HTTP request, or answer 401
+   * @returns {Object|null} Session from SessionStore
+   */
+  authenticateRequest(req, res) {
+    const session = this.sessions.validate(SessionStore.tokenFromRequest(req));
+    if (!session) {
+      console.log('❌ Authentication failed - missing or expired session');
+      res.status(401).json({ 
+        type: 'ERROR', 
+        message: 'SESSION_EXPIRED' 
+      });
+      return null;
+    }
+    return session;
+  }
+
+  /**
+   * Re-apply a guest's current entry to a session being resumed
+   * Resumes chain, so without this a mode or scope change in settings would never reach the session.
+   * @param {Object} state - Resumable session state (updated in place)
+   * @returns {boolean} False if the guest is no longer on the list
+   */
+  refreshSessionState(state) {
+    if (state.user === 'owner') return true;
+    const guest = (this.settings.guestList || []).find((g) =>
+      (state.guestEmail && g.email === state.guestEmail) || (state.guestUserId && g.userId === state.guestUserId));
+    if (!guest) return false;
+    state.readOnly = guest.mode === 'ro';
+    state.access = state.readOnly ? ACCESS.READ : ACCESS.WRITE;
+    state.scope = isScopeRestricted(guest.scope) ? new GuestScope(this.app, guest.scope, this.privacy) : null;
+    return true;
+  }
+
+  /**
+   * Check a remote peer's credentials against a stored verifier
+   * Accepts a challenge-response proof (after AUTH_CHALLENGE). The SHA-256 authHash of older clients
+   * only unlocks legacy SHA-256 records, which are upgraded to salted verifiers on that first check;
+   * after that the password-equivalent hash is worthless on the wire.
+   * @param {Object|string} record - Stored verifier (or legacy hash)
+   * @param {Object} msg - HANDSHAKE message { authHash } or { authProof, clientNonce }
+   * @param {Object|null} challenge - { serverNonce, issuedAt } issued to this peer
+   * @param {Function} update - Receives the upgraded record
+   */
+  async checkPeerCredentials(record, msg, challenge, update) {
+    if (!record) return false;
+    
+    if (msg.authProof) {
+      if (!challenge || Date.now() - challenge.issuedAt > LOGIN_CHALLENGE_TTL || isLegacyHash(record)) return false;
+      const authMessage = buildAuthMessage(msg.clientNonce, challenge.serverNonce, record.salt, record.iterations);
+      return verifyProof(record, authMessage, msg.authProof);
+    }
+    
+    if (!isLegacyHash(record) || !(await verifyPasswordHash(record, msg.authHash))) return false;
+    update(await createVerifier(msg.authHash));
+    await this.saveSettings();
+    console.log('🔐 Upgraded legacy password hash to a salted verifier');
+    return true;
+  }
+
+  /**
+   * Count a failed login, audit it, and warn the owner when someone keeps failing
+   * @param {string[]} keys - Throttle keys for the attempt
+   * @param {string} identity - Who tried (IP, email or peer id) for the log and Notice
+   * @param {string} transport - 'HTTP' | 'WebRTC'
+   */
+  recordAuthFailure(keys, identity, transport) {
+    const result = this.authThrottle.recordFailure(keys);
+    this.logActivity(identity, 'AUTH_FAILED', { transport, result: 'denied', details: { failures: result.failures, lockedOut: result.lockedOut } });
+    
+    if (result.lockedOut) {
+      new obsidian.Notice(`⚠️ Note Relay: ${identity} locked out for ${LOCKOUT_DURATION / 60000} minutes after ${result.failures} failed logins (${transport})`, 15000);
+    } else if (result.alert) {
+      new obsidian.Notice(`⚠️ Note Relay: ${result.failures} failed login attempts from ${identity} (${transport})`, 10000);
+    }
+  }
+
+  /**
+   * Reply to login/refresh: cookie for asset requests, token in the body for the Authorization header
+   */
+  sendSession(res, token, session) {
+    res.setHeader('Set-Cookie', SessionStore.cookieFor(token));
+    res.json({
+      type: 'SESSION',
+      data: {
+        token,
+        sessionId: session.id,
+        expiresAt: session.expiresAt,
+        idleTimeout: SESSION_IDLE_TIMEOUT
+      }
+    });
+  }
+
   onunload() {
     this.disconnectSignaling();
     
@@ -539,6 +987,7 @@ class MicroServer extends obsidian.Plugin {
     
     // Close Express server
     if (this.expressServer) {
+      this.closeEventClients();
       this.expressServer.close(() => {
         console.log('Express server closed');
       });
@@ -579,7 +1028,20 @@ class MicroServer extends obsidian.Plugin {
     return clean;
   }
 
+  /**
+   * Note Relay API endpoint (settings.apiBaseUrl, default noterelay.io)
+   * Self-hosted mode never reaches this; callers branch on settings.selfHosted first.
+   */
+  apiUrl(path) {
+    const base = (this.settings.apiBaseUrl || API_BASE_URL).replace(/\/+$/, '');
+    return `${base}${path}`;
+  }
+
   async registerVaultAndGetSignalId() {
+    if (this.settings.selfHosted) {
+      console.log('Self-hosted mode: vault registration skipped');
+      return null;
+    }
     if (!this.settings.userEmail) {
       console.log('No user email configured');
       return null;
@@ -587,7 +1049,7 @@ class MicroServer extends obsidian.Plugin {
 
     try {
       const os = require('os');
-      const response = await fetch('https://noterelay.io/api/vaults?route=register', {
+      const response = await fetch(this.apiUrl('/api/vaults?route=register'), {
         method: 'POST',
         headers: { 
           'Content-Type': 'application/json',
@@ -674,7 +1136,7 @@ class MicroServer extends obsidian.Plugin {
     
     try {
       console.log('Fetching TURN credentials for host...');
-      const response = await fetch('https://noterelay.io/api/turn-credentials', {
+      const response = await fetch(this.apiUrl('/api/turn-credentials'), {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
@@ -729,7 +1191,7 @@ class MicroServer extends obsidian.Plugin {
     }
 
     try {
-      const response = await fetch('https://noterelay.io/api/vaults?route=heartbeat', {
+      const response = await fetch(this.apiUrl('/api/vaults?route=heartbeat'), {
         method: 'POST',
         headers: { 
           'Content-Type': 'application/json'
@@ -776,15 +1238,9 @@ class MicroServer extends obsidian.Plugin {
       this.heartbeatInterval = null;
     }
     
-    // Unsubscribe from Supabase
-    if (this.channel) {
-        this.channel.unsubscribe();
-        this.channel = null;
-    }
-    
-    if (this.supabase) {
-        this.supabase.removeAllChannels();
-        this.supabase = null;
+    if (this.signaling) {
+        this.signaling.disconnect();
+        this.signaling = null;
     }
 
     this.signalId = null;
@@ -796,128 +1252,590 @@ class MicroServer extends obsidian.Plugin {
   }
 
   /**
-   * Unified command processor for both WebRTC and HTTP modes
-   * @param {Object} msg - The command message { cmd, path, data }
-   * @param {Function} sendCallback - Function to send response: (type, data, meta) => void
+   * Build the file-list entry the web UI keeps in masterFileList
+   * @param {TFile} file - Markdown file from the vault
+   * @returns {Object} { path, tags, links }
    */
-  async processCommand(msg, sendCallback) {
-    try {
-      if (msg.cmd === 'PING' || msg.cmd === 'HANDSHAKE') {
-        console.log('🔒 Server PING/HANDSHAKE received');
-        const themeCSS = this.extractThemeCSS();
-        sendCallback(msg.cmd === 'PING' ? 'PONG' : 'HANDSHAKE_ACK', { 
-            version: BUILD_VERSION, 
-            readOnly: false, // Will be overridden by HTTP/WebRTC handlers in their callbacks
-            css: themeCSS
-        });
-        return;
-      }
-      
-      if (msg.cmd === 'GET_TREE') {
-        const files = this.app.vault.getMarkdownFiles().map((f) => {
-          const cache = this.app.metadataCache.getFileCache(f);
-          let tags = [], links = [];
-          if (cache) {
-            if (cache.frontmatter?.tags) {
-              let ft = cache.frontmatter.tags;
-              if (!Array.isArray(ft)) ft = [ft];
-              ft.forEach((t) => tags.push(t.startsWith('#') ? t : '#' + t));
-            }
-            if (cache.tags) cache.tags.forEach((t) => tags.push(t.tag));
-            if (cache.links) cache.links.forEach((l) => links.push(l.link));
-          }
-          return { path: f.path, tags: [...new Set(tags)], links: [...new Set(links)] };
-        });
-        
-        // Get all folders including empty ones
-        const allFolders = [];
-        const getAllFolders = (folder) => {
-          folder.children.forEach(child => {
-            if (child.children) {
-              allFolders.push(child.path);
-              getAllFolders(child);
-            }
-          });
-        };
-        getAllFolders(this.app.vault.getRoot());
-        
-        // NEW: Send Theme CSS immediately with the file tree
-        const treeCss = this.extractThemeCSS();
-        sendCallback('TREE', { files, folders: allFolders, css: treeCss });
-        return;
+  buildFileEntry(file, scope = null) {
+    const cache = this.app.metadataCache.getFileCache(file);
+    let tags = [], links = [];
+    if (cache) {
+      if (cache.frontmatter?.tags) {
+        let ft = cache.frontmatter.tags;
+        if (!Array.isArray(ft)) ft = [ft];
+        ft.forEach((t) => tags.push(t.startsWith('#') ? t : '#' + t));
       }
-      
-      if (msg.cmd === 'GET_RENDERED_FILE') {
-        const safePath = this.sanitizePath(msg.path);
-        if (!safePath) {
-          sendCallback('ERROR', { message: 'Invalid path' });
-          return;
-        }
-        
-        let file = this.app.vault.getAbstractFileByPath(safePath);
-        let shouldRefreshTree = msg.refreshTree || false;
-        
-        // AUTO-CREATE MISSING FILE (Ghost Link Support)
-        if (!file) {
-          try {
-            console.log('Ghost Link: Creating missing file', safePath);
-            file = await this.app.vault.create(safePath, '');
-            new obsidian.Notice(`Created: ${safePath}`);
-            shouldRefreshTree = true; // FORCE REFRESH
-          } catch (err) {
-            console.error('Ghost Create Failed:', err);
-            sendCallback('ERROR', { message: `Could not create '${safePath}'. Ensure folder exists.` });
-            return;
-          }
+      if (cache.tags) cache.tags.forEach((t) => tags.push(t.tag));
+      if (cache.links) cache.links.forEach((l) => {
+        // Links into notes a scoped guest can't see would leak their names to the graph
+        if (scope) {
+          const dest = this.app.metadataCache.getFirstLinkpathDest(obsidian.getLinkpath(l.link), file.path);
+          if (dest && !scope.allows(dest.path)) return;
         }
+        links.push(l.link);
+      });
+    }
+    return { path: file.path, tags: [...new Set(tags)], links: [...new Set(links)] };
+  }
 
-        try {
-            const content = await this.app.vault.read(file);
-            
-            // Extract YAML frontmatter
-            let yamlData = null;
-            let contentWithoutYaml = content;
-            const yamlMatch = content.match(/^---\n([\s\S]*?)\n---\n?/);
-            
-            if (yamlMatch) {
-                const yamlText = yamlMatch[1];
-                try {
-                    // Parse YAML to object (Obsidian's parser handles it)
-                    const cache = this.app.metadataCache.getFileCache(file);
-                    if (cache && cache.frontmatter) {
-                        yamlData = { ...cache.frontmatter };
-                        delete yamlData.position; // Remove metadata
-                    }
-                    contentWithoutYaml = content.slice(yamlMatch[0].length);
-                } catch (err) {
-                    console.warn('Invalid YAML frontmatter:', err);
-                }
-            }
-            
-            const div = document.createElement('div');
-            
-            // Render Markdown WITHOUT frontmatter
-            await obsidian.MarkdownRenderer.render(this.app, contentWithoutYaml, div, file.path, this);
-            
-            // Smart Rendering: Wait for Dataview/Plugins to settle
-            await this.waitForRender(div);
-            
-            // Extract CSS
-            const themeCSS = this.extractThemeCSS();
-            
-            // 6. GRAPH & BACKLINKS DATA
-            const graphData = { nodes: [], edges: [] };
-            const currentPath = msg.path;
-            const backlinks = [];
-            
-            // Add Central Node
-            graphData.nodes.push({ id: currentPath, label: file.basename, group: 'center' });
+  /**
+   * Subscribe to vault and metadata changes so connected clients stay in sync
+   * Registered after layout is ready to skip the 'create' storm on vault load
+   */
+  registerVaultEvents() {
+    this.pendingVaultEvents = new Map();
 
-            // A. Forward Links
-            const cache = this.app.metadataCache.getFileCache(file);
-            if (cache && cache.links) {
+    this.app.workspace.onLayoutReady(() => {
+      this.registerEvent(this.app.vault.on('create', (file) => {
+        this.queueVaultEvent('create', file);
+      }));
+      this.registerEvent(this.app.vault.on('modify', (file) => {
+        // Markdown edits are reported by metadataCache 'changed' (with fresh tags/links)
+        if (file.extension !== 'md') this.queueVaultEvent('modify', file);
+      }));
+      this.registerEvent(this.app.vault.on('delete', (file) => {
+        this.queueVaultEvent('delete', file);
+      }));
+      this.registerEvent(this.app.vault.on('rename', (file, oldPath) => {
+        this.queueVaultEvent('rename', file, oldPath);
+      }));
+      this.registerEvent(this.app.metadataCache.on('changed', (file) => {
+        this.queueVaultEvent('modify', file);
+      }));
+      console.log('Note Relay: Vault change events enabled');
+    });
+  }
+
+  /**
+   * Debounce vault events per path (rapid typing in Obsidian fires many modify events)
+   * @param {string} event - 'create' | 'modify' | 'delete' | 'rename'
+   * @param {TAbstractFile} file - Affected file or folder
+   * @param {string} oldPath - Previous path (rename only)
+   */
+  queueVaultEvent(event, file, oldPath = null) {
+    const key = oldPath ? `${oldPath}->${file.path}` : file.path;
+    const pending = this.pendingVaultEvents.get(key);
+    if (pending) clearTimeout(pending.timer);
+
+    // Keep the strongest event: a create followed by modifies is still a create
+    const merged = pending && pending.event === 'create' && event === 'modify' ? 'create' : event;
+
+    const timer = setTimeout(() => {
+      this.pendingVaultEvents.delete(key);
+      this.broadcastVaultEvent(merged, file, oldPath);
+    }, 250);
+    this.pendingVaultEvents.set(key, { event: merged, timer });
+  }
+
+  /**
+   * Push a VAULT_EVENT to every authenticated WebRTC peer and local push subscriber
+   */
+  broadcastVaultEvent(event, file, oldPath = null) {
+    this.vaultSearch.invalidate();
+    const isFolder = !!file.children;
+    const payload = {
+      event,
+      kind: isFolder ? 'folder' : 'file',
+      path: file.path,
+      oldPath,
+      mtime: file.stat?.mtime || null
+    };
+
+    // Deleted files no longer have a metadata cache entry
+    if (!isFolder && event !== 'delete' && file.extension === 'md') {
+      payload.entry = this.buildFileEntry(file);
+    }
+
+    // Sessions sharing a shownPaths set (several streams of one browser session) get the same payload
+    const scoped = new Map();
+    const scopeFor = (scope, shownPaths) => {
+      if (!scoped.has(shownPaths)) {
+        scope.invalidate();
+        scoped.set(shownPaths, this.scopeVaultEvent(payload, file, scope, shownPaths));
+      }
+      return scoped.get(shownPaths);
+    };
+    
+    // Dropped WebRTC sessions catch up on RESUME
+    this.resumableSessions.bufferEvent((state) => scopeFor(state.scope || this.remoteScope(), state.shownPaths));
+
+    this.activePeers.forEach((peer) => {
+      const data = scopeFor(peer.scope || this.remoteScope(), peer.shownPaths);
+      if (data) peer.sendChunked('VAULT_EVENT', data);
+    });
+
+    this.eventClients.forEach((res) => {
+      const data = scopeFor(this.remoteScope(), res.shownPaths);
+      if (!data) return;
+      try {
+        res.write(`event: message\ndata: ${JSON.stringify({ type: 'VAULT_EVENT', data })}\n\n`);
+      } catch (e) {
+        this.eventClients.delete(res);
+      }
+    });
+  }
+
+  /**
+   * Visibility rules for sessions without a guest scope (owner, full-vault guests): private notes only
+   */
+  remoteScope() {
+    if (!this.ownerScope) this.ownerScope = new GuestScope(this.app, null, this.privacy);
+    return this.ownerScope;
+  }
+
+  /**
+   * Tailor a vault event to one session
+   * Moves across the scope boundary look like a create (moved in) or a delete (moved out).
+   * Deletes and old rename paths can't be checked against the note any more (a private note's
+   * frontmatter is gone), so they only go to sessions that were shown the path before.
+   * @param {Set} shownPaths - Paths this session has seen in its tree or in earlier events (updated here)
+   * @returns {Object|null} Payload to send, or null if the session shouldn't hear about it
+   */
+  scopeVaultEvent(payload, file, scope, shownPaths) {
+    const isFolder = payload.kind === 'folder';
+    const visible = (path) => (isFolder ? scope.allowsFolder(path, []) : scope.allows(path));
+    const withEntry = (data) => (data.entry ? { ...data, entry: this.buildFileEntry(file, scope) } : data);
+    const hidden = (path) => ({ ...payload, event: 'delete', path, oldPath: null, entry: undefined });
+
+    if (payload.event === 'delete') {
+      return shownPaths.delete(payload.path) ? payload : null;
+    }
+    if (payload.event === 'rename') {
+      const wasVisible = shownPaths.delete(payload.oldPath);
+      if (!visible(payload.path)) return wasVisible ? hidden(payload.oldPath) : null;
+      shownPaths.add(payload.path);
+      return withEntry(wasVisible ? payload : { ...payload, event: 'create', oldPath: null });
+    }
+    if (!visible(payload.path)) {
+      // e.g. a note just marked private
+      return shownPaths.delete(payload.path) ? hidden(payload.path) : null;
+    }
+    shownPaths.add(payload.path);
+    return withEntry(payload);
+  }
+
+  /**
+   * Protocol version and the commands a session may run (PONG/HANDSHAKE_ACK, see shared/protocol.js)
+   */
+  protocolInfo(access) {
+    return {
+      version: PROTOCOL_VERSION,
+      minVersion: MIN_PROTOCOL_VERSION,
+      commands: Object.keys(COMMANDS).filter((cmd) => canRun(access, cmd))
+    };
+  }
+
+  /**
+   * Unified command processor for both WebRTC and HTTP modes
+   * Runs the command and records it in the audit log (who, path, access level, bytes, result).
+   * BATCH envelopes are unpacked by processBatch, which sends each command back through here.
+   * @param {Object} msg - The command message { cmd, path, data }
+   * @param {Function} sendCallback - Function to send response: (type, data, meta) => void
+   * @param {Object} context - Calling session: { access: 'read'|'write'|'admin' (permissions.js), scope: GuestScope|null,
+   *   user, transport, binaryFrames, shownPaths } - user/transport only label audit entries; binaryFrames lets binary
+   *   payloads (ASSET slices) go out as raw bytes instead of base64; shownPaths collects the paths GET_TREE listed
+   */
+  async processCommand(msg, sendCallback, context = { access: ACCESS.READ }) {
+    if (msg.cmd === 'BATCH') return this.processBatch(msg, sendCallback, context);
+    
+    const audit = { result: 'ok', message: null, bytesOut: 0, lastType: null };
+    const auditedCallback = (type, data, meta) => {
+      audit.lastType = type;
+      if (type === 'ERROR' && !data?.code) data = { code: ERROR_CODES.INTERNAL, ...data };
+      // Responses are checked against shared/protocol.js but still sent; a mismatch is a host bug
+      const mismatch = checkResponse(msg.cmd, type, data);
+      if (mismatch) console.warn(`⚠️ Protocol: ${msg.cmd} response ${mismatch}`);
+      if (type === 'ERROR') {
+        if (audit.result === 'ok') audit.result = 'error';
+        audit.message = data?.message || null;
+      } else {
+        audit.bytesOut += measurePayload(data);
+      }
+      return sendCallback(type, data, meta);
+    };
+    
+    await this.runCommand(msg, auditedCallback, { ...context, audit });
+    
+    const bytesIn = measurePayload(msg.data);
+    this.liveSessions.recordCommand(context.liveSessionId, { cmd: msg.cmd, path: msg.path, bytesIn, bytesOut: audit.bytesOut });
+    
+    // Keep-alives and intermediate upload chunks would drown out everything else
+    if (msg.cmd === 'PING' || audit.lastType === 'UPLOAD_PROGRESS') return;
+    this.auditLog.record({
+      user: context.user || 'unknown',
+      transport: context.transport || null,
+      action: msg.cmd,
+      path: msg.path ? this.sanitizePath(msg.path) : null,
+      newPath: msg.data?.newPath ? this.sanitizePath(msg.data.newPath) : undefined,
+      access: requiredAccess(msg.cmd),
+      result: audit.result,
+      message: audit.message || undefined,
+      bytesIn,
+      bytesOut: audit.bytesOut
+    });
+  }
+
+  /**
+   * Whether a session may run a command as sent: permissions (permissions.js), then the declared
+   * schema (shared/protocol.js), so handlers can trust their fields
+   * @returns {Object|null} ERROR data ({ code, message, field? }) or null if it can run
+   */
+  checkCommand(msg, access) {
+    if (!canRun(access, msg.cmd)) {
+      const required = requiredAccess(msg.cmd);
+      if (!required) return { code: ERROR_CODES.UNKNOWN_COMMAND, message: `Unknown command: ${msg.cmd}` };
+      console.log(`🔒 Blocked ${msg.cmd} command - needs ${required}, session has ${access}`);
+      return required === ACCESS.WRITE
+        ? { code: ERROR_CODES.READ_ONLY, message: 'READ-ONLY MODE: Editing is disabled' }
+        : { code: ERROR_CODES.FORBIDDEN, message: 'PERMISSION DENIED: Only the vault owner can do this' };
+    }
+    return validateCommand(msg);
+  }
+
+  /**
+   * BATCH: run several commands for one request and answer with a single BATCH_RESULT
+   * Every command goes through processCommand on its own (permissions, scope, audit log).
+   * 'sequential' checks all of them before running any, stops at the first failure and rolls back
+   * what the earlier commands changed (BatchJournal); writes it can't undo are refused.
+   * 'parallel' runs up to BATCH_CONCURRENCY at a time. Results are keyed by each command's requestId (default: index).
+   */
+  async processBatch(msg, sendCallback, context) {
+    const refused = this.checkCommand(msg, context.access);
+    if (refused) {
+      sendCallback('ERROR', refused);
+      return;
+    }
+    
+    const malformed = msg.commands.findIndex((command) => !command || typeof command !== 'object' || Array.isArray(command) ||
+      command.cmd === 'BATCH' || !['undefined', 'string', 'number'].includes(typeof command.requestId));
+    if (malformed !== -1) {
+      sendCallback('ERROR', {
+        code: ERROR_CODES.BAD_REQUEST,
+        message: 'Batch entries must be commands (no nested batches) with a string or number requestId',
+        field: `commands.${malformed}`
+      });
+      return;
+    }
+    const excluded = msg.commands.findIndex((command) => BATCH_EXCLUDED_COMMANDS.includes(command.cmd));
+    if (excluded !== -1) {
+      sendCallback('ERROR', {
+        code: ERROR_CODES.BAD_REQUEST,
+        message: `${msg.commands[excluded].cmd} can't run inside a batch`,
+        field: `commands.${excluded}`
+      });
+      return;
+    }
+    
+    const mode = msg.mode || 'sequential';
+    const commands = msg.commands.map((command, index) => ({
+      protocolVersion: msg.protocolVersion,
+      ...command,
+      requestId: command.requestId ?? index
+    }));
+    if (new Set(commands.map((command) => command.requestId)).size !== commands.length) {
+      sendCallback('ERROR', { code: ERROR_CODES.BAD_REQUEST, message: 'requestIds in a batch must be unique', field: 'commands' });
+      return;
+    }
+    
+    const summary = (command, status, type = null, data = null, meta = {}) => ({
+      requestId: command.requestId,
+      cmd: command.cmd,
+      status,
+      type,
+      data,
+      meta
+    });
+    // Results are embedded in one JSON message (ASSET, the one binary response, is excluded above)
+    const innerContext = { ...context, binaryFrames: false };
+    const run = async (command) => {
+      let last = null;
+      await this.processCommand(command, (type, data, meta) => {
+        last = { type, data, meta: meta || {} };
+      }, innerContext);
+      if (!last) return summary(command, 'error', 'ERROR', { code: ERROR_CODES.INTERNAL, message: `${command.cmd} sent no response` });
+      return summary(command, FAILURE_RESPONSES.includes(last.type) ? 'error' : 'ok', last.type, last.data, last.meta);
+    };
+    
+    let results;
+    let rollback = null;
+    if (mode === 'parallel') {
+      results = new Array(commands.length);
+      let next = 0;
+      const worker = async () => {
+        while (next < commands.length) {
+          const index = next++;
+          results[index] = await run(commands[index]);
+        }
+      };
+      await Promise.all(Array.from({ length: Math.min(BATCH_CONCURRENCY, commands.length) }, worker));
+    } else {
+      // Refuse the whole batch up front if any command could never run (or never be undone)
+      const problems = commands.map((command) => {
+        const refusal = BatchJournal.refusal(command);
+        return this.checkCommand(command, context.access) ||
+          (refusal && { code: ERROR_CODES.BAD_REQUEST, message: refusal, field: 'mode' });
+      });
+      const failedAt = problems.findIndex(Boolean);
+      if (failedAt !== -1) {
+        results = commands.map((command, index) => index === failedAt
+          ? summary(command, 'error', 'ERROR', problems[index])
+          : summary(command, 'skipped'));
+      } else {
+        const journal = new BatchJournal(this.app, (path) => this.sanitizePath(path));
+        results = [];
+        for (const command of commands) {
+          const refusal = await journal.before(command);
+          const result = refusal
+            ? summary(command, 'error', 'ERROR', { code: ERROR_CODES.BAD_REQUEST, message: refusal, field: 'mode' })
+            : await run(command);
+          results.push(result);
+          journal.after(command, result);
+          if (result.status === 'error') break;
+        }
+        commands.slice(results.length).forEach((command) => results.push(summary(command, 'skipped')));
+        
+        // All or nothing: undo what the commands before the failure changed
+        if (results.some((result) => result.status === 'error')) {
+          const errors = await journal.rollback();
+          results.forEach((result) => {
+            if (result.status === 'ok') result.status = 'rolled_back';
+          });
+          rollback = { rolledBack: true, ...(errors.length ? { rollbackErrors: errors } : {}) };
+        }
+      }
+    }
+    
+    sendCallback('BATCH_RESULT', { mode, completed: results.every((result) => result.status === 'ok'), ...rollback, results });
+  }
+
+  /**
+   * Command implementations (called through processCommand; recursive calls use this directly)
+   * context.audit.result is set to 'denied' when a permission or scope check refuses the command.
+   */
+  async runCommand(msg, sendCallback, context) {
+    try {
+      const refused = this.checkCommand(msg, context.access);
+      if (refused) {
+        if (context.audit) context.audit.result = refused.code === ERROR_CODES.BAD_REQUEST ? 'error' : 'denied';
+        sendCallback('ERROR', refused);
+        return;
+      }
+      
+      // Private notes and paths outside a guest's folders/tags are reported as missing, not forbidden
+      const scope = context.scope || this.remoteScope();
+      if (msg.path) {
+        const scopedPath = this.sanitizePath(msg.path);
+        const visible = this.app.vault.getAbstractFileByPath(scopedPath)
+          ? scope.allows(scopedPath)
+          : scope.allowsPath(scopedPath);
+        if (!visible) {
+          console.log(`🔒 Blocked ${msg.cmd} on hidden path: ${scopedPath}`);
+          if (context.audit) context.audit.result = 'denied';
+          sendCallback('ERROR', { code: ERROR_CODES.NOT_FOUND, message: 'File not found' });
+          return;
+        }
+      }
+      
+      if (msg.cmd === 'PING' || msg.cmd === 'HANDSHAKE') {
+        console.log('🔒 Server PING/HANDSHAKE received');
+        const themeCSS = this.extractThemeCSS();
+        sendCallback(msg.cmd === 'PING' ? 'PONG' : 'HANDSHAKE_ACK', { 
+            version: BUILD_VERSION, 
+            protocol: this.protocolInfo(context.access),
+            readOnly: !hasAccess(context.access, ACCESS.WRITE),
+            access: context.access,
+            css: themeCSS
+        });
+        return;
+      }
+      
+      if (msg.cmd === 'GET_TREE') {
+        const files = this.app.vault.getMarkdownFiles()
+          .filter((f) => scope.allows(f.path))
+          .map((f) => this.buildFileEntry(f, scope));
+        
+        // Get all folders including empty ones
+        const allFolders = [];
+        const getAllFolders = (folder) => {
+          folder.children.forEach(child => {
+            if (child.children) {
+              allFolders.push(child.path);
+              getAllFolders(child);
+            }
+          });
+        };
+        getAllFolders(this.app.vault.getRoot());
+        
+        const filePaths = files.map((f) => f.path);
+        const folders = allFolders.filter((folder) => scope.allowsFolder(folder, filePaths));
+        // Only paths a session was shown may later appear in its delete/rename events
+        if (context.shownPaths) [...filePaths, ...folders].forEach((p) => context.shownPaths.add(p));
+        
+        // NEW: Send Theme CSS immediately with the file tree
+        const treeCss = this.extractThemeCSS();
+        sendCallback('TREE', { 
+          files, 
+          folders, 
+          // Saved searches are the owner's; guests could learn note names from the queries
+          savedSearches: hasAccess(context.access, ACCESS.ADMIN) ? (this.settings.savedSearches || []) : [], 
+          css: treeCss 
+        });
+        return;
+      }
+      
+      if (msg.cmd === 'SAVE_SEARCH') {
+        const name = typeof msg.data?.name === 'string' ? msg.data.name.trim() : '';
+        const query = typeof msg.data?.query === 'string' ? msg.data.query.trim() : '';
+        if (!name || !query) {
+          sendCallback('ERROR', { code: ERROR_CODES.BAD_REQUEST, message: 'Saved search needs a name and a query' });
+          return;
+        }
+        
+        // Same name overwrites (lets the UI "update" a saved search)
+        const saved = (this.settings.savedSearches || []).filter(s => s.name !== name);
+        saved.push({ name, query });
+        this.settings.savedSearches = saved;
+        await this.saveSettings();
+        
+        sendCallback('SAVED_SEARCHES', { savedSearches: saved });
+        return;
+      }
+      
+      if (msg.cmd === 'DELETE_SAVED_SEARCH') {
+        const name = msg.data?.name;
+        this.settings.savedSearches = (this.settings.savedSearches || []).filter(s => s.name !== name);
+        await this.saveSettings();
+        
+        sendCallback('SAVED_SEARCHES', { savedSearches: this.settings.savedSearches });
+        return;
+      }
+      
+      if (msg.cmd === 'CREATE_SHARE_LINK') {
+        const safePath = this.sanitizePath(msg.path);
+        const file = safePath && this.app.vault.getAbstractFileByPath(safePath);
+        if (!file || file.extension !== 'md') {
+          sendCallback('ERROR', { code: ERROR_CODES.BAD_REQUEST, message: 'Only existing notes can be shared' });
+          return;
+        }
+        
+        const { expiry, password, maxViews } = msg.data || {};
+        const link = await this.shareLinks.create(file.path, { expiry, password, maxViews });
+        this.logActivity(context.user || 'owner', 'SHARE_LINK_CREATED', { transport: context.transport, path: file.path, details: { expiresAt: link.expiresAt, maxViews: link.maxViews } });
+        sendCallback('SHARE_LINK', {
+          path: `/s/${link.token}`,
+          url: this.getShareUrl(link.token),
+          expiresAt: link.expiresAt,
+          maxViews: link.maxViews,
+          hasPassword: !!link.password
+        }, { path: file.path });
+        return;
+      }
+      
+      if (msg.cmd === 'GET_AUDIT_LOG') {
+        // Filters: { user, action, path, access, result, since, until, offset, limit } (see auditLog.js)
+        const page = await this.auditLog.query(msg.data || {});
+        sendCallback('AUDIT_LOG', page);
+        return;
+      }
+      
+      if (msg.cmd === 'SEARCH_VAULT') {
+        const query = typeof msg.data?.query === 'string' ? msg.data.query : '';
+        const offset = Math.max(0, parseInt(msg.data?.offset) || 0);
+        // Cap page size so a huge vault can't produce a multi-MB response
+        const limit = Math.min(100, Math.max(1, parseInt(msg.data?.limit) || 20));
+        
+        const page = await this.vaultSearch.search(query, {
+          offset,
+          limit,
+          filter: (path) => scope.allows(path),
+          // A catastrophic pattern would freeze Obsidian, so only the owner may run regexes here
+          allowRegex: hasAccess(context.access, ACCESS.ADMIN)
+        });
+        sendCallback('SEARCH_RESULTS', page);
+        return;
+      }
+      
+      if (msg.cmd === 'GET_RENDERED_FILE') {
+        const safePath = this.sanitizePath(msg.path);
+        if (!safePath) {
+          sendCallback('ERROR', { code: ERROR_CODES.INVALID_PATH, message: 'Invalid path' });
+          return;
+        }
+        
+        let file = this.app.vault.getAbstractFileByPath(safePath);
+        let shouldRefreshTree = msg.refreshTree || false;
+        
+        // AUTO-CREATE MISSING FILE (Ghost Link Support) - a write, so not for read-only sessions
+        // (only reached for paths the session may see, checked above)
+        if (!file && !hasAccess(context.access, ACCESS.WRITE)) {
+          sendCallback('ERROR', { code: ERROR_CODES.NOT_FOUND, message: 'File not found' });
+          return;
+        }
+        if (!file) {
+          try {
+            console.log('Ghost Link: Creating missing file', safePath);
+            file = await this.app.vault.create(safePath, '');
+            new obsidian.Notice(`Created: ${safePath}`);
+            shouldRefreshTree = true; // FORCE REFRESH
+          } catch (err) {
+            console.error('Ghost Create Failed:', err);
+            sendCallback('ERROR', { code: ERROR_CODES.INTERNAL, message: `Could not create '${safePath}'. Ensure folder exists.` });
+            return;
+          }
+        }
+
+        try {
+            const content = await this.app.vault.read(file);
+            
+            // Extract YAML frontmatter
+            let yamlData = null;
+            let contentWithoutYaml = content;
+            const yamlMatch = content.match(/^---\n([\s\S]*?)\n---\n?/);
+            
+            if (yamlMatch) {
+                const yamlText = yamlMatch[1];
+                try {
+                    // Parse YAML to object (Obsidian's parser handles it)
+                    const cache = this.app.metadataCache.getFileCache(file);
+                    if (cache && cache.frontmatter) {
+                        yamlData = { ...cache.frontmatter };
+                        delete yamlData.position; // Remove metadata
+                    }
+                    contentWithoutYaml = content.slice(yamlMatch[0].length);
+                } catch (err) {
+                    console.warn('Invalid YAML frontmatter:', err);
+                }
+            }
+            
+            const div = document.createElement('div');
+            
+            // Render Markdown WITHOUT frontmatter
+            await obsidian.MarkdownRenderer.render(this.app, contentWithoutYaml, div, file.path, this);
+            
+            // Smart Rendering: Wait for Dataview/Plugins to settle
+            await this.waitForRender(div);
+            
+            // Links to and transclusions of hidden notes become "🔒 Restricted" placeholders
+            scope.sanitizeRendered(div, file.path);
+            
+            // Extract CSS
+            const themeCSS = this.extractThemeCSS();
+            
+            // 6. GRAPH & BACKLINKS DATA
+            const graphData = { nodes: [], edges: [] };
+            const currentPath = msg.path;
+            const backlinks = [];
+            
+            // Add Central Node
+            graphData.nodes.push({ id: currentPath, label: file.basename, group: 'center' });
+
+            // A. Forward Links
+            const cache = this.app.metadataCache.getFileCache(file);
+            if (cache && cache.links) {
                 cache.links.forEach(l => {
                     const linkPath = l.link; // Simple resolution for V1
+                    const dest = this.app.metadataCache.getFirstLinkpathDest(obsidian.getLinkpath(l.link), file.path);
+                    if (dest && !scope.allows(dest.path)) return;
                     if (!graphData.nodes.find(n => n.id === linkPath)) {
                         graphData.nodes.push({ id: linkPath, label: linkPath.split('/').pop().replace('.md',''), group: 'neighbor' });
                     }
@@ -929,6 +1847,7 @@ class MicroServer extends obsidian.Plugin {
             const allLinks = this.app.metadataCache.resolvedLinks;
             for (const sourcePath in allLinks) {
                 if (allLinks[sourcePath][currentPath]) {
+                    if (!scope.allows(sourcePath)) continue;
                     backlinks.push(sourcePath);
                     if (!graphData.nodes.find(n => n.id === sourcePath)) {
                         graphData.nodes.push({ id: sourcePath, label: sourcePath.split('/').pop().replace('.md',''), group: 'neighbor' });
@@ -962,19 +1881,19 @@ class MicroServer extends obsidian.Plugin {
                         }
 
                         if (targetFile) {
-                            const arrayBuffer = await this.app.vault.readBinary(targetFile);
-                            const base64 = Buffer.from(arrayBuffer).toString('base64');
-                            const ext = targetFile.extension;
-                            const mime = this.getMimeType(ext);
+                            // Reference by URL so the browser lazy-loads and caches it.
+                            // WebRTC clients can't reach the URL and fetch data-asset-path with GET_ASSET instead.
+                            const assetUrl = this.getAssetUrl(targetFile.path);
+                            el.setAttribute('data-asset-path', targetFile.path);
                             
                             if (el.tagName.toLowerCase() === 'img') {
-                                el.src = `data:${mime};base64,${base64}`;
+                                el.src = assetUrl;
                                 el.removeAttribute('srcset');
+                                el.setAttribute('loading', 'lazy');
                             } else {
                                 // For embed/object/iframe
-                                const dataUri = `data:${mime};base64,${base64}`;
-                                if (el.hasAttribute('src')) el.setAttribute('src', dataUri);
-                                if (el.hasAttribute('data')) el.setAttribute('data', dataUri);
+                                if (el.hasAttribute('src')) el.setAttribute('src', assetUrl);
+                                if (el.hasAttribute('data')) el.setAttribute('data', assetUrl);
                             }
                         }
                     } catch (assetError) {
@@ -994,7 +1913,7 @@ class MicroServer extends obsidian.Plugin {
             
             // INJECT TREE IF NEEDED
             if (shouldRefreshTree) {
-              response.files = this.app.vault.getFiles().map(f => ({
+              response.files = this.app.vault.getFiles().filter(f => scope.allows(f.path)).map(f => ({
                 path: f.path,
                 name: f.name,
                 basename: f.basename,
@@ -1006,7 +1925,7 @@ class MicroServer extends obsidian.Plugin {
 
         } catch (renderError) {
             console.error('Render Error:', renderError);
-            sendCallback('ERROR', { message: 'Rendering failed: ' + renderError.message });
+            sendCallback('ERROR', { code: ERROR_CODES.INTERNAL, message: 'Rendering failed: ' + renderError.message });
         }
         return;
       }
@@ -1014,21 +1933,20 @@ class MicroServer extends obsidian.Plugin {
       if (msg.cmd === 'GET_FILE') {
         const safePath = this.sanitizePath(msg.path);
         if (!safePath) {
-          sendCallback('ERROR', { message: 'Invalid path' });
+          sendCallback('ERROR', { code: ERROR_CODES.INVALID_PATH, message: 'Invalid path' });
           return;
         }
         
         const file = this.app.vault.getAbstractFileByPath(safePath);
         if (!file) {
-          sendCallback('ERROR', { message: 'File not found' });
+          sendCallback('ERROR', { code: ERROR_CODES.NOT_FOUND, message: 'File not found' });
           return;
         }
         
         // BANDWIDTH GUARD: Block video streaming
-        const VIDEO_EXTS = ['mp4', 'mov', 'avi', 'mkv', 'iso', 'flv', 'webm', 'm4v'];
         if (VIDEO_EXTS.includes(file.extension.toLowerCase())) {
           console.log('🚫 Blocked video file request:', file.path);
-          sendCallback('ERROR', { message: 'Media streaming is disabled. Video files cannot be accessed remotely.' });
+          sendCallback('ERROR', { code: ERROR_CODES.MEDIA_DISABLED, message: 'Media streaming is disabled. Video files cannot be accessed remotely.' });
           return;
         }
         
@@ -1049,31 +1967,117 @@ class MicroServer extends obsidian.Plugin {
           if (file.extension === 'md') {
             const resolved = this.app.metadataCache.resolvedLinks;
             for (const [sourcePath, links] of Object.entries(resolved)) {
-              if (links[msg.path]) backlinks.push(sourcePath);
+              if (links[msg.path] && scope.allows(sourcePath)) backlinks.push(sourcePath);
             }
           }
           
+          // hash/mtime identify this version so SAVE_FILE can detect concurrent edits
           sendCallback('FILE', { 
             data: content, 
-            backlinks 
+            backlinks,
+            hash: await hashString(content),
+            mtime: file.stat.mtime
           }, { path: msg.path });
         }
         return;
       }
       
+      if (msg.cmd === 'GET_ASSET') {
+        // Streamed counterpart of /api/asset for WebRTC clients (sendChunked splits the slice into PARTs,
+        // or into binary frames for clients that negotiated them - see frames.js)
+        const safePath = this.sanitizePath(msg.path);
+        if (!safePath) {
+          sendCallback('ERROR', { code: ERROR_CODES.INVALID_PATH, message: 'Invalid path' });
+          return;
+        }
+        
+        const file = this.app.vault.getAbstractFileByPath(safePath);
+        if (!file || file.children) {
+          sendCallback('ERROR', { code: ERROR_CODES.NOT_FOUND, message: 'File not found' });
+          return;
+        }
+        if (VIDEO_EXTS.includes(file.extension.toLowerCase())) {
+          sendCallback('ERROR', { code: ERROR_CODES.MEDIA_DISABLED, message: 'Media streaming is disabled. Video files cannot be accessed remotely.' });
+          return;
+        }
+        
+        const size = file.stat.size;
+        const meta = {
+          path: safePath,
+          mime: this.getMimeType(file.extension),
+          size,
+          etag: this.getAssetEtag(file),
+          mtime: file.stat.mtime
+        };
+        
+        if (msg.data?.ifNoneMatch === meta.etag) {
+          sendCallback('ASSET', null, { ...meta, notModified: true });
+          return;
+        }
+        
+        const range = this.parseByteRange(msg.data?.range, size);
+        if (range === false) {
+          sendCallback('ERROR', { code: ERROR_CODES.RANGE_NOT_SATISFIABLE, message: 'Requested range not satisfiable' });
+          return;
+        }
+        
+        // Large files come back one slice at a time; meta.end < size - 1 means ask for more
+        const start = range ? range.start : 0;
+        const end = Math.min(range ? range.end : size - 1, start + ASSET_RANGE_MAX - 1);
+        const data = Buffer.from(await this.app.vault.readBinary(file));
+        const slice = data.subarray(start, end + 1);
+        sendCallback('ASSET', context.binaryFrames ? slice : slice.toString('base64'), { ...meta, start, end });
+        return;
+      }
+      
       if (msg.cmd === 'SAVE_FILE') {
         const safePath = this.sanitizePath(msg.path);
         if (!safePath) {
-          sendCallback('ERROR', { message: 'Invalid path' });
+          sendCallback('ERROR', { code: ERROR_CODES.INVALID_PATH, message: 'Invalid path' });
           return;
         }
         
         const file = this.app.vault.getAbstractFileByPath(safePath);
         if (!file) {
-          sendCallback('ERROR', { message: 'File not found' });
+          // An edit based on a version (baseHash/baseMtime) must not bring back a deleted note
+          if (!msg.create || msg.baseHash || msg.baseMtime) {
+            sendCallback('ERROR', { code: ERROR_CODES.NOT_FOUND, message: 'File not found' });
+            return;
+          }
+          // Written as-is, unlike CREATE_FILE which answers with the rendered note
+          const created = await this.app.vault.create(safePath, msg.data);
+          sendCallback('SAVED', {
+            path: safePath,
+            hash: await hashString(msg.data),
+            mtime: created.stat.mtime,
+            created: true
+          }, { path: safePath });
+          new obsidian.Notice(`Created: ${safePath}`);
           return;
         }
         
+        // Optimistic concurrency: reject the save if the note changed since the client loaded it.
+        // Clients that send neither baseHash nor baseMtime keep the old last-write-wins behaviour.
+        if (msg.baseHash || msg.baseMtime) {
+          const current = await this.app.vault.read(file);
+          const currentHash = await hashString(current);
+          const stale = msg.baseHash
+            ? msg.baseHash !== currentHash
+            : msg.baseMtime !== file.stat.mtime;
+          
+          if (stale && current !== msg.data) {
+            console.log(`⚠️ Save conflict on ${safePath}`);
+            sendCallback('CONFLICT', {
+              path: safePath,
+              currentText: current,
+              currentHash,
+              mtime: file.stat.mtime,
+              baseHash: msg.baseHash || null
+            }, { path: safePath });
+            return;
+          }
+        }
+        
         await this.app.vault.modify(file, msg.data);
         
         // Record sync event
@@ -1081,7 +2085,11 @@ class MicroServer extends obsidian.Plugin {
           telemetryService.recordSync(msg.data.length);
         }
         
-        sendCallback('SAVED', { path: safePath });
+        sendCallback('SAVED', {
+          path: safePath,
+          hash: await hashString(msg.data),
+          mtime: file.stat.mtime
+        }, { path: safePath });
         new obsidian.Notice(`Saved: ${safePath}`);
         return;
       }
@@ -1089,37 +2097,137 @@ class MicroServer extends obsidian.Plugin {
       if (msg.cmd === 'CREATE_FILE') {
         const safePath = this.sanitizePath(msg.path);
         if (!safePath) {
-          sendCallback('ERROR', { message: 'Invalid path' });
+          sendCallback('ERROR', { code: ERROR_CODES.INVALID_PATH, message: 'Invalid path' });
           return;
         }
         
         const file = this.app.vault.getAbstractFileByPath(safePath);
         if (file) {
-          sendCallback('ERROR', { message: 'File already exists' });
+          sendCallback('ERROR', { code: ERROR_CODES.ALREADY_EXISTS, message: 'File already exists' });
           return;
         }
         await this.app.vault.create(safePath, '');
         new obsidian.Notice(`Created: ${safePath}`);
         
         // Recursively call GET_RENDERED_FILE with refreshTree flag
-        await this.processCommand({ 
+        await this.runCommand({ 
           cmd: 'GET_RENDERED_FILE', 
           path: safePath, 
           refreshTree: true 
-        }, sendCallback);
+        }, sendCallback, context);
+        return;
+      }
+
+      if (msg.cmd === 'UPLOAD_ATTACHMENT') {
+        const { uploadId, name, index, total, chunk } = msg.data || {};
+        const safeName = typeof name === 'string' ? name.replace(/[\\/:*?"<>|#^[\]]/g, '-').trim() : '';
+        if (!uploadId || !safeName || !Number.isInteger(index) || !Number.isInteger(total) ||
+            total < 1 || index < 0 || index >= total || typeof chunk !== 'string') {
+          sendCallback('ERROR', { code: ERROR_CODES.BAD_REQUEST, message: 'Invalid upload chunk' });
+          return;
+        }
+        
+        // Scoped guests must say which note the attachment is for, so the generic path check above runs
+        if (context.scope && !this.sanitizePath(msg.path)) {
+          sendCallback('ERROR', { code: ERROR_CODES.BAD_REQUEST, message: 'Uploads need the path of the note they are for', field: 'path' });
+          return;
+        }
+        
+        if (total > MAX_UPLOAD_CHUNKS) {
+          sendCallback('ERROR', { code: ERROR_CODES.TOO_LARGE, message: `Attachment too large (max ${MAX_UPLOAD_BYTES / 1024 / 1024}MB)` });
+          return;
+        }
+        
+        // Drop uploads the client abandoned
+        const now = Date.now();
+        this.pendingUploads.forEach((upload, key) => {
+          if (now - upload.updatedAt > UPLOAD_TTL) this.pendingUploads.delete(key);
+        });
+        
+        // Upload ids are the client's; another session can't add chunks to (or finish) this one
+        const session = context.liveSessionId || context.user || 'local';
+        const uploadKey = `${session}:${uploadId}`;
+        let upload = this.pendingUploads.get(uploadKey);
+        if (!upload) {
+          const pending = [...this.pendingUploads.values()].filter((u) => u.session === session).length;
+          if (pending >= MAX_PENDING_UPLOADS) {
+            sendCallback('ERROR', { code: ERROR_CODES.RATE_LIMITED, message: `Too many unfinished uploads (max ${MAX_PENDING_UPLOADS})` });
+            return;
+          }
+          upload = {
+            session,
+            name: safeName,
+            sourcePath: this.sanitizePath(msg.path),
+            total,
+            chunks: new Array(total),
+            received: 0,
+            size: 0,
+            updatedAt: now
+          };
+          this.pendingUploads.set(uploadKey, upload);
+        } else if (total !== upload.total) {
+          sendCallback('ERROR', { code: ERROR_CODES.BAD_REQUEST, message: `Upload has ${upload.total} chunks, not ${total}` });
+          return;
+        }
+        
+        if (!upload.chunks[index]) {
+          const bytes = Buffer.from(chunk, 'base64');
+          if (bytes.length > UPLOAD_CHUNK_SIZE) {
+            this.pendingUploads.delete(uploadKey);
+            sendCallback('ERROR', { code: ERROR_CODES.TOO_LARGE, message: `Upload chunks are limited to ${UPLOAD_CHUNK_SIZE / 1024}KB` });
+            return;
+          }
+          upload.size += bytes.length;
+          if (upload.size > MAX_UPLOAD_BYTES) {
+            this.pendingUploads.delete(uploadKey);
+            sendCallback('ERROR', { code: ERROR_CODES.TOO_LARGE, message: `Attachment too large (max ${MAX_UPLOAD_BYTES / 1024 / 1024}MB)` });
+            return;
+          }
+          upload.chunks[index] = bytes;
+          upload.received++;
+        }
+        upload.updatedAt = now;
+        
+        if (upload.received < upload.total) {
+          sendCallback('UPLOAD_PROGRESS', { uploadId, received: upload.received, total: upload.total });
+          return;
+        }
+        
+        this.pendingUploads.delete(uploadKey);
+        const buffer = Buffer.concat(upload.chunks);
+        const arrayBuffer = buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+        
+        // Respects the "Default location for new attachments" setting and de-duplicates names
+        const targetPath = await this.app.fileManager.getAvailablePathForAttachment(upload.name, upload.sourcePath);
+        // The attachment folder setting can point anywhere, including private or out-of-scope folders
+        if (!scope.allowsPath(targetPath)) {
+          console.log(`🔒 Blocked UPLOAD_ATTACHMENT to hidden path: ${targetPath}`);
+          if (context.audit) context.audit.result = 'denied';
+          sendCallback('ERROR', { code: ERROR_CODES.FORBIDDEN, message: 'Attachments can\'t be saved outside the shared part of the vault' });
+          return;
+        }
+        const file = await this.app.vault.createBinary(targetPath, arrayBuffer);
+        const linkText = this.app.metadataCache.fileToLinktext(file, upload.sourcePath, false);
+        
+        sendCallback('ATTACHMENT_UPLOADED', {
+          uploadId,
+          path: file.path,
+          link: `![[${linkText}]]`
+        }, { path: file.path });
+        new obsidian.Notice(`Uploaded: ${file.path}`);
         return;
       }
 
       if (msg.cmd === 'CREATE_FOLDER') {
         const safePath = this.sanitizePath(msg.path);
         if (!safePath) {
-          sendCallback('ERROR', { message: 'Invalid path' });
+          sendCallback('ERROR', { code: ERROR_CODES.INVALID_PATH, message: 'Invalid path' });
           return;
         }
         
         const file = this.app.vault.getAbstractFileByPath(safePath);
         if (file) {
-          sendCallback('ERROR', { message: 'Folder already exists' });
+          sendCallback('ERROR', { code: ERROR_CODES.ALREADY_EXISTS, message: 'Folder already exists' });
           return;
         }
         await this.app.vault.createFolder(safePath);
@@ -1132,13 +2240,22 @@ class MicroServer extends obsidian.Plugin {
         const safePath = this.sanitizePath(msg.path);
         const safeNewPath = this.sanitizePath(msg.data.newPath);
         if (!safePath || !safeNewPath) {
-          sendCallback('ERROR', { message: 'Invalid path' });
+          sendCallback('ERROR', { code: ERROR_CODES.INVALID_PATH, message: 'Invalid path' });
+          return;
+        }
+        if (!scope.allowsPath(safeNewPath)) {
+          if (context.audit) context.audit.result = 'denied';
+          sendCallback('ERROR', { code: ERROR_CODES.FORBIDDEN, message: 'Cannot move a note outside the shared part of the vault' });
           return;
         }
         
         const file = this.app.vault.getAbstractFileByPath(safePath);
         if (!file) {
-          sendCallback('ERROR', { message: 'File not found' });
+          sendCallback('ERROR', { code: ERROR_CODES.NOT_FOUND, message: 'File not found' });
+          return;
+        }
+        if (safeNewPath !== safePath && this.app.vault.getAbstractFileByPath(safeNewPath)) {
+          sendCallback('ERROR', { code: ERROR_CODES.ALREADY_EXISTS, message: 'A file already exists at the new path', field: 'data.newPath' });
           return;
         }
         await this.app.fileManager.renameFile(file, safeNewPath);
@@ -1150,13 +2267,13 @@ class MicroServer extends obsidian.Plugin {
       if (msg.cmd === 'DELETE_FILE') {
         const safePath = this.sanitizePath(msg.path);
         if (!safePath) {
-          sendCallback('ERROR', { message: 'Invalid path' });
+          sendCallback('ERROR', { code: ERROR_CODES.INVALID_PATH, message: 'Invalid path' });
           return;
         }
         
         const file = this.app.vault.getAbstractFileByPath(safePath);
         if (!file) {
-          sendCallback('ERROR', { message: 'File not found' });
+          sendCallback('ERROR', { code: ERROR_CODES.NOT_FOUND, message: 'File not found' });
           return;
         }
         await this.app.vault.trash(file, true);
@@ -1169,14 +2286,14 @@ class MicroServer extends obsidian.Plugin {
         const safePath = this.sanitizePath(msg.path);
         
         if (!safePath) {
-          sendCallback('ERROR', { message: 'Invalid path' });
+          sendCallback('ERROR', { code: ERROR_CODES.INVALID_PATH, message: 'Invalid path' });
           return;
         }
         
         const file = this.app.vault.getAbstractFileByPath(safePath);
         
         if (!file) {
-          sendCallback('ERROR', { message: 'File not found' });
+          sendCallback('ERROR', { code: ERROR_CODES.NOT_FOUND, message: 'File not found' });
           return;
         }
         
@@ -1191,10 +2308,10 @@ class MicroServer extends obsidian.Plugin {
         else if (frontmatter['excalidraw-plugin']) detectedPlugin = 'excalidraw';
         
         if (!detectedPlugin) {
-          this.processCommand({
+          await this.runCommand({
             cmd: 'GET_RENDERED_FILE',
             path: safePath
-          }, sendCallback);
+          }, sendCallback, context);
           return;
         }
         
@@ -1325,10 +2442,10 @@ class MicroServer extends obsidian.Plugin {
             }
         };
 
-        this.processCommand({
+        await this.runCommand({
           cmd: 'GET_RENDERED_FILE',
           path: safePath
-        }, wrapperCallback);
+        }, wrapperCallback, context);
         
         return;
       }
@@ -1339,7 +2456,7 @@ class MicroServer extends obsidian.Plugin {
           const dailyNotesPlugin = this.app.internalPlugins?.plugins?.['daily-notes'];
           
           if (!dailyNotesPlugin || !dailyNotesPlugin.enabled) {
-            sendCallback('ERROR', { message: 'Daily Notes plugin is not enabled in Obsidian' });
+            sendCallback('ERROR', { code: ERROR_CODES.UNAVAILABLE, message: 'Daily Notes plugin is not enabled in Obsidian' });
             return;
           }
           
@@ -1353,12 +2470,18 @@ class MicroServer extends obsidian.Plugin {
           const activeFile = this.app.workspace.getActiveFile();
           
           if (!activeFile) {
-            sendCallback('ERROR', { message: 'No file opened after daily notes command' });
+            sendCallback('ERROR', { code: ERROR_CODES.INTERNAL, message: 'No file opened after daily notes command' });
             return;
           }
           
           console.log('📅 Daily note created/opened:', activeFile.path);
           
+          if (!scope.allows(activeFile.path)) {
+            if (context.audit) context.audit.result = 'denied';
+            sendCallback('ERROR', { code: ERROR_CODES.FORBIDDEN, message: 'Daily notes are outside the shared part of the vault' });
+            return;
+          }
+          
           // Get the active leaf and close it
           const activeLeaf = this.app.workspace.getLeaf(false);
           if (activeLeaf) {
@@ -1372,14 +2495,14 @@ class MicroServer extends obsidian.Plugin {
           
         } catch (error) {
           console.error('Daily Note Error:', error);
-          sendCallback('ERROR', { message: 'Failed to open daily note: ' + error.message });
+          sendCallback('ERROR', { code: ERROR_CODES.INTERNAL, message: 'Failed to open daily note: ' + error.message });
         }
         return;
       }
 
     } catch (error) {
       console.error('Portal Command Error:', error);
-      sendCallback('ERROR', { message: error.message });
+      sendCallback('ERROR', { code: ERROR_CODES.INTERNAL, message: error.message });
     }
   }
 
@@ -1390,14 +2513,38 @@ class MicroServer extends obsidian.Plugin {
       { urls: 'stun:stun1.l.google.com:19302' }
     ];
     
+    // Clients that can exchange candidates over signaling mark their offer with trickle: true;
+    // older clients expect a single answer with every candidate baked in
+    const { trickle: wantsTrickle, ...offer } = offerSignal || {};
     const peer = new SimplePeer({ 
       initiator: false, 
-      trickle: false, 
+      trickle: wantsTrickle === true, 
       objectMode: false,
       config: { iceServers }
     });
+    peer.trickleSignaling = wantsTrickle === true;
+    this.rtcPeers.set(remoteId, peer);
     let isAuthenticated = false;
-    let peerReadOnly = false;
+    let peerAccess = ACCESS.READ; // see permissions.js
+    let peerScope = null; // GuestScope for guests limited to some folders/tags (see scope.js)
+    let peerUser = null; // email/label of the authenticated client (audit log)
+    let deviceApproval = null; // null | 'pending' | 'approved' (require-approval mode, once per connection)
+    let peerChallenge = null; // { serverNonce, issuedAt } from AUTH_CHALLENGE
+    // Brute-force protection keys: the signaling id is chosen by the client, so the connection's
+    // remote address and the targeted email are counted as well
+    const throttleKeysFor = (email) => {
+      const keys = [`peer:${remoteId}`];
+      if (peer.remoteAddress) keys.push(`rtc-ip:${peer.remoteAddress}`);
+      if (email) keys.push(`email:${email}`);
+      return keys;
+    };
+    const sendThrottled = (throttle, who) => {
+      const retryAfter = Math.ceil(throttle.retryAfter / 1000);
+      console.log(`⏳ WebRTC: Login throttled for ${who} (${retryAfter}s)`);
+      peer.safeSend({ type: 'ERROR', code: ERROR_CODES.RATE_LIMITED, message: `TOO_MANY_ATTEMPTS: Try again in ${retryAfter} seconds.`, retryAfter });
+      setTimeout(() => peer.destroy(), 1000);
+    };
+    let frameSender = null; // FrameSender once the client negotiated binary frames (frames.js)
     
     peer.safeSend = (data) => {
       if (peer._channel && peer._channel.readyState === 'open') {
@@ -1411,6 +2558,7 @@ class MicroServer extends obsidian.Plugin {
     
     peer.sendChunked = async (type, data, meta = {}) => {
       if (!isAuthenticated && type !== 'ERROR') return;
+      if (frameSender) return frameSender.send(type, data, meta);
       
       const fullString = JSON.stringify(data);
       const totalBytes = fullString.length;
@@ -1428,13 +2576,53 @@ class MicroServer extends obsidian.Plugin {
       }
     };
     
-    peer.on('signal', async (data) => {
-      await this.supabase.from('signaling').insert({ 
-        source: 'host', 
-        target: remoteId, 
-        type: 'answer', 
-        payload: data 
+    // Switch to binary frames once the ack (which still goes out as JSON) tells the client they're on
+    const enableFrames = (frames) => {
+      if (!frames || frameSender) return;
+      frameSender = new FrameSender(() => peer._channel, frames);
+    };
+    
+    // Bind an authenticated identity to this peer (fresh login or RESUME, see resume.js)
+    const startSession = (state) => {
+      isAuthenticated = true;
+      peerAccess = state.access;
+      peerScope = state.scope;
+      peer.scope = peerScope; // broadcastVaultEvent filters pushes with it
+      peer.shownPaths = state.shownPaths;
+      peerUser = state.user;
+      peer.liveSessionId = state.liveSessionId;
+      this.activePeers.add(peer);
+      this.liveSessions.add({
+        id: peer.liveSessionId,
+        kind: 'webrtc',
+        user: peerUser,
+        label: state.label,
+        access: peerAccess,
+        guestEmail: state.guestEmail,
+        disconnect: () => {
+          // Disconnected by the owner: don't let the client resume
+          this.resumableSessions.revoke(peer.resumeToken);
+          peer.resumeToken = null;
+          peer.destroy();
+        },
+        revoke: state.guestEmail ? () => this.revokeGuest(state.guestEmail) : null
       });
+    };
+    
+    // answer / candidate (trickle) / renegotiate (ICE restart request, see requestIceRestart)
+    peer.on('signal', async (data) => {
+      if (!this.signaling) return;
+      try {
+        await this.signaling.send({ target: remoteId, type: data.type || 'candidate', payload: data });
+      } catch (err) {
+        console.error(`Failed to send ${data.type || 'signal'}:`, err);
+      }
+    });
+    
+    peer.on('iceStateChange', (iceConnectionState) => {
+      // "disconnected" usually means the client changed networks; restarting ICE now beats waiting
+      // for "failed", which tears the peer down
+      if (iceConnectionState === 'disconnected') this.requestIceRestart(peer);
     });
     
     peer.on('connect', () => {
@@ -1451,161 +2639,295 @@ class MicroServer extends obsidian.Plugin {
       try {
         const msg = JSON.parse(raw.toString());
         
-        // Handle authentication with ACL
-        if (msg.cmd === 'PING' || msg.cmd === 'HANDSHAKE') {
+        // Challenge-response login: send the salt for this email's verifier and a one-time nonce
+        if (msg.cmd === 'AUTH_CHALLENGE' && !isAuthenticated) {
+          const email = (msg.guestEmail || '').toLowerCase().trim();
+          const throttle = this.authThrottle.check(throttleKeysFor(email));
+          if (!throttle.allowed) {
+            sendThrottled(throttle, email || remoteId);
+            return;
+          }
+          const isOwner = this.settings.userEmail && email === this.settings.userEmail.toLowerCase().trim();
+          const guest = !isOwner && (this.settings.guestList || []).find(g => g.email === email);
+          let record = isOwner ? this.settings.masterPasswordHash : guest?.passHash;
+          
+          if (isLegacyHash(record)) {
+            record = await createVerifier(record);
+            if (isOwner) this.settings.masterPasswordHash = record;
+            else guest.passHash = record;
+            await this.saveSettings();
+          }
+          
+          // Unknown emails get a throwaway salt so the reply doesn't reveal who has access
+          peerChallenge = { serverNonce: randomBase64(18), issuedAt: Date.now() };
+          peer.safeSend({
+            type: 'AUTH_CHALLENGE',
+            serverNonce: peerChallenge.serverNonce,
+            salt: record?.salt || randomBase64(16),
+            iterations: record?.iterations || PASSWORD_ITERATIONS
+          });
+          return;
+        }
+        
+        // Pick up a dropped session without the password
+        if (msg.cmd === 'RESUME' && !isAuthenticated) {
+          const resumed = this.resumableSessions.resume(msg.resumeToken, peer);
+          if (!resumed) {
+            // Unknown or expired token: the client signs in again on this connection
+            peer.safeSend({ type: 'RESUME_FAILED', message: 'Session expired. Please sign in again.' });
+            return;
+          }
+          const previous = resumed.previousPeer;
+          if (previous && previous !== peer) {
+            // The old connection hasn't noticed the drop yet; close it without touching the session
+            previous.resumeToken = null;
+            previous.liveSessionId = null;
+            this.liveSessions.remove(resumed.state.liveSessionId);
+            previous.destroy();
+          }
+          // Guest mode and scope are re-read from settings: they may have changed since the login
+          if (!this.refreshSessionState(resumed.state)) {
+            this.resumableSessions.revoke(resumed.token);
+            console.log(`❌ WebRTC: Resume refused - ${resumed.state.identity} no longer has access`);
+            peer.safeSend({ type: 'ERROR', code: ERROR_CODES.ACCESS_DENIED, message: 'ACCESS_DENIED: You no longer have access to this vault.' });
+            setTimeout(() => peer.destroy(), 1000);
+            return;
+          }
+          peer.resumeToken = resumed.token;
+          startSession(resumed.state);
+          const frames = frameSender ? null : negotiateFrames(msg.frames);
+          await peer.sendChunked('RESUMED', {
+            version: BUILD_VERSION,
+            protocol: this.protocolInfo(peerAccess),
+            readOnly: resumed.state.readOnly,
+            access: peerAccess,
+            scoped: !!peerScope,
+            resumeToken: resumed.token,
+            resumeTtl: RESUME_TTL,
+            missedEvents: resumed.missedEvents, // VAULT_EVENT payloads, oldest first
+            resync: resumed.resync, // too much changed: reload the tree instead
+            frames
+          });
+          enableFrames(frames);
+          this.logActivity(resumed.state.identity, 'RESUMED', {
+            transport: 'WebRTC',
+            access: peerAccess,
+            details: { missedEvents: resumed.missedEvents.length, resync: resumed.resync }
+          });
+          this.updateSessionStatus();
+          return;
+        }
+        
+        // Handle authentication with ACL (a bare keep-alive PING from a signed-in client is just answered)
+        const hasCredentials = !!(msg.guestEmail || msg.userId || msg.authHash || msg.authProof);
+        if ((msg.cmd === 'PING' || msg.cmd === 'HANDSHAKE') && !(isAuthenticated && !hasCredentials)) {
+          if (deviceApproval === 'pending') return; // owner hasn't answered yet
+          const unsupported = validateCommand(msg); // only protocolVersion can fail for PING/HANDSHAKE
+          if (unsupported) {
+            peer.safeSend({ type: 'ERROR', ...unsupported });
+            return;
+          }
+          const challenge = peerChallenge; // single use
+          peerChallenge = null;
           let accessGranted = false;
           let isReadOnly = false;
+          let isOwner = false;
+          let scopeRules = null; // guest entry's scope, if any
+          let revokeEmail = null; // guest entry "disconnect and revoke" removes
+          let guestUserId = null; // legacy guests without an email (refreshSessionState finds them by id)
           let userIdentifier = 'unknown';
           
-          // Email-based authentication - check if owner or guest
-          if (msg.guestEmail && msg.authHash) {
-            const userEmail = msg.guestEmail.toLowerCase().trim();
+          // Brute-force protection: reserved before the (slow) credential check, see authThrottle.js
+          const attemptedEmail = (msg.guestEmail || '').toLowerCase().trim();
+          const throttleKeys = throttleKeysFor(attemptedEmail);
+          const throttle = this.authThrottle.begin(throttleKeys);
+          if (!throttle.allowed) {
+            sendThrottled(throttle, attemptedEmail || remoteId);
+            return;
+          }
+          // The reservation ends with failAttempt/recordSuccess; any other exit (backend refusal, pending guest) releases it
+          let reserved = true;
+          const failAttempt = () => {
+            reserved = false;
+            this.recordAuthFailure(throttleKeys, attemptedEmail || `peer ${remoteId}`, 'WebRTC');
+          };
+          try {
+            // Email-based authentication - check if owner or guest
+            if (msg.guestEmail && (msg.authHash || msg.authProof)) {
+              const userEmail = msg.guestEmail.toLowerCase().trim();
             
-            // Check if this is the owner's email
-            if (this.settings.userEmail && userEmail === this.settings.userEmail.toLowerCase().trim()) {
-              // Owner authentication
-              if (this.settings.masterPasswordHash && msg.authHash === this.settings.masterPasswordHash) {
-                accessGranted = true;
-                isReadOnly = false;
-                userIdentifier = this.settings.userEmail;
-                console.log('✅ WebRTC: Owner authenticated -', userIdentifier);
-              } else {
-                console.log('❌ WebRTC: Owner password incorrect');
-                peer.safeSend({ type: 'ERROR', message: 'ACCESS_DENIED: Invalid password.' });
-                setTimeout(() => peer.destroy(), 1000);
-                return;
+              // Check if this is the owner's email
+              if (this.settings.userEmail && userEmail === this.settings.userEmail.toLowerCase().trim()) {
+                // Owner authentication
+                const ownerValid = await this.checkPeerCredentials(this.settings.masterPasswordHash, msg, challenge, (record) => {
+                  this.settings.masterPasswordHash = record;
+                });
+                if (ownerValid) {
+                  accessGranted = true;
+                  isReadOnly = false;
+                  isOwner = true;
+                  userIdentifier = this.settings.userEmail;
+                  console.log('✅ WebRTC: Owner authenticated -', userIdentifier);
+                } else {
+                  console.log('❌ WebRTC: Owner password incorrect');
+                  failAttempt();
+                  peer.safeSend({ type: 'ERROR', code: ERROR_CODES.ACCESS_DENIED, message: 'ACCESS_DENIED: Invalid password.' });
+                  setTimeout(() => peer.destroy(), 1000);
+                  return;
+                }
               }
-            }
-            // Guest authentication
-            else if (this.settings.guestList) {
-              console.log('🔍 WebRTC: Verifying guest via backend:', userEmail);
-              
-              const localGuest = this.settings.guestList.find(g => g.email === userEmail);
+              // Guest authentication
+              else if (this.settings.guestList) {
+                console.log('🔍 WebRTC: Verifying guest via backend:', userEmail);
               
-              if (!localGuest) {
-                console.log('❌ WebRTC: Guest not found in local list');
-                peer.safeSend({ type: 'ERROR', message: 'ACCESS_DENIED: You do not have access to this vault.' });
-                setTimeout(() => peer.destroy(), 1000);
-                return;
-              }
+                const localGuest = this.settings.guestList.find(g => g.email === userEmail);
               
-              // Verify password hash
-              if (localGuest.passHash !== msg.authHash) {
-                console.log('❌ WebRTC: Guest password incorrect');
-                peer.safeSend({ type: 'ERROR', message: 'ACCESS_DENIED: Invalid password.' });
-                setTimeout(() => peer.destroy(), 1000);
-                return;
-              }
+                if (!localGuest) {
+                  console.log('❌ WebRTC: Guest not found in local list');
+                  failAttempt();
+                  peer.safeSend({ type: 'ERROR', code: ERROR_CODES.ACCESS_DENIED, message: 'ACCESS_DENIED: You do not have access to this vault.' });
+                  setTimeout(() => peer.destroy(), 1000);
+                  return;
+                }
               
-              // Password correct, verify license and backend access
-              try {
-                // First, verify guest has valid license
-                console.log('🔍 WebRTC: Verifying guest license:', userEmail);
-                const licenseResponse = await fetch(`${API_BASE_URL}/api/validate-license`, {
-                  method: 'POST',
-                  headers: { 'Content-Type': 'application/json' },
-                  body: JSON.stringify({ email: userEmail })
+                // Verify password hash
+                const guestValid = await this.checkPeerCredentials(localGuest.passHash, msg, challenge, (record) => {
+                  localGuest.passHash = record;
                 });
-                
-                const licenseResult = await licenseResponse.json();
-                
-                if (!licenseResult.valid) {
-                  console.log('❌ WebRTC: Guest license invalid:', licenseResult.reason || 'No active subscription');
-                  peer.safeSend({ type: 'ERROR', message: 'LICENSE_REQUIRED: You need an active Note Relay subscription to access shared vaults.' });
+                if (!guestValid) {
+                  console.log('❌ WebRTC: Guest password incorrect');
+                  failAttempt();
+                  peer.safeSend({ type: 'ERROR', code: ERROR_CODES.ACCESS_DENIED, message: 'ACCESS_DENIED: Invalid password.' });
                   setTimeout(() => peer.destroy(), 1000);
                   return;
                 }
-                
-                console.log('✅ WebRTC: Guest license valid');
-                
-                // Then verify they have access to this vault
-                const response = await fetch(`${API_BASE_URL}/api/guests?route=check-access`, {
-                  method: 'POST',
-                  headers: { 'Content-Type': 'application/json' },
-                  body: JSON.stringify({
-                    vaultId: this.settings.dbVaultId,
-                    guestEmail: userEmail
-                  })
-                });
-                
-                const result = await response.json();
-                
-                if (result.allowed) {
-                  accessGranted = true;
-                  isReadOnly = (localGuest.mode === 'ro');
-                  userIdentifier = userEmail;
-                  console.log(`✅ WebRTC: Guest authenticated - ${userIdentifier} (${localGuest.mode})`);
-                } else {
-                  console.log('❌ WebRTC: Guest revoked in backend:', result.reason || 'Not authorized');
-                  peer.safeSend({ type: 'ERROR', message: 'ACCESS_DENIED: Your access has been revoked.' });
+              
+                // Password correct, verify license and backend access (self-hosted: the local list is the only authority)
+                const backend = this.settings.selfHosted ? { allowed: true } : await this.checkGuestBackend(userEmail);
+                if (!backend.allowed) {
+                  peer.safeSend({ type: 'ERROR', code: ERROR_CODES.ACCESS_DENIED, message: backend.message });
                   setTimeout(() => peer.destroy(), 1000);
                   return;
                 }
-              } catch (error) {
-                console.error('⚠️ WebRTC: Backend verification failed:', error);
-                // Backend down - DENY access (fail secure for guests)
-                console.log('❌ WebRTC: Cannot verify guest license/access - backend unavailable');
-                peer.safeSend({ type: 'ERROR', message: 'SERVICE_UNAVAILABLE: Cannot verify your subscription. Please try again later.' });
-                setTimeout(() => peer.destroy(), 1000);
-                return;
+              
+                accessGranted = true;
+                isReadOnly = (localGuest.mode === 'ro');
+                scopeRules = localGuest.scope;
+                revokeEmail = localGuest.email;
+                userIdentifier = userEmail;
+                console.log(`✅ WebRTC: Guest authenticated - ${userIdentifier} (${localGuest.mode})`);
               }
             }
-          }
-          // Legacy: Check local guest list by userId (for backwards compatibility)
-          else if (msg.userId && this.settings.guestList) {
-            const guest = this.settings.guestList.find(g => g.userId === msg.userId);
+            // Legacy: Check local guest list by userId (for backwards compatibility)
+            else if (msg.userId && this.settings.guestList) {
+              const guest = this.settings.guestList.find(g => g.userId === msg.userId);
             
-            if (guest) {
-              // Block pending guests
-              if (guest.status === 'pending') {
-                console.log('❌ WebRTC: Guest pending verification:', guest.email);
-                peer.safeSend({ type: 'ERROR', message: 'ACCESS_PENDING: Your access is pending verification. Check your email.' });
-                setTimeout(() => peer.destroy(), 1000);
-                return;
-              }
+              if (guest) {
+                // Block pending guests
+                if (guest.status === 'pending') {
+                  console.log('❌ WebRTC: Guest pending verification:', guest.email);
+                  peer.safeSend({ type: 'ERROR', code: ERROR_CODES.ACCESS_DENIED, message: 'ACCESS_PENDING: Your access is pending verification. Check your email.' });
+                  setTimeout(() => peer.destroy(), 1000);
+                  return;
+                }
               
-              // Verify password hash
-              if (guest.passHash === msg.authHash) {
-                accessGranted = true;
-                isReadOnly = (guest.mode === 'ro');
-                userIdentifier = guest.email || guest.label || guest.userId;
-                console.log(`✅ WebRTC: Guest authenticated (legacy) - ${userIdentifier} (${guest.mode})`);
+                // Verify password hash
+                const legacyGuestValid = await this.checkPeerCredentials(guest.passHash, msg, challenge, (record) => {
+                  guest.passHash = record;
+                });
+                if (legacyGuestValid) {
+                  accessGranted = true;
+                  isReadOnly = (guest.mode === 'ro');
+                  scopeRules = guest.scope;
+                  revokeEmail = guest.email || null;
+                  guestUserId = guest.userId;
+                  userIdentifier = guest.email || guest.label || guest.userId;
+                  console.log(`✅ WebRTC: Guest authenticated (legacy) - ${userIdentifier} (${guest.mode})`);
+                }
               }
             }
-          }
           
-          if (accessGranted) {
-            isAuthenticated = true;
-            peerReadOnly = isReadOnly;
-            this.statusBar.setText(`Linked: ${msg.sessionName || userIdentifier}${isReadOnly ? ' (RO)' : ''}`);
-            this.statusBar.style.color = '#4caf50';
-            peer.safeSend({ 
-                type: msg.cmd === 'PING' ? 'PONG' : 'HANDSHAKE_ACK', 
-                version: BUILD_VERSION, 
+            if (accessGranted) {
+              reserved = false;
+              this.authThrottle.recordSuccess(throttleKeys);
+            
+              // Require-approval mode: correct credentials from an unknown device wait for the owner
+              if (this.settings.requireDeviceApproval && deviceApproval !== 'approved') {
+                const device = await this.trustedDevices.describe(userIdentifier, msg);
+                const known = this.trustedDevices.find(device);
+                if (known) {
+                  await this.trustedDevices.touch(known);
+                } else {
+                  deviceApproval = 'pending';
+                  peer.safeSend({ type: 'APPROVAL_PENDING', message: 'Waiting for the vault owner to approve this device...' });
+                  const decision = await this.requestDeviceApproval(peer, {
+                    identity: userIdentifier,
+                    role: isOwner ? 'Owner' : (isReadOnly ? 'Guest (read-only)' : 'Guest (read-write)'),
+                    device,
+                    remoteId
+                  });
+                  if (!decision.allowed) {
+                    deviceApproval = null;
+                    this.logActivity(userIdentifier, 'DEVICE_DENIED', { transport: 'WebRTC', result: 'denied', details: { device: device.label, reason: decision.reason } });
+                    peer.safeSend({ type: 'ERROR', code: ERROR_CODES.ACCESS_DENIED, message: 'ACCESS_DENIED: The vault owner did not approve this device.' });
+                    setTimeout(() => peer.destroy(), 1000);
+                    return;
+                  }
+                  const remembered = decision.remember && !device.fingerprinted;
+                  if (remembered) await this.trustedDevices.remember(userIdentifier, device);
+                  this.logActivity(userIdentifier, 'DEVICE_APPROVED', { transport: 'WebRTC', details: { device: device.label, remembered } });
+                }
+                deviceApproval = 'approved';
+              }
+            
+              const sessionState = {
+                user: isOwner ? 'owner' : userIdentifier,
+                identity: userIdentifier,
+                access: isOwner ? ACCESS.ADMIN : (isReadOnly ? ACCESS.READ : ACCESS.WRITE),
                 readOnly: isReadOnly,
-                styles: []
-            });
+                scope: !isOwner && isScopeRestricted(scopeRules) ? new GuestScope(this.app, scopeRules, this.privacy) : null,
+                guestEmail: revokeEmail,
+                guestUserId,
+                label: msg.sessionName || userIdentifier,
+                liveSessionId: peer.liveSessionId || crypto.randomUUID().replace(/-/g, '').slice(0, 16),
+                shownPaths: new Set() // see scopeVaultEvent
+              };
+              startSession(sessionState);
+              // Signing in again on the same connection replaces the previous resume token
+              this.resumableSessions.revoke(peer.resumeToken);
+              peer.resumeToken = this.resumableSessions.issue(sessionState, peer);
+              // Clients send frames: { version, compression: ['deflate'] } to get binary responses
+              const frames = frameSender ? null : negotiateFrames(msg.frames);
+              peer.safeSend({ 
+                  type: msg.cmd === 'PING' ? 'PONG' : 'HANDSHAKE_ACK', 
+                  version: BUILD_VERSION, 
+                  protocol: this.protocolInfo(peerAccess),
+                  readOnly: isReadOnly,
+                  access: peerAccess,
+                  scoped: !!peerScope,
+                  resumeToken: peer.resumeToken, // send { cmd: 'RESUME', resumeToken } on a new connection after a drop
+                  resumeTtl: RESUME_TTL,
+                  frames, // null: keep reading JSON PART messages
+                  styles: []
+              });
+              enableFrames(frames);
             
-            // Audit log the connection
-            this.logActivity(userIdentifier, 'CONNECTED', 'WebRTC');
-          } else {
-            console.log('❌ WebRTC: Authentication failed - invalid credentials or not in ACL');
-            peer.safeSend({ type: 'ERROR', message: 'ACCESS_DENIED: Invalid credentials or not authorized' });
-            setTimeout(() => peer.destroy(), 1000);
+              // Audit log the connection
+              this.logActivity(userIdentifier, 'CONNECTED', { transport: 'WebRTC', access: peerAccess });
+            } else {
+              console.log('❌ WebRTC: Authentication failed - invalid credentials or not in ACL');
+              failAttempt();
+              peer.safeSend({ type: 'ERROR', code: ERROR_CODES.ACCESS_DENIED, message: 'ACCESS_DENIED: Invalid credentials or not authorized' });
+              setTimeout(() => peer.destroy(), 1000);
+            }
+          } finally {
+            if (reserved) this.authThrottle.end(throttleKeys);
           }
           return;
         }
         
         if (!isAuthenticated) return;
         
-        // Block write commands if in read-only mode
-        const writeCommands = ['CREATE', 'WRITE', 'DELETE', 'RENAME'];
-        if (peerReadOnly && writeCommands.includes(msg.cmd)) {
-          console.log(`🔒 Blocked ${msg.cmd} command - read-only mode`);
-          peer.safeSend({ type: 'ERROR', message: 'READ-ONLY MODE: Editing is disabled' });
-          return;
-        }
-        
         // Create a wrapped sendCallback that preserves the requestId
         const wrappedSendCallback = (type, data, meta = {}) => {
           // Preserve requestId from original message for promise resolution
@@ -1615,8 +2937,16 @@ class MicroServer extends obsidian.Plugin {
           return peer.sendChunked(type, data, metaWithRequestId);
         };
 
-        // Use unified command processor with WebRTC send callback
-        await this.processCommand(msg, wrappedSendCallback);
+        // Use unified command processor with WebRTC send callback (enforces read-only/owner permissions)
+        await this.processCommand(msg, wrappedSendCallback, {
+          access: peerAccess,
+          scope: peerScope,
+          user: peerUser,
+          transport: 'WebRTC',
+          liveSessionId: peer.liveSessionId,
+          shownPaths: peer.shownPaths,
+          binaryFrames: !!frameSender
+        });
 
       } catch (e) {
         console.error('Portal Error', e);
@@ -1624,9 +2954,14 @@ class MicroServer extends obsidian.Plugin {
     });
     
     peer.on('close', () => {
+      this.activePeers.delete(peer);
+      if (frameSender) frameSender.close('Connection closed');
+      if (this.rtcPeers.get(remoteId) === peer) this.rtcPeers.delete(remoteId);
+      // Keep the session around so the client can RESUME after a network drop
+      if (peer.resumeToken) this.resumableSessions.suspend(peer.resumeToken);
       new obsidian.Notice('Client Disconnected');
-      this.statusBar.setText('Portal: Active');
-      this.statusBar.style.color = '';
+      if (peer.liveSessionId) this.liveSessions.remove(peer.liveSessionId);
+      this.updateSessionStatus();
       
       // Record WebRTC session end
       if (this.settings.enableAnalytics) {
@@ -1644,7 +2979,20 @@ class MicroServer extends obsidian.Plugin {
       }
     });
     
-    peer.signal(offerSignal);
+    peer.signal(offer);
+  }
+
+  /**
+   * Ask a trickle-capable client to renegotiate with an ICE restart (only the offerer can restart ICE)
+   */
+  requestIceRestart(peer) {
+    if (!peer.trickleSignaling || peer.destroyed || !peer.connected) return;
+    console.log('🔁 WebRTC: Requesting ICE restart');
+    try {
+      peer.negotiate(); // emits { type: 'renegotiate' } through the signal handler
+    } catch (e) {
+      console.warn('ICE restart request failed:', e);
+    }
   }
 
   async waitForRender(element) {
@@ -1689,8 +3037,19 @@ class MicroServer extends obsidian.Plugin {
   }
 
   async checkConnectionHealth() {
+    // Self-hosted: no heartbeat to go by, so reconnect whenever the signaling socket is down (e.g. after sleep)
+    if (this.settings.selfHosted) {
+      if (this.signaling && this.signaling.connected) {
+        console.log('Note Relay: Connection healthy');
+      } else {
+        console.log('Note Relay: Signaling down, reconnecting...');
+        await this.connectSignaling();
+      }
+      return;
+    }
+    
     // Check if signaling connection is still alive
-    if (!this.supabase || !this.settings.userEmail) {
+    if (!this.signaling || !this.settings.userEmail) {
       console.log('Note Relay: Connection health check - not connected');
       return;
     }
@@ -1707,8 +3066,15 @@ class MicroServer extends obsidian.Plugin {
   }
 
   async connectSignaling() {
-    // SECURITY CHECK: Do not connect to Supabase if no email is present.
-    if (!this.settings.userEmail) {
+    const selfHosted = !!this.settings.selfHosted;
+    if (selfHosted) {
+      // Self-hosted: no account needed, but there must be a signaling server of our own
+      if (this.settings.signalingBackend !== 'websocket' || !this.settings.signalingUrl) {
+        console.log('Note Relay: Self-hosted mode without a signaling server. Staying offline (Local Mode only).');
+        return;
+      }
+    } else if (!this.settings.userEmail) {
+        // SECURITY CHECK: Do not connect to Supabase if no email is present.
         console.log('Note Relay: No user email found. Staying offline (Local Mode only).');
         return; // Exit immediately
     }
@@ -1716,10 +3082,100 @@ class MicroServer extends obsidian.Plugin {
     // Disconnect existing connection if any
     this.disconnectSignaling();
 
+    const adapter = await this.createSignaling();
+    if (!adapter) return;
+    // Clients holding the pairing secret encrypt their SDP, so the broker only relays opaque blobs
+    const signaling = new EncryptedSignaling(adapter, {
+      secret: this.settings.signalingSecret,
+      required: !!this.settings.requireSignalingEncryption,
+      hasPeer: (id) => {
+        const peer = this.rtcPeers.get(id);
+        return !!peer && !peer.destroyed;
+      }
+    });
+    
+    // Check if we have user email for remote access
+    let signalId = null;
+    if (!selfHosted && this.settings.userEmail && this.settings.masterPasswordHash) {
+      signalId = await this.registerVaultAndGetSignalId();
+    }
+    
+    // Self-hosted vaults are addressed by their vault ID; otherwise use the signal ID if validated,
+    // falling back to 'host' for testing
+    const ID = selfHosted ? this.settings.vaultId : (signalId || 'host');
+    
+    try {
+      await signaling.connect(ID, (msg) => {
+        console.log('📨 Received signaling message:', msg);
+        const existing = this.rtcPeers.get(msg.source);
+        if (msg.type === 'offer') {
+          if (existing && !existing.destroyed) {
+            // Renegotiation from a connected client, e.g. an ICE restart after a network change
+            existing.signal(msg.payload);
+            return;
+          }
+          console.log('✅ Offer received from:', msg.source);
+          new obsidian.Notice(`Incoming Connection...`);
+          // Plain-text signals for a live peer are dropped (see EncryptedSignaling), so only
+          // encrypting clients can trickle candidates; the rest get every candidate in the answer
+          const offer = signaling.isSealedClient(msg.source) ? msg.payload : { ...msg.payload, trickle: false };
+          this.answerCall(msg.source, offer);
+        } else if (msg.type === 'candidate' && existing && !existing.destroyed) {
+          existing.signal(msg.payload);
+        }
+      });
+    } catch (err) {
+      console.error('Failed to connect signaling:', err);
+      new obsidian.Notice(`Note Relay: Signaling unavailable (${err.message})`);
+      signaling.disconnect();
+      return;
+    }
+    this.signaling = signaling;
+    // A self-hosted server hands out its own STUN/TURN list
+    if (signaling.iceServers) this.iceServers = signaling.iceServers;
+    
+    if (selfHosted) {
+      this.statusBar.setText(`Portal: Self-Hosted (${ID.slice(0, 8)}...)`);
+      this.statusBar.style.color = '#7c4dff';
+    } else if (signalId) {
+      this.statusBar.setText(`Portal: Pro Active (${ID.slice(0, 8)}...)`);
+      this.statusBar.style.color = '#7c4dff';
+    } else {
+      this.statusBar.setText(`Portal: Active`);
+    }
+    
+    console.log(`🎧 Host listening for offers via ${this.settings.signalingBackend} as ${ID}`);
+  }
+
+  /**
+   * Build the signaling adapter picked in settings (see signaling.js)
+   * @returns {Promise<Object|null>} Unconnected adapter, or null if it can't be configured
+   */
+  async createSignaling() {
+    if (this.settings.selfHosted && this.settings.signalingBackend !== 'websocket') {
+      new obsidian.Notice('Note Relay: Self-hosted mode needs a self-hosted signaling server (Remote settings)');
+      return null;
+    }
+    if (this.settings.signalingBackend === 'websocket') {
+      if (!this.settings.signalingUrl) {
+        new obsidian.Notice('Note Relay: Set a signaling server URL in Remote settings');
+        return null;
+      }
+      return new WebSocketSignaling({
+        url: this.settings.signalingUrl,
+        token: this.settings.signalingToken,
+        hostKey: this.settings.signalingHostKey,
+        onStatus: (status, detail) => {
+          console.log(`Note Relay: Signaling ${status}${detail ? ` (${detail})` : ''}`);
+          if (status === 'error') new obsidian.Notice(`Note Relay: Signaling server refused connection (${detail})`);
+        }
+      });
+    }
+
     // Load Supabase credentials dynamically from API (no hardcoded keys)
     if (!SUPABASE_URL || !SUPABASE_KEY) {
       try {
-        const initResponse = await fetch(`${API_BASE_URL}/api/plugin-init`, {
+        const initResponse = await fetch(this.apiUrl('/api/plugin-init'), {
           method: 'POST',
           headers: {
             'Content-Type': 'application/json'
@@ -1734,7 +3190,7 @@ class MicroServer extends obsidian.Plugin {
           const error = await initResponse.json();
           console.error('Failed to load connection credentials:', error);
           new obsidian.Notice('Note Relay: Unable to connect to cloud service');
-          return;
+          return null;
         }
 
         const initData = await initResponse.json();
@@ -1746,44 +3202,11 @@ class MicroServer extends obsidian.Plugin {
       } catch (err) {
         console.error('Failed to fetch connection credentials:', err);
         new obsidian.Notice('Note Relay: Connection initialization failed');
-        return;
+        return null;
       }
     }
 
-    this.supabase = createClient(SUPABASE_URL, SUPABASE_KEY);
-    
-    // Check if we have user email for remote access
-    let signalId = null;
-    if (this.settings.userEmail && this.settings.masterPasswordHash) {
-      signalId = await this.registerVaultAndGetSignalId();
-    }
-    
-    // Use signal ID if validated, otherwise fall back to 'host' for testing
-    const ID = signalId || 'host';
-    
-    if (signalId) {
-      this.statusBar.setText(`Portal: Pro Active (${ID.slice(0, 8)}...)`);
-      this.statusBar.style.color = '#7c4dff';
-    } else {
-      this.statusBar.setText(`Portal: Active`);
-    }
-    
-    console.log('🎧 Host listening for offers with filter: target=eq.' + ID);
-    
-    this.channel = this.supabase.channel('host-channel')
-      .on(
-        'postgres_changes',
-        { event: 'INSERT', schema: 'public', table: 'signaling', filter: `target=eq.${ID}` },
-        (payload) => {
-          console.log('📨 Received signaling message:', payload.new);
-          if (payload.new.type === 'offer') {
-            console.log('✅ Offer received from:', payload.new.source);
-            new obsidian.Notice(`Incoming Connection...`);
-            this.answerCall(payload.new.source, payload.new.payload);
-          }
-        }
-      )
-      .subscribe();
+    return new SupabaseSignaling({ url: SUPABASE_URL, key: SUPABASE_KEY });
   }
 
   extractThemeCSS() {
@@ -1937,52 +3360,647 @@ class MicroServer extends obsidian.Plugin {
     return pluginCSS.join('\n');
   }
 
-  getMimeType(ext) {
-    const map = {
-      'png': 'image/png',
-      'jpg': 'image/jpeg',
-      'jpeg': 'image/jpeg',
-      'gif': 'image/gif',
-      'svg': 'image/svg+xml',
-      'webp': 'image/webp',
-      'pdf': 'application/pdf'
+  getMimeType(ext) {
+    const map = {
+      'png': 'image/png',
+      'jpg': 'image/jpeg',
+      'jpeg': 'image/jpeg',
+      'gif': 'image/gif',
+      'svg': 'image/svg+xml',
+      'webp': 'image/webp',
+      'avif': 'image/avif',
+      'bmp': 'image/bmp',
+      'pdf': 'application/pdf',
+      'mp3': 'audio/mpeg',
+      'wav': 'audio/wav',
+      'ogg': 'audio/ogg',
+      'm4a': 'audio/mp4'
+    };
+    return map[ext.toLowerCase()] || 'application/octet-stream';
+  }
+
+  /**
+   * Send a vault file with ETag/Range support (/api/asset and share-link assets)
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {TFile} file - Already authorised file
+   */
+  async sendAsset(req, res, file) {
+    if (VIDEO_EXTS.includes(file.extension.toLowerCase())) {
+      return res.status(403).send('Media streaming is disabled');
+    }
+    
+    const size = file.stat.size;
+    const etag = this.getAssetEtag(file);
+    res.setHeader('ETag', etag);
+    res.setHeader('Last-Modified', new Date(file.stat.mtime).toUTCString());
+    res.setHeader('Cache-Control', 'private, no-cache'); // cache, but revalidate with the ETag
+    res.setHeader('Accept-Ranges', 'bytes');
+    
+    if (req.headers['if-none-match'] === etag) {
+      return res.status(304).end();
+    }
+    
+    const range = this.parseByteRange(req.headers.range, size);
+    if (range === false) {
+      res.setHeader('Content-Range', `bytes */${size}`);
+      return res.status(416).end();
+    }
+    
+    res.setHeader('Content-Type', this.getMimeType(file.extension));
+    const { start, end } = range || { start: 0, end: size - 1 };
+    if (range) {
+      res.status(206);
+      res.setHeader('Content-Range', `bytes ${start}-${end}/${size}`);
+    }
+    res.setHeader('Content-Length', size === 0 ? 0 : end - start + 1);
+    
+    if (req.method === 'HEAD' || size === 0) {
+      return res.end();
+    }
+    
+    // Stream straight from disk when the adapter exposes real paths (desktop)
+    const adapter = this.app.vault.adapter;
+    if (typeof adapter.getFullPath === 'function') {
+      createReadStream(adapter.getFullPath(file.path), { start, end })
+        .on('error', (err) => {
+          console.error('❌ Asset stream error:', err);
+          res.destroy(err);
+        })
+        .pipe(res);
+    } else {
+      const data = Buffer.from(await this.app.vault.readBinary(file));
+      res.end(data.subarray(start, end + 1));
+    }
+  }
+
+  /**
+   * Render a shared note through the normal pipeline, limited to the note and its attachments
+   * @returns {Promise<Object>} RENDERED_FILE data with asset URLs pointing at /s/:token/asset
+   */
+  async renderSharedNote(link) {
+    let rendered = null;
+    let error = null;
+    const scope = new ShareScope(this.app, link.path, this.privacy);
+    await this.processCommand({ cmd: 'GET_RENDERED_FILE', path: link.path }, (type, data) => {
+      if (type === 'RENDERED_FILE') rendered = data;
+      else if (type === 'ERROR') error = data.message;
+    }, { access: ACCESS.READ, scope, user: `share:${link.token.slice(0, 6)}`, transport: 'Share Link' });
+    
+    if (!rendered) throw new Error(error || 'Rendering failed');
+    const assetPrefix = `/s/${link.token}/asset?path=`;
+    rendered.html = rendered.html.split(this.getAssetUrl('')).join(assetPrefix);
+    return rendered;
+  }
+
+  /**
+   * Public address for a share link (first custom domain if one is configured, else this machine)
+   */
+  getShareUrl(token) {
+    const customOrigin = (this.settings.corsAllowedOrigins || '').split(',').map((s) => s.trim()).find(Boolean);
+    const origin = customOrigin || `http://localhost:${this.settings.localPort || 5474}`;
+    return `${origin.replace(/\/+$/, '')}/s/${token}`;
+  }
+
+  setSharePageHeaders(res) {
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-store');
+    res.setHeader('Referrer-Policy', 'no-referrer');
+    res.setHeader('X-Robots-Tag', 'noindex');
+    // Rendered notes never need scripts; the page only loads its own attachments
+    res.setHeader('Content-Security-Policy', "default-src 'none'; img-src 'self' data:; media-src 'self'; object-src 'self'; frame-src 'self'; style-src 'unsafe-inline'; font-src data:; form-action 'self'");
+  }
+
+  buildSharePage(file, rendered) {
+    const title = escapeHtml(file.basename);
+    return `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <title>${title}</title>
+    <style>${rendered.css || ''}</style>
+    <style>
+      body { margin: 0; background: var(--background-primary); color: var(--text-normal); font-family: var(--font-text, system-ui, sans-serif); }
+      .share-page { max-width: 760px; margin: 0 auto; padding: 40px 24px; }
+      .share-page img { max-width: 100%; }
+      .share-footer { margin-top: 48px; font-size: 12px; color: var(--text-muted); }
+      .is-restricted { color: var(--text-muted); }
+    </style>
+  </head>
+  <body>
+    <div class="share-page markdown-preview-view markdown-rendered">
+      <h1 class="inline-title">${title}</h1>
+      ${rendered.html}
+      <div class="share-footer">Shared read-only via Note Relay</div>
+    </div>
+  </body>
+</html>`;
+  }
+
+  buildSharePasswordPage(link, failed) {
+    return this.buildShareMessagePage('Password required', `
+      <form method="POST" action="/s/${link.token}">
+        <input type="password" name="password" placeholder="Password" autofocus required>
+        <button type="submit">Open</button>
+      </form>
+      ${failed ? '<p class="share-error">Incorrect password.</p>' : ''}`, true);
+  }
+
+  buildShareMessagePage(title, body, isHtml = false) {
+    return `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <title>${escapeHtml(title)}</title>
+    <style>
+      body { margin: 0; min-height: 100vh; display: flex; align-items: center; justify-content: center; background: #1e1e1e; color: #dcddde; font-family: system-ui, sans-serif; }
+      .share-message { max-width: 360px; padding: 24px; text-align: center; }
+      input, button { padding: 8px 12px; border-radius: 4px; border: 1px solid #444; font-size: 14px; }
+      input { background: #2a2a2a; color: inherit; }
+      button { background: #7c4dff; border-color: #7c4dff; color: white; cursor: pointer; }
+      .share-error { color: #e5534b; }
+    </style>
+  </head>
+  <body>
+    <div class="share-message">
+      <h2>${escapeHtml(title)}</h2>
+      ${isHtml ? body : `<p>${escapeHtml(body)}</p>`}
+    </div>
+  </body>
+</html>`;
+  }
+
+  /**
+   * URL for a vault file; <img>/<embed> requests carry the session cookie
+   */
+  getAssetUrl(path) {
+    return `/api/asset?path=${encodeURIComponent(path)}`;
+  }
+
+  getAssetEtag(file) {
+    return `"${file.stat.size.toString(16)}-${Math.floor(file.stat.mtime).toString(16)}"`;
+  }
+
+  /**
+   * Parse an HTTP Range header (only the first range of a multi-range request is served)
+   * @returns {Object|null|false} { start, end } inclusive, null for the whole file, false if unsatisfiable
+   */
+  parseByteRange(header, size) {
+    if (typeof header !== 'string' || !header.startsWith('bytes=')) return null;
+    const match = header.slice(6).split(',')[0].trim().match(/^(\d*)-(\d*)$/);
+    if (!match || (!match[1] && !match[2])) return null;
+    
+    let start;
+    let end;
+    if (!match[1]) {
+      // Suffix range: last N bytes
+      const length = parseInt(match[2], 10);
+      if (length === 0) return false;
+      start = Math.max(0, size - length);
+      end = size - 1;
+    } else {
+      start = parseInt(match[1], 10);
+      end = match[2] ? Math.min(parseInt(match[2], 10), size - 1) : size - 1;
+    }
+    
+    if (start >= size || start > end) return false;
+    return { start, end };
+  }
+  
+  /**
+   * Check a Note Relay license: the API when reachable (its signed token is cached), otherwise the
+   * cached token until its expiry plus the grace period (see licenseCache.js)
+   * @param {string} email
+   * @param {Object} options - { preferCache: skip the API while the cached token is unexpired }
+   * @returns {Promise<Object>} { valid, reason, plan, features, offline, unreachable }
+   */
+  async validateLicense(email, { preferCache = false } = {}) {
+    const fromCache = (cached) => ({
+      valid: true,
+      plan: cached.license.plan,
+      features: cached.license.features || [],
+      offline: true,
+      grace: cached.status === 'grace'
+    });
+    
+    if (preferCache) {
+      const cached = await this.licenseCache.lookup(email);
+      if (cached.status === 'valid') return fromCache(cached);
+    }
+    
+    try {
+      const response = await fetch(this.apiUrl('/api/validate-license'), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email })
+      });
+      if (response.status >= 500) throw new Error(`License API error (${response.status})`);
+      
+      const result = await response.json();
+      if (result.token) {
+        await this.licenseCache.store(email, result.token);
+      } else if (!result.valid) {
+        await this.licenseCache.forget(email);
+      }
+      return { ...result, features: result.features || [], offline: false };
+    } catch (error) {
+      const cached = await this.licenseCache.lookup(email);
+      if (cached.status === 'valid' || cached.status === 'grace') {
+        console.warn(`Note Relay: License API unreachable, using cached license for ${email} (${cached.status})`, error);
+        return fromCache(cached);
+      }
+      console.error('Note Relay: License API unreachable and no usable cached license:', error);
+      return { valid: false, unreachable: true, reason: 'License service unreachable', features: [], offline: true };
+    }
+  }
+  
+  /**
+   * Ask the Note Relay backend whether a guest (already password-verified) may connect:
+   * they need their own license and must not be revoked for this vault
+   * While the backend is down, a cached license token that lists this vault (payload.vaults, signed by
+   * the license API) stands in for the access check until its expiry plus the grace period.
+   * @returns {Promise<Object>} { allowed, message, offline } (message is the ERROR sent to the peer)
+   */
+  async checkGuestBackend(userEmail) {
+    // First, verify guest has valid license
+    console.log('🔍 WebRTC: Verifying guest license:', userEmail);
+    const licenseResult = await this.validateLicense(userEmail, { preferCache: true });
+    
+    if (licenseResult.unreachable) {
+      // Backend down and nothing cached - DENY access (fail secure for guests)
+      console.log('❌ WebRTC: Cannot verify guest license/access - backend unavailable');
+      return { allowed: false, message: 'SERVICE_UNAVAILABLE: Cannot verify your subscription. Please try again later.' };
+    }
+    if (!licenseResult.valid) {
+      console.log('❌ WebRTC: Guest license invalid:', licenseResult.reason || 'No active subscription');
+      return { allowed: false, message: 'LICENSE_REQUIRED: You need an active Note Relay subscription to access shared vaults.' };
+    }
+    
+    console.log(`✅ WebRTC: Guest license valid${licenseResult.offline ? ' (cached)' : ''}`);
+    
+    // Then verify they have access to this vault
+    try {
+      const response = await fetch(this.apiUrl('/api/guests?route=check-access'), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          vaultId: this.settings.dbVaultId,
+          guestEmail: userEmail
+        })
+      });
+      const result = await response.json();
+      
+      if (!result.allowed) {
+        // A token cached before the revocation may still list this vault; drop it so an outage can't bring them back
+        console.log('❌ WebRTC: Guest revoked in backend:', result.reason || 'Not authorized');
+        await this.licenseCache.forget(userEmail);
+        return { allowed: false, message: 'ACCESS_DENIED: Your access has been revoked.' };
+      }
+      if (!response.ok) throw new Error(`Guest API error (${response.status})`);
+      return { allowed: true, offline: false };
+    } catch (error) {
+      console.error('⚠️ WebRTC: Backend verification failed:', error);
+      const cached = await this.licenseCache.lookup(userEmail);
+      const vaults = cached.license?.vaults;
+      if ((cached.status === 'valid' || cached.status === 'grace') && Array.isArray(vaults) && vaults.includes(this.settings.dbVaultId)) {
+        console.warn(`Note Relay: Guest API unreachable, using cached vault access for ${userEmail} (${cached.status})`);
+        return { allowed: true, offline: true };
+      }
+      console.log('❌ WebRTC: Cannot verify guest access - backend unavailable');
+      return { allowed: false, message: 'SERVICE_UNAVAILABLE: Cannot verify your access. Please try again later.' };
+    }
+  }
+  
+  /**
+   * Remove a guest (backend first when the vault is registered) and drop their live connections
+   * @returns {Promise<boolean>} Whether the guest was removed
+   */
+  async revokeGuest(email) {
+    try {
+      // Try to sync to backend first (if vault is registered)
+      if (this.settings.dbVaultId && !this.settings.selfHosted) {
+        const response = await fetch(this.apiUrl('/api/guests?route=revoke'), {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            vaultId: this.settings.dbVaultId,
+            email: this.settings.userEmail,
+            guestEmail: email
+          })
+        });
+      
+        if (!response.ok && response.status !== 404) {
+          // Only fail if it's not a 404 (guest might be local-only from before backend existed)
+          const error = await response.json();
+          new obsidian.Notice(`Failed to revoke: ${error.error}`);
+          return false;
+        }
+      }
+      
+      // Backend sync successful OR guest was local-only, remove from local settings
+      this.settings.guestList = (this.settings.guestList || []).filter((g) => g.email !== email);
+      await this.saveSettings();
+      this.resumableSessions.revokeWhere((state) => state.guestEmail === email);
+      this.liveSessions.list()
+        .filter((entry) => entry.guestEmail === email)
+        .forEach((entry) => this.liveSessions.disconnect(entry.id));
+      this.logActivity('owner', 'GUEST_REVOKED', { transport: 'Obsidian', details: { email } });
+      new obsidian.Notice(`Revoked access: ${email}`);
+      return true;
+    } catch (error) {
+      console.error('Failed to revoke guest:', error);
+      new obsidian.Notice('Network error: Could not sync revocation to backend');
+      return false;
+    }
+  }
+
+  /**
+   * Ask the owner whether a new device may connect
+   * Resolves to a denial when the prompt times out or the peer goes away first.
+   * @param {Object} peer - Waiting SimplePeer
+   * @param {Object} request - { identity, role, device, remoteId }
+   * @returns {Promise<Object>} { allowed, remember, reason? }
+   */
+  requestDeviceApproval(peer, request) {
+    return new Promise((resolve) => {
+      let settled = false;
+      const finish = (decision) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        peer.removeListener('close', onClose);
+        modal.close();
+        resolve(decision);
+      };
+      const onClose = () => finish({ allowed: false, remember: false, reason: 'disconnected' });
+      const timer = setTimeout(() => finish({ allowed: false, remember: false, reason: 'timeout' }), APPROVAL_TIMEOUT);
+      const modal = new DeviceApprovalModal(this.app, request, (allowed, remember) => finish({ allowed, remember, reason: allowed ? null : 'denied' }));
+      
+      peer.once('close', onClose);
+      modal.open();
+      new obsidian.Notice(`🔐 Note Relay: ${request.identity} is waiting for approval`, 10000);
+    });
+  }
+
+  /**
+   * Status bar text for the current connections (replaces "last peer to connect")
+   */
+  updateSessionStatus() {
+    if (!this.statusBar) return;
+    const sessions = this.liveSessions.list();
+    if (sessions.length === 0) {
+      if (this.statusShowsSessions) {
+        this.statusBar.setText('Portal: Active');
+        this.statusBar.style.color = '';
+        this.statusShowsSessions = false;
+      }
+      return;
+    }
+    const only = sessions[0];
+    this.statusBar.setText(sessions.length === 1
+      ? `Linked: ${only.label}${only.access === ACCESS.READ ? ' (RO)' : ''}`
+      : `Linked: ${sessions.length} sessions`);
+    this.statusBar.style.color = '#4caf50';
+    this.statusShowsSessions = true;
+  }
+
+  /**
+   * Status bar popover: who is connected, with disconnect/revoke per session
+   */
+  showSessionMenu(evt) {
+    this.sessions.prune();
+    const menu = new obsidian.Menu();
+    const sessions = this.liveSessions.list();
+    if (sessions.length === 0) {
+      menu.addItem((item) => item.setTitle('No connected sessions').setDisabled(true));
+    }
+    sessions.forEach((entry) => {
+      const since = new Date(entry.connectedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+      menu.addItem((item) => item
+        .setTitle(`${entry.label} · ${entry.kind === 'webrtc' ? 'Remote' : 'Local'} · ${entry.access} · since ${since}`)
+        .setIcon(entry.kind === 'webrtc' ? 'globe' : 'monitor')
+        .setDisabled(true));
+      menu.addItem((item) => item
+        .setTitle('Disconnect')
+        .setIcon('log-out')
+        .onClick(() => this.liveSessions.disconnect(entry.id)));
+      if (entry.revoke) {
+        menu.addItem((item) => item
+          .setTitle('Disconnect and revoke access')
+          .setIcon('ban')
+          .onClick(() => this.liveSessions.revoke(entry.id)));
+      }
+      menu.addSeparator();
+    });
+    menu.addItem((item) => item
+      .setTitle('Manage sessions...')
+      .setIcon('settings')
+      .onClick(() => {
+        this.app.setting.open();
+        this.app.setting.openTabById(this.manifest.id);
+      }));
+    menu.showAtMouseEvent(evt);
+  }
+
+  /**
+   * Record a security event (connections, failed logins, share links) in the audit log
+   * Commands are recorded by processCommand itself.
+   * @param {string} user - Email, 'owner', or IP/peer id for unknown clients
+   * @param {string} action - e.g. CONNECTED, AUTH_FAILED
+   * @param {Object} fields - { transport, path, access, result, details }
+   */
+  logActivity(user, action, fields = {}) {
+    console.log(`🔍 AUDIT: [${user}] ${action}${fields.path ? ' ' + fields.path : ''}`);
+    // ZERO KNOWLEDGE: Logs stay LOCAL only (plugin folder)
+    return this.auditLog.record({ user, action, result: 'ok', ...fields });
+  }
+}
+
+/**
+ * Edit which folders/tags a guest can see (see scope.js)
+ */
+class GuestScopeModal extends obsidian.Modal {
+  constructor(app, guest, onSave) {
+    super(app);
+    this.guest = guest;
+    this.onSave = onSave;
+  }
+
+  onOpen() {
+    const { contentEl } = this;
+    const scope = normalizeScope(this.guest.scope);
+    contentEl.createEl('h3', { text: `Scope: ${this.guest.label || this.guest.email}` });
+    contentEl.createEl('p', {
+      text: 'One folder or tag per line. Leave the allow lists empty to share the whole vault; deny rules always win.',
+      cls: 'setting-item-description'
+    });
+
+    const fields = {};
+    [
+      ['allowFolders', 'Allowed folders', 'Projects/Shared'],
+      ['denyFolders', 'Hidden folders', 'Projects/Shared/Drafts'],
+      ['allowTags', 'Allowed tags', '#shared'],
+      ['denyTags', 'Hidden tags', '#private']
+    ].forEach(([key, label, placeholder]) => {
+      contentEl.createEl('div', { text: label }).style.cssText = 'font-weight: 600; margin-top: 10px;';
+      const textarea = contentEl.createEl('textarea', { attr: { rows: 3, placeholder } });
+      textarea.style.cssText = 'width: 100%; font-family: monospace;';
+      textarea.value = scope[key].join('\n');
+      fields[key] = textarea;
+    });
+
+    const buttons = contentEl.createDiv();
+    buttons.style.cssText = 'display: flex; justify-content: flex-end; gap: 8px; margin-top: 15px;';
+    buttons.createEl('button', { text: 'Cancel' }).onclick = () => this.close();
+    const saveBtn = buttons.createEl('button', { text: 'Save', cls: 'mod-cta' });
+    saveBtn.onclick = async () => {
+      const next = normalizeScope(Object.fromEntries(Object.entries(fields).map(([key, el]) => [key, el.value])));
+      await this.onSave(isScopeRestricted(next) ? next : null);
+      this.close();
     };
-    return map[ext.toLowerCase()] || 'application/octet-stream';
   }
-  
-  /**
-   * Zero-Knowledge Audit Log
-   * Logs access events locally (console for Phase 1, file in Phase 3)
-   * @param {string} userIdentifier - Email or userId of accessor
-   * @param {string} action - Action performed (READ, WRITE, DELETE, etc.)
-   * @param {string} target - File path or resource accessed
-   */
-  async logActivity(userIdentifier, action, target, details = null) {
-    const timestamp = new Date().toISOString();
-    const logEntry = `[${timestamp}] [${userIdentifier}] ${action} ${target}`;
-    console.log('🔍 AUDIT:', logEntry);
-    
-    // ZERO KNOWLEDGE: Logs stay LOCAL only
-    // Write to /.obsidian/plugins/noterelay/access.log
-    try {
-      const logFilePath = '.obsidian/plugins/noterelay/access.log';
-      const vault = this.app.vault;
-      const adapter = vault.adapter;
-      
-      // Read existing log or create new
-      let existingLog = '';
-      try {
-        existingLog = await adapter.read(logFilePath);
-      } catch (e) {
-        // File doesn't exist yet, that's fine
-      }
-      
-      // Append new entry
-      const newEntry = `${logEntry}${details ? ' ' + JSON.stringify(details) : ''}\n`;
-      await adapter.write(logFilePath, existingLog + newEntry);
-    } catch (error) {
-      console.warn('Failed to write audit log locally:', error);
-    }
+
+  onClose() {
+    this.contentEl.empty();
+  }
+}
+
+/**
+ * Allow/deny prompt for an unknown remote device (require-approval mode)
+ * Closing the modal without choosing counts as Deny.
+ */
+class DeviceApprovalModal extends obsidian.Modal {
+  constructor(app, request, onDecision) {
+    super(app);
+    this.request = request;
+    this.onDecision = onDecision; // (allowed, remember) => void, called once
+    this.decided = false;
+  }
+
+  onOpen() {
+    const { contentEl } = this;
+    const { identity, role, device, remoteId } = this.request;
+    contentEl.createEl('h3', { text: '🔐 New device wants to connect' });
+    contentEl.createEl('p', {
+      text: 'The password was correct, but this device has not been approved before. Only allow it if you recognise it.',
+      cls: 'setting-item-description'
+    });
+
+    const details = contentEl.createDiv();
+    details.style.cssText = 'display: grid; grid-template-columns: auto 1fr; gap: 6px 12px; margin: 15px 0; font-size: 0.9em;';
+    [
+      ['Identity', identity],
+      ['Access', role],
+      ['Device', device.label],
+      ['Platform', device.platform || 'Unknown'],
+      ['Browser', device.userAgent || 'Unknown'],
+      ['Connection', remoteId],
+      ['Time', new Date().toLocaleString()]
+    ].forEach(([label, value]) => {
+      details.createEl('div', { text: label }).style.fontWeight = '600';
+      details.createEl('div', { text: value }).style.wordBreak = 'break-all';
+    });
+    // Browser details alone would match any device of the same kind, so those can't be remembered
+    let remember = !device.fingerprinted;
+    new obsidian.Setting(contentEl)
+      .setName('Remember this device')
+      .setDesc(device.fingerprinted
+        ? '⚠️ This client sent no device key, so it will be asked about every time it connects.'
+        : 'Skip this prompt next time (manage in Settings → Remote Relay)')
+      .addToggle((t) => t.setValue(remember).setDisabled(device.fingerprinted).onChange((value) => { remember = value; }));
+
+    const buttons = contentEl.createDiv();
+    buttons.style.cssText = 'display: flex; justify-content: flex-end; gap: 8px; margin-top: 15px;';
+    const denyBtn = buttons.createEl('button', { text: 'Deny', cls: 'mod-warning' });
+    denyBtn.onclick = () => this.decide(false, false);
+    const allowBtn = buttons.createEl('button', { text: 'Allow', cls: 'mod-cta' });
+    allowBtn.onclick = () => this.decide(true, remember);
+  }
+
+  decide(allowed, remember) {
+    if (this.decided) return;
+    this.decided = true;
+    this.onDecision(allowed, remember);
+    this.close();
+  }
+
+  onClose() {
+    this.decide(false, false);
+    this.contentEl.empty();
+  }
+}
+
+/**
+ * Mint a public share link for a note (file menu)
+ */
+class ShareLinkModal extends obsidian.Modal {
+  constructor(app, plugin, file) {
+    super(app);
+    this.plugin = plugin;
+    this.file = file;
+    this.options = { expiry: DEFAULT_SHARE_EXPIRY, password: '', maxViews: 0 };
+  }
+
+  onOpen() {
+    const { contentEl } = this;
+    contentEl.createEl('h3', { text: `Share "${this.file.basename}"` });
+    contentEl.createEl('p', {
+      text: 'Anyone with the link can read a rendered copy of this note and its embedded attachments. Links to other notes are not followable.',
+      cls: 'setting-item-description'
+    });
+
+    new obsidian.Setting(contentEl)
+      .setName('Expires after')
+      .addDropdown((d) => {
+        Object.entries(SHARE_EXPIRY_OPTIONS).forEach(([key, option]) => d.addOption(key, option.label));
+        d.setValue(this.options.expiry).onChange((value) => { this.options.expiry = value; });
+      });
+    new obsidian.Setting(contentEl)
+      .setName('Password')
+      .setDesc('Optional')
+      .addText((t) => {
+        t.inputEl.type = 'password';
+        t.onChange((value) => { this.options.password = value; });
+      });
+    new obsidian.Setting(contentEl)
+      .setName('View limit')
+      .setDesc('Optional, 0 = unlimited')
+      .addText((t) => t
+        .setPlaceholder('0')
+        .onChange((value) => { this.options.maxViews = parseInt(value, 10) || 0; }));
+
+    const result = contentEl.createDiv();
+    new obsidian.Setting(contentEl)
+      .addButton((b) => b
+        .setButtonText('Create link')
+        .setCta()
+        .onClick(async () => {
+          b.setDisabled(true);
+          const link = await this.plugin.shareLinks.create(this.file.path, this.options);
+          this.plugin.logActivity('owner', 'SHARE_LINK_CREATED', { transport: 'Obsidian', path: this.file.path, details: { expiresAt: link.expiresAt, maxViews: link.maxViews } });
+          const url = this.plugin.getShareUrl(link.token);
+          result.empty();
+          new obsidian.Setting(result)
+            .setName('Share link')
+            .setDesc(url)
+            .addButton((copy) => copy
+              .setButtonText('Copy')
+              .onClick(async () => {
+                await navigator.clipboard.writeText(url);
+                new obsidian.Notice('Share link copied');
+              }));
+          if (!this.plugin.serverRunning) {
+            result.createEl('p', { text: '⚠️ The local server is stopped - the link works once it is running.', cls: 'setting-item-description' });
+          }
+        }));
+  }
+
+  onClose() {
+    this.contentEl.empty();
   }
 }
 
@@ -1996,6 +4014,7 @@ class MicroServerSettingTab extends obsidian.PluginSettingTab {
   display() {
     const { containerEl } = this;
     containerEl.empty();
+    this.hide(); // drop the live session subscription of the previous render
     
     // Header
     containerEl.createEl('h2', { text: 'Note Relay Settings' });
@@ -2055,7 +4074,8 @@ class MicroServerSettingTab extends obsidian.PluginSettingTab {
     
     const tabs = [
       { id: 'general', label: '🏠 General & Identity' },
-      { id: 'remote', label: '🌐 Remote Relay' }
+      { id: 'remote', label: '🌐 Remote Relay' },
+      { id: 'audit', label: '📜 Audit Log' }
     ];
     
     tabs.forEach(tab => {
@@ -2075,9 +4095,182 @@ class MicroServerSettingTab extends obsidian.PluginSettingTab {
       this.displayGeneralTab(contentDiv);
     } else if (this.activeTab === 'remote') {
       this.displayRemoteTab(contentDiv);
+    } else if (this.activeTab === 'audit') {
+      this.displayAuditTab(contentDiv);
+    }
+  }
+  
+  /**
+   * Live list of connected peers and browsers, re-rendered as the registry changes
+   */
+  renderLiveSessions(listEl) {
+    if (this.unsubscribeSessions) this.unsubscribeSessions();
+    let timer = null;
+    
+    const render = () => {
+      timer = null;
+      this.plugin.sessions.prune(); // idle browsers drop out of the registry here
+      const sessions = this.plugin.liveSessions.list();
+      listEl.empty();
+      if (sessions.length === 0) {
+        const empty = listEl.createDiv({ text: 'Nobody is connected' });
+        empty.style.cssText = 'padding: 10px; color: var(--text-muted); font-style: italic;';
+        return;
+      }
+      sessions.forEach((entry) => {
+        const kb = Math.round((entry.bytesIn + entry.bytesOut) / 1024);
+        const details = [
+          `${entry.kind === 'webrtc' ? '🌐 Remote' : '💻 Local'} · ${entry.access}`,
+          `connected ${new Date(entry.connectedAt).toLocaleTimeString()}`,
+          `${entry.commands} command${entry.commands === 1 ? '' : 's'}, ${kb} KB`
+        ];
+        if (entry.lastCommand) details.push(`last: ${entry.lastCommand}${entry.lastPath ? ' ' + entry.lastPath : ''}`);
+        
+        const setting = new obsidian.Setting(listEl)
+          .setName(entry.label)
+          .setDesc(details.join(' · '))
+          .addButton((b) => b
+            .setButtonText('Disconnect')
+            .onClick(() => {
+              this.plugin.liveSessions.disconnect(entry.id);
+              new obsidian.Notice(`Disconnected ${entry.label}`);
+            }));
+        if (entry.revoke) {
+          setting.addButton((b) => b
+            .setButtonText('Disconnect & Revoke')
+            .setClass('mod-warning')
+            .onClick(async () => {
+              if (await this.plugin.liveSessions.revoke(entry.id)) this.display();
+            }));
+        }
+      });
+    };
+    
+    // Commands arrive in bursts; redraw at most twice a second
+    this.unsubscribeSessions = this.plugin.liveSessions.subscribe(() => {
+      if (!timer) timer = setTimeout(render, 500);
+    });
+    render();
+  }
+  
+  hide() {
+    if (this.unsubscribeSessions) {
+      this.unsubscribeSessions();
+      this.unsubscribeSessions = null;
     }
   }
   
+  displayAuditTab(container) {
+    container.createEl('h3', { text: 'Audit Log', cls: 'setting-item-heading' });
+    container.createEl('p', {
+      text: 'Every command run through Note Relay (web UI, remote devices, guests, share links), plus logins and connections. Stored locally in audit.jsonl in the plugin folder.',
+      cls: 'setting-item-description'
+    });
+    
+    // Retention
+    new obsidian.Setting(container)
+      .setName('Rotate At (MB)')
+      .setDesc('Start a new file once the current log reaches this size')
+      .addText((t) => t
+        .setPlaceholder(String(DEFAULT_MAX_SIZE_MB))
+        .setValue(String(this.plugin.settings.auditMaxSizeMB ?? DEFAULT_MAX_SIZE_MB))
+        .onChange(async (value) => {
+          const size = parseFloat(value);
+          if (size > 0) {
+            this.plugin.settings.auditMaxSizeMB = size;
+            await this.plugin.saveSettings();
+          }
+        }));
+    new obsidian.Setting(container)
+      .setName('Files To Keep')
+      .setDesc('Rotated files kept besides the current one (older entries are deleted)')
+      .addText((t) => t
+        .setPlaceholder(String(DEFAULT_MAX_FILES))
+        .setValue(String(this.plugin.settings.auditMaxFiles ?? DEFAULT_MAX_FILES))
+        .onChange(async (value) => {
+          const count = parseInt(value, 10);
+          if (count >= 0) {
+            this.plugin.settings.auditMaxFiles = count;
+            await this.plugin.saveSettings();
+          }
+        }));
+    
+    // Filters (kept while the tab re-renders)
+    if (!this.auditFilters) this.auditFilters = { user: '', access: '', result: '', path: '' };
+    const filters = this.auditFilters;
+    const filterBar = container.createDiv();
+    filterBar.style.cssText = 'display: flex; flex-wrap: wrap; gap: 8px; margin: 15px 0;';
+    
+    const userSelect = filterBar.createEl('select');
+    userSelect.createEl('option', { text: 'All users', value: '' });
+    const select = (options, key) => {
+      const el = filterBar.createEl('select');
+      options.forEach(([value, text]) => el.createEl('option', { text, value }));
+      el.value = filters[key];
+      el.onchange = () => { filters[key] = el.value; refresh(); };
+      return el;
+    };
+    select([['', 'Any access'], ['read', 'Reads'], ['write', 'Writes'], ['admin', 'Admin']], 'access');
+    select([['', 'Any result'], ['ok', 'OK'], ['error', 'Errors'], ['denied', 'Denied']], 'result');
+    const pathInput = filterBar.createEl('input', { type: 'text', placeholder: 'Path contains...' });
+    pathInput.value = filters.path;
+    let pathTimer = null;
+    pathInput.oninput = () => {
+      filters.path = pathInput.value;
+      clearTimeout(pathTimer);
+      pathTimer = setTimeout(() => refresh(), 300); // each query rereads the log files
+    };
+    const refreshBtn = filterBar.createEl('button', { text: '🔄 Refresh' });
+    refreshBtn.onclick = () => refresh();
+    
+    const summary = container.createDiv();
+    summary.style.cssText = 'font-size: 0.85em; color: var(--text-muted); margin-bottom: 8px;';
+    const table = container.createDiv();
+    table.style.cssText = 'display: grid; grid-template-columns: auto auto auto 1fr auto auto auto; gap: 2px 12px; font-size: 0.85em; max-height: 480px; overflow-y: auto;';
+    
+    const refresh = async () => {
+      const page = await this.plugin.auditLog.query({ ...filters, limit: 200 });
+      
+      // Rebuild the user list from what the log has seen
+      const selectedUser = filters.user;
+      userSelect.empty();
+      userSelect.createEl('option', { text: 'All users', value: '' });
+      page.users.forEach((user) => userSelect.createEl('option', { text: user, value: user }));
+      userSelect.value = selectedUser;
+      
+      summary.setText(page.total > page.entries.length
+        ? `Showing the latest ${page.entries.length} of ${page.total} entries`
+        : `${page.total} entr${page.total === 1 ? 'y' : 'ies'}`);
+      
+      table.empty();
+      ['Time', 'User', 'Action', 'Path', 'Access', 'Result', 'Bytes'].forEach((header) => {
+        const th = table.createEl('div', { text: header });
+        th.style.cssText = 'font-weight: 600; padding: 4px 0; border-bottom: 2px solid var(--background-modifier-border); position: sticky; top: 0; background: var(--background-primary);';
+      });
+      page.entries.forEach((entry) => {
+        const resultColor = entry.result === 'ok' ? '' : (entry.result === 'denied' ? '#ff9800' : 'var(--text-error)');
+        const bytes = (entry.bytesIn || 0) + (entry.bytesOut || 0);
+        [
+          new Date(entry.ts).toLocaleString(),
+          entry.user + (entry.transport ? ` (${entry.transport})` : ''),
+          entry.action,
+          entry.newPath ? `${entry.path} → ${entry.newPath}` : (entry.path || ''),
+          entry.access || '',
+          entry.result + (entry.message ? `: ${entry.message}` : ''),
+          bytes ? `${Math.max(1, Math.round(bytes / 1024))} KB` : ''
+        ].forEach((text, i) => {
+          const cell = table.createEl('div', { text });
+          cell.style.cssText = 'padding: 3px 0; white-space: nowrap; overflow: hidden; text-overflow: ellipsis;';
+          if (i === 3) cell.style.fontFamily = 'var(--font-monospace)';
+          if (i === 5 && resultColor) cell.style.color = resultColor;
+          cell.title = text;
+        });
+      });
+    };
+    userSelect.onchange = () => { filters.user = userSelect.value; refresh(); };
+    refresh();
+  }
+  
   displayGeneralTab(container) {
     // === IDENTITY SECTION (ALWAYS FIRST) ===
     const identitySection = container.createEl('div', { cls: 'identity-section' });
@@ -2121,6 +4314,15 @@ class MicroServerSettingTab extends obsidian.PluginSettingTab {
             return;
           }
           
+          // Self-hosted: the email only identifies the owner at remote sign-in, there is no account to verify
+          if (this.plugin.settings.selfHosted) {
+            this.plugin.settings.userEmail = tempEmail;
+            await this.plugin.saveSettings();
+            new obsidian.Notice('✅ Owner email saved');
+            this.display();
+            return;
+          }
+          
           // UI Feedback
           b.setButtonText('Verifying...');
           b.setDisabled(true);
@@ -2156,22 +4358,24 @@ class MicroServerSettingTab extends obsidian.PluginSettingTab {
     
     // Add Disconnect button if email is set
     if (this.plugin.settings.userEmail) {
-      // Refresh Status button
-      emailSetting.addButton((b) => b
-        .setIcon('refresh-cw')
-        .setTooltip('Refresh license status from server')
-        .onClick(async () => {
-          new obsidian.Notice('🔄 Refreshing license status...');
-          try {
-            await this.plugin.registerVaultAndGetSignalId();
-            this.display(); // Refresh UI to show updated tier badge
-            new obsidian.Notice('✅ License status updated');
-          } catch (error) {
-            console.error('Failed to refresh license:', error);
-            new obsidian.Notice('❌ Failed to refresh. Check your connection.');
-          }
-        })
-      );
+      // Refresh Status button (cloud accounts only)
+      if (!this.plugin.settings.selfHosted) {
+        emailSetting.addButton((b) => b
+          .setIcon('refresh-cw')
+          .setTooltip('Refresh license status from server')
+          .onClick(async () => {
+            new obsidian.Notice('🔄 Refreshing license status...');
+            try {
+              await this.plugin.registerVaultAndGetSignalId();
+              this.display(); // Refresh UI to show updated tier badge
+              new obsidian.Notice('✅ License status updated');
+            } catch (error) {
+              console.error('Failed to refresh license:', error);
+              new obsidian.Notice('❌ Failed to refresh. Check your connection.');
+            }
+          })
+        );
+      }
       
       // Disconnect button
       emailSetting.addButton((b) => b
@@ -2196,7 +4400,12 @@ class MicroServerSettingTab extends obsidian.PluginSettingTab {
     const emailStatus = identitySection.createDiv({ cls: 'setting-item-description' });
     emailStatus.style.cssText = 'margin: -10px 0 15px 0; padding-left: 0; display: flex; align-items: center; gap: 10px;';
     
-    if (this.plugin.settings.userEmail) {
+    if (this.plugin.settings.userEmail && this.plugin.settings.selfHosted) {
+      emailStatus.innerHTML = `
+        ✅ <strong style="color: #4caf50;">Owner email saved - sign in remotely with it and your remote password</strong>
+        <span class="tier-badge" style="padding: 2px 8px; border-radius: 4px; font-size: 0.8em; font-weight: bold; color: var(--interactive-accent); background: var(--background-modifier-hover);">SELF-HOSTED</span>
+      `;
+    } else if (this.plugin.settings.userEmail) {
       // Create badge based on license tier
       const tier = this.plugin.settings.licenseTier || 'free';
       let badgeText, badgeColor, badgeBackground;
@@ -2248,8 +4457,10 @@ class MicroServerSettingTab extends obsidian.PluginSettingTab {
         .setCta()
         .onClick(async () => {
           if (this.newPass) {
-            this.plugin.settings.passwordHash = await hashString(this.newPass);
+            this.plugin.settings.passwordHash = await createVerifier(await hashString(this.newPass));
             await this.plugin.saveSettings();
+            this.plugin.sessions.revokeAll();
+            this.plugin.resumableSessions.revokeAll();
             new obsidian.Notice('Read-write password updated');
             this.newPass = '';
             this.display();
@@ -2266,6 +4477,8 @@ class MicroServerSettingTab extends obsidian.PluginSettingTab {
           if (confirmed) {
             this.plugin.settings.passwordHash = '';
             await this.plugin.saveSettings();
+            this.plugin.sessions.revokeAll();
+            this.plugin.resumableSessions.revokeAll();
             new obsidian.Notice('Local password cleared');
             this.display();
           }
@@ -2277,6 +4490,59 @@ class MicroServerSettingTab extends obsidian.PluginSettingTab {
     passStatus.style.cssText = 'margin: -10px 0 20px 0; padding-left: 0;';
     passStatus.setText(this.plugin.settings.passwordHash ? '✅ Password is set (local access is always read-write)' : '⚠️ No password set');
     
+    // Web Sessions
+    const sessionCount = this.plugin.sessions.size;
+    new obsidian.Setting(container)
+      .setName('Web Sessions')
+      .setDesc(`${sessionCount} browser${sessionCount === 1 ? '' : 's'} signed in. Sessions end after 30 minutes without activity.`)
+      .addButton((b) => b
+        .setButtonText('Sign Out All')
+        .setClass('mod-warning')
+        .setDisabled(sessionCount === 0)
+        .onClick(() => {
+          const count = this.plugin.sessions.revokeAll();
+          this.plugin.resumableSessions.revokeAll(); // dropped WebRTC sessions can't come back either
+          new obsidian.Notice(`Signed out ${count} web session${count === 1 ? '' : 's'}`);
+          this.display();
+        }));
+    
+    // Connected Sessions (live)
+    container.createEl('h3', { text: 'Connected Sessions', cls: 'setting-item-heading' });
+    this.renderLiveSessions(container.createDiv());
+    
+    // Share Links
+    const shareLinks = this.plugin.shareLinks.active();
+    new obsidian.Setting(container)
+      .setName('Share Links')
+      .setDesc(shareLinks.length
+        ? `${shareLinks.length} active public link${shareLinks.length === 1 ? '' : 's'}.`
+        : 'No active links. Use "Create share link" in a note\'s menu.');
+    shareLinks.forEach((link) => {
+      const details = [
+        `expires ${new Date(link.expiresAt).toLocaleString()}`,
+        `${link.views}${link.maxViews ? '/' + link.maxViews : ''} view${link.views === 1 && !link.maxViews ? '' : 's'}`
+      ];
+      if (link.password) details.push('password');
+      new obsidian.Setting(container)
+        .setName(link.path)
+        .setDesc(details.join(' · '))
+        .setClass('share-link-item')
+        .addButton((b) => b
+          .setButtonText('Copy')
+          .onClick(async () => {
+            await navigator.clipboard.writeText(this.plugin.getShareUrl(link.token));
+            new obsidian.Notice('Share link copied');
+          }))
+        .addButton((b) => b
+          .setButtonText('Revoke')
+          .setClass('mod-warning')
+          .onClick(async () => {
+            await this.plugin.shareLinks.revoke(link.token);
+            new obsidian.Notice(`Share link revoked: ${link.path}`);
+            this.display();
+          }));
+    });
+    
     // Port Configuration
     new obsidian.Setting(container)
       .setName('Server Port')
@@ -2317,6 +4583,22 @@ class MicroServerSettingTab extends obsidian.PluginSettingTab {
           await this.plugin.saveSettings();
         }));
 
+    new obsidian.Setting(container)
+      .setName('Private Folders')
+      .setDesc('Never reachable through Note Relay, not even by you. One folder or glob per line (e.g. Journal/Private, **/Secrets, *.private.md). Notes with "relay: private" in their frontmatter are hidden too.')
+      .addTextArea(text => {
+        text
+          .setPlaceholder('Journal/Private')
+          .setValue(this.plugin.settings.privateFolders || '')
+          .onChange(async (value) => {
+            this.plugin.settings.privateFolders = value;
+            this.plugin.vaultSearch.invalidate();
+            await this.plugin.saveSettings();
+          });
+        text.inputEl.rows = 4;
+        text.inputEl.style.fontFamily = 'monospace';
+      });
+
     // Analytics Privacy Settings
     container.createEl('h3', { text: '📊 Vault Insights', cls: 'setting-item-heading' });
     
@@ -2324,7 +4606,15 @@ class MicroServerSettingTab extends obsidian.PluginSettingTab {
     const analyticsToggle = new obsidian.Setting(container)
       .setName('Enable Usage Dashboard');
     
-    if (!this.plugin.settings.userEmail) {
+    if (this.plugin.settings.selfHosted) {
+      // The dashboard lives on noterelay.io, which self-hosted mode never contacts
+      analyticsToggle
+        .setDesc('Not available in self-hosted mode.')
+        .addToggle(toggle => toggle
+          .setValue(false)
+          .setDisabled(true)
+        );
+    } else if (!this.plugin.settings.userEmail) {
       // No email - disable toggle and show requirement
       analyticsToggle
         .setDesc('Link your account above to unlock your personal usage dashboard and help shape future features.')
@@ -2358,11 +4648,56 @@ class MicroServerSettingTab extends obsidian.PluginSettingTab {
   
   displayRemoteTab(container) {
     
-    // Define tier (base and pro both get remote access)
-    const isPro = ['base', 'pro'].includes(this.plugin.settings.licenseTier);
+    // Define tier (base and pro both get remote access; self-hosted installs have no tiers)
+    const selfHosted = !!this.plugin.settings.selfHosted;
+    const isPro = selfHosted || ['base', 'pro'].includes(this.plugin.settings.licenseTier);
     
     container.createEl('h3', { text: 'Remote Relay Configuration' });
     
+    // SELF-HOSTED MODE
+    new obsidian.Setting(container)
+      .setName('Self-Hosted Mode')
+      .setDesc('Never contact noterelay.io: no subscription or license checks, guests are verified against the list below only, and remote access runs through your own signaling server. Works fully offline / air-gapped.')
+      .addToggle((toggle) => toggle
+        .setValue(selfHosted)
+        .onChange(async (value) => {
+          this.plugin.settings.selfHosted = value;
+          if (value) this.plugin.settings.signalingBackend = 'websocket';
+          this.plugin.disconnectSignaling();
+          await this.plugin.saveSettings();
+          if (value && this.plugin.settings.signalingUrl) await this.plugin.connectSignaling();
+          this.display();
+        }));
+    
+    if (!selfHosted) {
+      new obsidian.Setting(container)
+        .setName('Note Relay API URL')
+        .setDesc('Base URL for license, vault registration and guest checks. Leave empty for https://noterelay.io')
+        .addText((text) => text
+          .setPlaceholder('https://noterelay.io')
+          .setValue(this.plugin.settings.apiBaseUrl)
+          .onChange(async (value) => {
+            this.plugin.settings.apiBaseUrl = value.trim();
+            await this.plugin.saveSettings();
+          }));
+      
+      new obsidian.Setting(container)
+        .setName('License Grace Period (hours)')
+        .setDesc('Licenses are cached as signed tokens. If the license service is unreachable, a cached license keeps working this long past its expiry, so a short outage doesn\'t lock you out. The same applies to guests whose cached license lists this vault; revoking a guest here always takes effect immediately.')
+        .addText((text) => {
+          text.inputEl.type = 'number';
+          text.inputEl.min = '0';
+          text
+            .setPlaceholder(String(DEFAULT_LICENSE_GRACE_HOURS))
+            .setValue(String(this.plugin.settings.licenseGraceHours ?? DEFAULT_LICENSE_GRACE_HOURS))
+            .onChange(async (value) => {
+              const hours = parseInt(value, 10);
+              this.plugin.settings.licenseGraceHours = Number.isFinite(hours) && hours >= 0 ? hours : DEFAULT_LICENSE_GRACE_HOURS;
+              await this.plugin.saveSettings();
+            });
+        });
+    }
+    
     // Show upgrade CTA if not Pro/Base (Glass Wall UX)
     if (!isPro) {
       const upgradeBanner = container.createDiv();
@@ -2383,7 +4718,9 @@ class MicroServerSettingTab extends obsidian.PluginSettingTab {
       };
     }
     
-    const isActive = this.plugin.signalId && this.plugin.heartbeatInterval;
+    const isActive = selfHosted
+      ? !!(this.plugin.signaling && this.plugin.signaling.connected)
+      : this.plugin.signalId && this.plugin.heartbeatInterval;
     const hasEmail = !!this.plugin.settings.userEmail;
     const hasMasterPass = !!this.plugin.settings.masterPasswordHash;
     
@@ -2406,8 +4743,9 @@ class MicroServerSettingTab extends obsidian.PluginSettingTab {
         .onClick(async () => {
           if (!isPro) return;
           if (this.newMasterPass) {
-            this.plugin.settings.masterPasswordHash = await hashString(this.newMasterPass);
+            this.plugin.settings.masterPasswordHash = await createVerifier(await hashString(this.newMasterPass));
             await this.plugin.saveSettings();
+            this.plugin.resumableSessions.revokeWhere((state) => state.user === 'owner');
             new obsidian.Notice('✅ Master password set');
             this.newMasterPass = '';
             this.display();
@@ -2427,6 +4765,7 @@ class MicroServerSettingTab extends obsidian.PluginSettingTab {
           const confirmed = confirm('Clear your remote password? This will disable remote vault access.');
           if (confirmed) {
             this.plugin.settings.masterPasswordHash = '';
+            this.plugin.resumableSessions.revokeWhere((state) => state.user === 'owner');
             this.plugin.disconnectSignaling(); // Disconnect if active
             await this.plugin.saveSettings();
             new obsidian.Notice('Remote password cleared');
@@ -2445,10 +4784,18 @@ class MicroServerSettingTab extends obsidian.PluginSettingTab {
     }
     
     // Activation Button
-    const canActivate = hasMasterPass && hasEmail && isPro;
+    const canActivate = hasMasterPass && hasEmail && isPro && (!selfHosted || !!this.plugin.settings.signalingUrl);
+    let activationDesc;
+    if (!isPro) {
+      activationDesc = '🔒 Requires Base or Pro subscription to connect to global relay';
+    } else if (selfHosted) {
+      activationDesc = canActivate ? 'Click to connect this vault to your signaling server' : 'Set an owner email (General tab), a remote password and a signaling server URL below to continue';
+    } else {
+      activationDesc = canActivate ? 'Click to validate your subscription and register this vault for remote access via the global relay' : 'Set a remote password above to continue';
+    }
     const activationSetting = new obsidian.Setting(container)
       .setName('Activate Remote Access')
-      .setDesc(!isPro ? '🔒 Requires Base or Pro subscription to connect to global relay' : canActivate ? 'Click to validate your subscription and register this vault for remote access via the global relay' : 'Set a remote password above to continue');
+      .setDesc(activationDesc);
     
     activationSetting.addButton((b) => {
       b.setButtonText(!isPro ? 'Activate Remote Access (Pro Required)' : isActive ? '🟢 Active - Click to Re-register' : 'Activate Remote Access')
@@ -2456,17 +4803,22 @@ class MicroServerSettingTab extends obsidian.PluginSettingTab {
         .setDisabled(!canActivate)
         .onClick(async () => {
           if (!isPro) return;
+          if (selfHosted) {
+            await this.plugin.connectSignaling();
+            if (this.plugin.signaling && this.plugin.signaling.connected) {
+              new obsidian.Notice('✅ Connected to your signaling server. Your vault is reachable remotely.');
+            } else {
+              new obsidian.Notice('❌ Could not connect to the signaling server. Check the URL and token.');
+            }
+            this.display();
+            return;
+          }
           // Validate license before connecting
           new obsidian.Notice('Checking subscription...');
           
           try {
-            const licenseResponse = await fetch(`${API_BASE_URL}/api/validate-license`, {
-              method: 'POST',
-              headers: { 'Content-Type': 'application/json' },
-              body: JSON.stringify({ email: this.plugin.settings.userEmail })
-            });
-            
-            const licenseResult = await licenseResponse.json();
+            const licenseResult = await this.plugin.validateLicense(this.plugin.settings.userEmail);
+            if (licenseResult.unreachable) throw new Error(licenseResult.reason);
             
             if (!licenseResult.valid) {
               const reason = licenseResult.reason || 'No active subscription';
@@ -2530,12 +4882,147 @@ class MicroServerSettingTab extends obsidian.PluginSettingTab {
     } else {
       activationStatus.setText('Ready to activate - Click the button above');
     }
+
+    // SIGNALING SECTION
+    container.createEl('h3', { text: 'Signaling', cls: 'setting-item-heading' });
+    const signalingNote = container.createDiv({ cls: 'setting-item-description' });
+    signalingNote.style.cssText = 'margin-bottom: 10px;';
+    signalingNote.setText('Remote clients find this vault through a signaling service before connecting peer-to-peer. Run signaling-server/ on your own machine to avoid the cloud service (see README).');
+
+    // Self-hosted mode can't use the cloud backend, so there is nothing to pick
+    if (!selfHosted) {
+      new obsidian.Setting(container)
+        .setName('Signaling Backend')
+        .addDropdown((dropdown) => {
+          Object.entries(SIGNALING_BACKENDS).forEach(([value, label]) => dropdown.addOption(value, label));
+          dropdown
+            .setValue(this.plugin.settings.signalingBackend || DEFAULT_SIGNALING_BACKEND)
+            .onChange(async (value) => {
+              this.plugin.settings.signalingBackend = value;
+              await this.plugin.saveSettings();
+              this.display();
+            });
+        });
+    }
+
+    if (this.plugin.settings.signalingBackend === 'websocket') {
+      new obsidian.Setting(container)
+        .setName('Signaling Server URL')
+        .setDesc('e.g. ws://192.168.1.10:8787 (use wss:// behind a TLS proxy when reachable from the internet)')
+        .addText((text) => text
+          .setPlaceholder('ws://localhost:8787')
+          .setValue(this.plugin.settings.signalingUrl)
+          .onChange(async (value) => {
+            this.plugin.settings.signalingUrl = value.trim();
+            await this.plugin.saveSettings();
+          }));
+
+      new obsidian.Setting(container)
+        .setName('Signaling Token')
+        .setDesc('Shared secret set as SIGNALING_TOKEN on the server (leave empty if the server has none)')
+        .addText((text) => {
+          text.inputEl.type = 'password';
+          text
+            .setValue(this.plugin.settings.signalingToken)
+            .onChange(async (value) => {
+              this.plugin.settings.signalingToken = value.trim();
+              await this.plugin.saveSettings();
+            });
+        });
+    }
+    
+    if (selfHosted) {
+      // Remote clients connect to this ID on the signaling server
+      new obsidian.Setting(container)
+        .setName('Host ID')
+        .setDesc(this.plugin.settings.vaultId)
+        .addButton((b) => b
+          .setButtonText('Copy')
+          .onClick(async () => {
+            await navigator.clipboard.writeText(this.plugin.settings.vaultId);
+            new obsidian.Notice('Host ID copied');
+          }));
+    }
+
+    new obsidian.Setting(container)
+      .setName('Pairing Secret')
+      .setDesc('Remote apps encrypt connection details (SDP, IP addresses) with this before they reach the signaling service. Give it to your devices and guests privately, e.g. in person or through a password manager.')
+      .addButton((b) => b
+        .setButtonText('Copy')
+        .onClick(async () => {
+          await navigator.clipboard.writeText(this.plugin.settings.signalingSecret);
+          new obsidian.Notice('Pairing secret copied');
+        }))
+      .addButton((b) => b
+        .setButtonText('Regenerate')
+        .onClick(async () => {
+          this.plugin.settings.signalingSecret = generatePairingSecret();
+          await this.plugin.saveSettings();
+          if (this.plugin.signaling) await this.plugin.connectSignaling();
+          new obsidian.Notice('New pairing secret: every remote device needs it to connect');
+          this.display();
+        }));
+
+    new obsidian.Setting(container)
+      .setName('Require Encrypted Signaling')
+      .setDesc('Ignore apps that send connection details in plain text (older versions without pairing secret support).')
+      .addToggle((toggle) => toggle
+        .setValue(!!this.plugin.settings.requireSignalingEncryption)
+        .onChange(async (value) => {
+          this.plugin.settings.requireSignalingEncryption = value;
+          await this.plugin.saveSettings();
+          if (this.plugin.signaling) await this.plugin.connectSignaling();
+        }));
+
+    new obsidian.Setting(container)
+      .setName('Reconnect Signaling')
+      .setDesc(this.plugin.signaling && this.plugin.signaling.connected ? '🟢 Connected' : '⚪ Not connected')
+      .addButton((b) => b
+        .setButtonText('Reconnect')
+        .onClick(async () => {
+          await this.plugin.connectSignaling();
+          this.display();
+        }));
+
+    // DEVICE APPROVAL SECTION
+    container.createEl('h3', { text: 'Device Approval', cls: 'setting-item-heading' });
+    new obsidian.Setting(container)
+      .setName('Require Approval For New Devices')
+      .setDesc('A correct password from a device you haven\'t approved waits until you click Allow in Obsidian (applies to you and your guests).')
+      .addToggle((toggle) => toggle
+        .setValue(!!this.plugin.settings.requireDeviceApproval)
+        .onChange(async (value) => {
+          this.plugin.settings.requireDeviceApproval = value;
+          await this.plugin.saveSettings();
+          this.display();
+        }));
+    
+    const trustedDevices = this.plugin.trustedDevices.devices;
+    if (this.plugin.settings.requireDeviceApproval || trustedDevices.length > 0) {
+      if (trustedDevices.length === 0) {
+        const empty = container.createDiv({ text: 'No remembered devices yet' });
+        empty.style.cssText = 'padding: 10px; color: var(--text-muted); font-style: italic;';
+      }
+      trustedDevices.forEach((device) => {
+        new obsidian.Setting(container)
+          .setName(`${device.label} — ${device.identity}`)
+          .setDesc(`${device.platform || 'Unknown platform'} · approved ${new Date(device.approvedAt).toLocaleDateString()} · last seen ${new Date(device.lastSeen).toLocaleString()}`)
+          .addButton((b) => b
+            .setButtonText('Forget')
+            .setClass('mod-warning')
+            .onClick(async () => {
+              await this.plugin.trustedDevices.forget(device.id);
+              new obsidian.Notice(`Forgot device: ${device.label}`);
+              this.display();
+            }));
+      });
+    }
     
     // GUEST MANAGER SECTION
     container.createEl('h3', { text: 'Guest Access Control', cls: 'setting-item-heading' });
     
     // Check if user has Pro tier (Guest Manager requires Pro specifically, not Base)
-    const hasGuestAccess = this.plugin.settings.licenseTier === 'pro';
+    const hasGuestAccess = selfHosted || this.plugin.settings.licenseTier === 'pro';
     
     const guestManagerDiv = container.createDiv();
     guestManagerDiv.style.cssText = 'padding: 20px; background: var(--background-secondary); border-radius: 6px; margin: 20px 0;';
@@ -2618,8 +5105,8 @@ class MicroServerSettingTab extends obsidian.PluginSettingTab {
         return;
       }
       
-      // Hash the password
-      const passHash = await hashString(password);
+      // Salted verifier (see shared/passwordAuth.js)
+      const passHash = await createVerifier(await hashString(password));
       
       // Add to guest list
       if (!this.plugin.settings.guestList) {
@@ -2632,6 +5119,22 @@ class MicroServerSettingTab extends obsidian.PluginSettingTab {
         return;
       }
       
+      // Self-hosted: the local list is the whole guest system
+      if (selfHosted) {
+        this.plugin.settings.guestList.push({
+          userId: '',
+          email: email,
+          passHash: passHash,
+          mode: mode,
+          label: label || email,
+          status: 'verified'
+        });
+        await this.plugin.saveSettings();
+        new obsidian.Notice(`✅ Guest added: ${email} (${mode.toUpperCase()})`);
+        this.display();
+        return;
+      }
+      
       // Check for Collaboration Pack before allowing guest addition
       try {
         // First check vault is registered
@@ -2643,13 +5146,8 @@ class MicroServerSettingTab extends obsidian.PluginSettingTab {
         // Validate Collaboration Pack
         new obsidian.Notice('Checking subscription...');
         
-        const licenseResponse = await fetch(`${API_BASE_URL}/api/validate-license`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ email: this.plugin.settings.userEmail })
-        });
-        
-        const licenseResult = await licenseResponse.json();
+        const licenseResult = await this.plugin.validateLicense(this.plugin.settings.userEmail);
+        if (licenseResult.unreachable) throw new Error(licenseResult.reason);
         
         if (!licenseResult.valid || !licenseResult.features.includes('guest-sharing')) {
           const reason = licenseResult.reason || 'Collaboration Pack required';
@@ -2690,7 +5188,7 @@ class MicroServerSettingTab extends obsidian.PluginSettingTab {
         // Valid Collaboration Pack - proceed with adding guest
         new obsidian.Notice('Subscription verified! Adding guest...');
         
-        const response = await fetch(`${API_BASE_URL}/api/guests?route=add`, {
+        const response = await fetch(this.plugin.apiUrl('/api/guests?route=add'), {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify({
@@ -2745,10 +5243,10 @@ class MicroServerSettingTab extends obsidian.PluginSettingTab {
       emptyMsg.setText('No guests added yet');
     } else {
       const guestTable = guestManagerDiv.createDiv();
-      guestTable.style.cssText = 'display: grid; grid-template-columns: 2fr 1fr 1fr 1fr auto; gap: 10px; align-items: center;';
+      guestTable.style.cssText = 'display: grid; grid-template-columns: 2fr 1fr 1.5fr 1fr 1fr auto; gap: 10px; align-items: center;';
       
       // Header
-      ['Email/Label', 'Mode', 'Status', 'User ID', 'Action'].forEach(header => {
+      ['Email/Label', 'Mode', 'Scope', 'Status', 'User ID', 'Action'].forEach(header => {
         const th = guestTable.createEl('div', { text: header });
         th.style.cssText = 'font-weight: 600; padding: 8px; border-bottom: 2px solid var(--background-modifier-border);';
       });
@@ -2764,6 +5262,22 @@ class MicroServerSettingTab extends obsidian.PluginSettingTab {
         const modeCell = guestTable.createEl('div', { text: guest.mode === 'rw' ? '✏️ Read-Write' : '👁️ Read-Only' });
         modeCell.style.cssText = 'padding: 8px; font-size: 0.9em;';
         
+        // Scope (folders/tags the guest can see)
+        const scopeCell = guestTable.createEl('div');
+        scopeCell.style.cssText = 'padding: 8px; font-size: 0.85em;';
+        scopeCell.createEl('div', { text: describeScope(guest.scope) });
+        const scopeBtn = scopeCell.createEl('button', { text: '📁 Edit' });
+        scopeBtn.style.cssText = 'margin-top: 4px; padding: 2px 6px; font-size: 0.85em; cursor: pointer;';
+        scopeBtn.onclick = () => {
+          new GuestScopeModal(this.app, guest, async (scope) => {
+            if (scope) guest.scope = scope;
+            else delete guest.scope;
+            await this.plugin.saveSettings();
+            new obsidian.Notice(`Scope updated for ${guest.email} (applies from their next connection)`);
+            this.display();
+          }).open();
+        };
+        
         // Status
         const statusCell = guestTable.createEl('div');
         statusCell.style.cssText = 'padding: 8px;';
@@ -2783,36 +5297,7 @@ class MicroServerSettingTab extends obsidian.PluginSettingTab {
         const revokeBtn = actionCell.createEl('button', { text: '🗑️ Revoke' });
         revokeBtn.style.cssText = 'padding: 4px 8px; background: var(--background-modifier-error); color: white; border: none; border-radius: 4px; cursor: pointer; font-size: 0.85em;';
         revokeBtn.onclick = async () => {
-          try {
-            // Try to sync to backend first (if vault is registered)
-            if (this.plugin.settings.dbVaultId) {
-              const response = await fetch(`${API_BASE_URL}/api/guests?route=revoke`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                  vaultId: this.plugin.settings.dbVaultId,
-                  email: this.plugin.settings.userEmail,
-                  guestEmail: guest.email
-                })
-              });
-            
-              if (!response.ok && response.status !== 404) {
-                // Only fail if it's not a 404 (guest might be local-only from before backend existed)
-                const error = await response.json();
-                new obsidian.Notice(`Failed to revoke: ${error.error}`);
-                return;
-              }
-            }
-            
-            // Backend sync successful OR guest was local-only, remove from local settings
-            this.plugin.settings.guestList.splice(index, 1);
-            await this.plugin.saveSettings();
-            new obsidian.Notice(`Revoked access: ${guest.email}`);
-            this.display();
-          } catch (error) {
-            console.error('Failed to revoke guest:', error);
-            new obsidian.Notice('Network error: Could not sync revocation to backend');
-          }
+          if (await this.plugin.revokeGuest(guest.email)) this.display();
         };
       });
     }
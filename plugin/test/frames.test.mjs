@@ -0,0 +1,101 @@
+// Binary frames: what FrameSender puts on the channel, FrameDecoder (shared/frames.js) turns back into messages
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadModules } from './helpers.mjs';
+
+const modules = await loadModules({ frames: 'src/frames.js', decoder: '../shared/frames.js' });
+const FrameSender = modules.frames.default;
+const { negotiateFrames } = modules.frames;
+const { FrameDecoder } = modules.decoder;
+
+/**
+ * Data channel stand-in that records frames and can be made to report a full buffer
+ */
+function createChannel() {
+  const listeners = new Map();
+  return {
+    readyState: 'open',
+    bufferedAmount: 0,
+    bufferedAmountLowThreshold: 0,
+    frames: [],
+    send(frame) {
+      this.frames.push(frame);
+    },
+    addEventListener(name, fn) {
+      listeners.set(name, fn);
+    },
+    removeEventListener(name) {
+      listeners.delete(name);
+    },
+    emit(name) {
+      const fn = listeners.get(name);
+      if (fn) fn();
+    }
+  };
+}
+
+async function decodeAll(frames) {
+  const messages = [];
+  const decoder = new FrameDecoder({ onMessage: (message) => messages.push(message) });
+  for (const frame of frames) await decoder.push(frame);
+  return messages;
+}
+
+test('responses round-trip, including compressed JSON and raw bytes', async () => {
+  const channel = createChannel();
+  const sender = new FrameSender(() => channel, negotiateFrames({ version: 1, compression: ['deflate'] }));
+  const big = { html: '<p>note</p>'.repeat(5000) };
+  const bytes = new Uint8Array(40 * 1024).map((_, i) => i % 251);
+
+  // Hold sending until all three are queued (compression finishes off the main thread)
+  channel.bufferedAmount = 2 * 1024 * 1024;
+  const sent = Promise.all([
+    sender.send('RENDERED_FILE', big, { requestId: 1 }),
+    sender.send('ASSET', bytes, { requestId: 2, mime: 'image/png' }),
+    sender.send('PONG', { ok: true }, { requestId: 3 })
+  ]);
+  while (sender.streams.length < 3) await new Promise((resolve) => setTimeout(resolve, 10));
+  channel.bufferedAmount = 0;
+  channel.emit('bufferedamountlow');
+  assert.deepEqual(await sent, [true, true, true]);
+  const messages = await decodeAll(channel.frames);
+
+  // Interleaved: the small PONG finishes before the larger responses queued ahead of it
+  assert.equal(messages[0].type, 'PONG');
+  const byType = Object.fromEntries(messages.map((message) => [message.type, message]));
+  assert.deepEqual(byType.RENDERED_FILE, { type: 'RENDERED_FILE', data: big, requestId: 1 });
+  assert.deepEqual(byType.ASSET.data, bytes);
+  assert.equal(byType.ASSET.mime, 'image/png');
+});
+
+test('a closed sender aborts queued streams and settles with false', async () => {
+  const channel = createChannel();
+  const sender = new FrameSender(() => channel, {});
+  const aborted = [];
+  const decoder = new FrameDecoder({ onMessage: () => {}, onAbort: (message) => aborted.push(message) });
+
+  channel.bufferedAmount = 2 * 1024 * 1024;
+  const pending = sender.send('FILE', { data: 'x'.repeat(100) }, { requestId: 7 });
+  await new Promise((resolve) => setImmediate(resolve));
+  sender.close('Connection closed');
+  assert.equal(await pending, false);
+  for (const frame of channel.frames) await decoder.push(frame);
+  assert.deepEqual(aborted, []); // nothing was started, so there was nothing to abort
+});
+
+test('sending waits for bufferedamountlow at the low-water mark', async () => {
+  const channel = createChannel();
+  const sender = new FrameSender(() => channel, {});
+  assert.ok(channel.bufferedAmountLowThreshold > 0, 'threshold is set when the sender attaches');
+
+  channel.bufferedAmount = 2 * 1024 * 1024;
+  const pending = sender.send('PONG', {}, { requestId: 1 });
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.equal(channel.frames.length, 0);
+
+  channel.bufferedAmount = channel.bufferedAmountLowThreshold;
+  channel.emit('bufferedamountlow');
+  assert.equal(await pending, true);
+  assert.equal((await decodeAll(channel.frames))[0].type, 'PONG');
+});
@@ -0,0 +1,51 @@
+// Test helpers: load plugin modules in Node
+// Sources are bundled with esbuild (they mix require and ESM, like the plugin build) and 'obsidian'
+// is replaced by a stub with just enough of the API for the modules to load.
+
+import { mkdtempSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createRequire } from 'node:module';
+import Module from 'node:module';
+import esbuild from 'esbuild';
+
+const require = createRequire(import.meta.url);
+const root = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+const obsidianStub = {
+  Plugin: class {},
+  Modal: class {},
+  PluginSettingTab: class {},
+  Notice: class {},
+  getAllTags: () => [],
+  getLinkpath: (link) => link
+};
+const load = Module._load;
+Module._load = function (request, ...rest) {
+  if (request === 'obsidian') return obsidianStub;
+  if (request === 'electron') return {};
+  return load.call(this, request, ...rest);
+};
+
+/**
+ * Bundle and load modules from the plugin folder
+ * @param {Object} entries - name -> path relative to plugin/, e.g. { scope: 'src/scope.js' }
+ * @returns {Promise<Object>} name -> module exports
+ */
+export async function loadModules(entries) {
+  const out = mkdtempSync(join(tmpdir(), 'note-relay-test-'));
+  const entryPoints = Object.fromEntries(Object.entries(entries).map(([name, path]) => [name, join(root, path)]));
+  const { outputFiles } = await esbuild.build({
+    entryPoints,
+    bundle: true,
+    platform: 'node',
+    format: 'cjs',
+    external: ['obsidian', 'electron'],
+    outdir: out,
+    write: false,
+    logLevel: 'silent'
+  });
+  outputFiles.forEach((file) => writeFileSync(file.path, file.contents));
+  return Object.fromEntries(Object.keys(entries).map((name) => [name, require(join(out, `${name}.js`))]));
+}
@@ -0,0 +1,38 @@
+// Private notes and the attachments only they use
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadModules } from './helpers.mjs';
+
+const { privacy } = await loadModules({ privacy: 'src/privacy.js' });
+const PrivacyFilter = privacy.default;
+
+function createFilter() {
+  const frontmatter = { 'Diary.md': { relay: 'private' }, 'Public.md': {} };
+  const app = {
+    vault: { getAbstractFileByPath: (path) => ({ path }) },
+    metadataCache: {
+      getFileCache: (file) => ({ frontmatter: frontmatter[file.path] }),
+      resolvedLinks: {
+        'Diary.md': { 'img/secret.png': 1, 'img/shared.png': 1 },
+        'Public.md': { 'img/shared.png': 1 },
+        'Vault/Taxes.md': { 'img/receipt.pdf': 1 }
+      }
+    }
+  };
+  return new PrivacyFilter(app, () => 'Vault');
+}
+
+test('attachments linked only from private notes are private', () => {
+  const filter = createFilter();
+  assert.equal(filter.isPrivate('img/secret.png'), true); // frontmatter-private note
+  assert.equal(filter.isPrivate('img/receipt.pdf'), true); // note in an excluded folder
+});
+
+test('attachments a visible note uses, or nothing links to, stay visible', () => {
+  const filter = createFilter();
+  assert.equal(filter.isPrivate('img/shared.png'), false);
+  assert.equal(filter.isPrivate('img/unused.png'), false);
+  assert.equal(filter.isPrivate('Public.md'), false);
+  assert.equal(filter.isPrivate('Diary.md'), true);
+});
@@ -0,0 +1,74 @@
+// Resume round trip: ResumeClient (shared/resumeClient.js) against the host's ResumableSessions (src/resume.js)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadModules } from './helpers.mjs';
+
+const modules = await loadModules({ resume: 'src/resume.js', client: '../shared/resumeClient.js' });
+const ResumableSessions = modules.resume.default;
+const { ResumeClient } = modules.client;
+
+function createStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key)
+  };
+}
+
+test('a dropped session resumes with a fresh token and replays offline edits', async () => {
+  const host = new ResumableSessions();
+  const client = new ResumeClient({ storage: createStorage() });
+  const firstToken = host.issue({ user: 'owner' }, { id: 'peer-1' });
+  client.remember({ resumeToken: firstToken, resumeTtl: 60 * 1000 });
+
+  host.suspend(firstToken);
+  client.disconnected();
+  client.queueSave('Notes/a.md', 'draft 1', 'hash-a');
+  client.queueSave('Notes/a.md', 'draft 2', 'hash-later');
+  client.queueSave('Notes/new.md', 'created offline');
+
+  const command = client.resumeCommand();
+  assert.equal(command.cmd, 'RESUME');
+  const resumed = host.resume(command.resumeToken, { id: 'peer-2' });
+  assert.ok(resumed);
+
+  const sent = [];
+  const result = await client.resumed({ resumeToken: resumed.token, resumeTtl: 60 * 1000, missedEvents: resumed.missedEvents }, async (cmd, extra) => {
+    sent.push({ cmd, ...extra });
+    return extra.path === 'Notes/a.md'
+      ? { type: 'CONFLICT', data: { path: extra.path, currentHash: 'hash-b' } }
+      : { type: 'SAVED', data: { path: extra.path } };
+  });
+
+  // One save per note, latest text, the hash the first offline edit started from
+  assert.deepEqual(sent, [
+    { cmd: 'SAVE_FILE', path: 'Notes/a.md', data: 'draft 2', baseHash: 'hash-a' },
+    { cmd: 'SAVE_FILE', path: 'Notes/new.md', data: 'created offline', create: true }
+  ]);
+  assert.deepEqual(result.unsaved.map((entry) => [entry.path, entry.type]), [['Notes/a.md', 'CONFLICT']]);
+  assert.deepEqual(client.pending(), []);
+
+  // Tokens are single use: the old one is gone, the new one is what the client sends next
+  assert.equal(host.resume(firstToken, { id: 'peer-3' }), null);
+  assert.equal(client.resumeCommand().resumeToken, resumed.token);
+});
+
+test('an expired or refused token means signing in again, keeping queued edits', () => {
+  const client = new ResumeClient({ storage: createStorage() });
+  client.remember({ resumeToken: 'token', resumeTtl: 0 });
+  client.disconnected();
+  client.queueSave('a.md', 'text', 'hash');
+  const later = Date.now() + 1;
+  while (Date.now() < later) { /* let the zero TTL pass */ }
+  assert.equal(client.resumeCommand(), null);
+
+  client.remember({ resumeToken: 'token-2', resumeTtl: 60 * 1000 });
+  client.failed();
+  assert.equal(client.resumeCommand(), null);
+  assert.equal(client.pending().length, 1);
+
+  client.forget();
+  assert.deepEqual(client.pending(), []);
+});
@@ -0,0 +1,95 @@
+// Scope bypass checks for UPLOAD_ATTACHMENT
+// Runs the real command handler (bundled from src/) against an in-memory vault: node --test test/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadModules } from './helpers.mjs';
+
+const modules = await loadModules({ source: 'src/source.js', scope: 'src/scope.js' });
+const MicroServer = modules.source;
+const GuestScope = modules.scope.default;
+
+const privacy = {
+  matchesPath: (path) => path === 'Private' || path.startsWith('Private/'),
+  isPrivate: (path) => path.startsWith('Private/')
+};
+
+/**
+ * Plugin with a vault holding Shared/note.md; attachments go to `attachmentFolder`
+ */
+function createPlugin(attachmentFolder) {
+  const files = new Map([['Shared/note.md', 'note']]);
+  const plugin = Object.create(MicroServer.prototype);
+  plugin.settings = {};
+  plugin.privacy = privacy;
+  plugin.pendingUploads = new Map();
+  plugin.created = [];
+  plugin.app = {
+    vault: {
+      getAbstractFileByPath: (path) => (files.has(path) ? { path, extension: path.split('.').pop() } : null),
+      createBinary: async (path, data) => {
+        files.set(path, data);
+        plugin.created.push(path);
+        return { path };
+      }
+    },
+    fileManager: {
+      getAvailablePathForAttachment: async (name) => `${attachmentFolder}/${name}`
+    },
+    metadataCache: {
+      resolvedLinks: {},
+      getFileCache: () => null,
+      fileToLinktext: (file) => file.path
+    }
+  };
+  return plugin;
+}
+
+async function upload(plugin, context, path) {
+  const responses = [];
+  await plugin.runCommand({
+    cmd: 'UPLOAD_ATTACHMENT',
+    ...(path ? { path } : {}),
+    data: { uploadId: 'u1', name: 'image.png', index: 0, total: 1, chunk: Buffer.from('png').toString('base64') }
+  }, (type, data) => responses.push({ type, data }), context);
+  return responses[responses.length - 1];
+}
+
+// Read-write guest limited to Shared/
+const guest = (plugin) => ({
+  access: 'write',
+  user: 'guest@example.com',
+  liveSessionId: 'guest-session',
+  scope: new GuestScope(plugin.app, { allowFolders: 'Shared' }, privacy)
+});
+
+test('scoped guest must name the note the upload is for', async () => {
+  const plugin = createPlugin('Shared');
+  const response = await upload(plugin, guest(plugin), null);
+  assert.equal(response.type, 'ERROR');
+  assert.equal(response.data.code, 'BAD_REQUEST');
+  assert.deepEqual(plugin.created, []);
+});
+
+test('scoped guest can upload next to an allowed note', async () => {
+  const plugin = createPlugin('Shared');
+  const response = await upload(plugin, guest(plugin), 'Shared/note.md');
+  assert.equal(response.type, 'ATTACHMENT_UPLOADED');
+  assert.deepEqual(plugin.created, ['Shared/image.png']);
+});
+
+test('scoped guest cannot upload into a folder outside their scope', async () => {
+  const plugin = createPlugin('Attachments');
+  const response = await upload(plugin, guest(plugin), 'Shared/note.md');
+  assert.equal(response.type, 'ERROR');
+  assert.equal(response.data.code, 'FORBIDDEN');
+  assert.deepEqual(plugin.created, []);
+});
+
+test('no session can upload into a private folder', async () => {
+  const plugin = createPlugin('Private');
+  const response = await upload(plugin, { access: 'admin', user: 'owner' }, 'Shared/note.md');
+  assert.equal(response.type, 'ERROR');
+  assert.equal(response.data.code, 'FORBIDDEN');
+  assert.deepEqual(plugin.created, []);
+});
@@ -0,0 +1,97 @@
+/**
+ * Binary Frame Protocol - layout and client-side decoder
+ * The host encodes responses with plugin/src/frames.js (FrameSender); remote clients that sent
+ * frames: { version: 1, compression: ['deflate'] } with their handshake feed every binary data
+ * channel message to a FrameDecoder. Text messages stay JSON and are handled as before.
+ *
+ *   byte 0      FRAME_VERSION
+ *   byte 1      kind (FRAME_KIND)
+ *   bytes 2-5   stream id (uint32, big endian); one stream per response
+ *   bytes 6..   START: UTF-8 JSON { type, encoding: 'json'|'binary', compression: 'deflate'|null, size, ...meta }
+ *               DATA:  a slice of the (possibly compressed) body
+ *               END:   empty
+ *               ABORT: UTF-8 reason
+ * Streams are interleaved, so DATA frames of several responses arrive mixed.
+ */
+
+export const FRAME_VERSION = 1;
+export const FRAME_HEADER = 6;
+export const FRAME_KIND = { START: 1, DATA: 2, END: 3, ABORT: 4 };
+
+const decoder = new TextDecoder();
+
+/**
+ * Inflate a zlib 'deflate' body (Node's zlib.deflate) with the streams API browsers and Node 18+ share
+ */
+async function inflate(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+export class FrameDecoder {
+    /**
+     * @param {Object} handlers
+     *   onMessage({ type, data, ...meta }) - a finished response, shaped like a reassembled PART message;
+     *     data is the parsed JSON, or a Uint8Array for binary bodies (ASSET slices)
+     *   onAbort({ type, reason, ...meta }) - the host gave up on a response (connection closing)
+     */
+    constructor({ onMessage, onAbort = null }) {
+        this.onMessage = onMessage;
+        this.onAbort = onAbort;
+        this.streams = new Map(); // stream id -> { header, chunks, received }
+    }
+
+    /**
+     * Handle one binary data channel message
+     * @param {ArrayBuffer|Uint8Array} message
+     * @returns {Promise<void>} Settles once a finished response has been delivered
+     */
+    async push(message) {
+        const frame = message instanceof Uint8Array ? message : new Uint8Array(message);
+        if (frame.byteLength < FRAME_HEADER) throw new Error('Frame too short');
+        const view = new DataView(frame.buffer, frame.byteOffset, frame.byteLength);
+        if (view.getUint8(0) !== FRAME_VERSION) throw new Error(`Unsupported frame version ${view.getUint8(0)}`);
+        const kind = view.getUint8(1);
+        const id = view.getUint32(2);
+        const payload = frame.subarray(FRAME_HEADER);
+
+        if (kind === FRAME_KIND.START) {
+            this.streams.set(id, { header: JSON.parse(decoder.decode(payload)), chunks: [], received: 0 });
+            return;
+        }
+        const stream = this.streams.get(id);
+        if (!stream) return; // started before this decoder existed
+        const { type, encoding, compression, size, ...meta } = stream.header;
+
+        if (kind === FRAME_KIND.DATA) {
+            // Copy: the frame buffer may be reused by the transport
+            stream.chunks.push(payload.slice());
+            stream.received += payload.byteLength;
+            return;
+        }
+        this.streams.delete(id);
+        if (kind === FRAME_KIND.ABORT) {
+            if (this.onAbort) this.onAbort({ type, reason: decoder.decode(payload), ...meta });
+            return;
+        }
+        if (kind !== FRAME_KIND.END) throw new Error(`Unknown frame kind ${kind}`);
+        if (stream.received !== size) throw new Error(`${type}: expected ${size} bytes, got ${stream.received}`);
+
+        let body = new Uint8Array(size);
+        let offset = 0;
+        stream.chunks.forEach((chunk) => {
+            body.set(chunk, offset);
+            offset += chunk.byteLength;
+        });
+        if (compression === 'deflate') body = await inflate(body);
+        const data = encoding === 'binary' ? body : JSON.parse(decoder.decode(body));
+        this.onMessage({ type, data, ...meta });
+    }
+
+    /**
+     * Forget partial responses (the connection closed)
+     */
+    reset() {
+        this.streams.clear();
+    }
+}
@@ -0,0 +1,131 @@
+/**
+ * Password Verifiers and Challenge-Response Login
+ * Shared by the plugin (stores verifiers, checks proofs) and the web UI (computes proofs)
+ *
+ * Stored record (data.json):
+ *   { algo: 'pbkdf2-sha256', salt, iterations, storedKey }
+ *
+ * The PBKDF2 input is the legacy SHA-256 hex of the password, so old hashes can be
+ * upgraded without knowing the password. Login follows SCRAM (RFC 5802) without the
+ * server signature:
+ *   saltedPassword = PBKDF2(sha256(password), salt, iterations)
+ *   clientKey      = HMAC(saltedPassword, 'Client Key')
+ *   storedKey      = SHA-256(clientKey)
+ *   proof          = clientKey XOR HMAC(storedKey, authMessage)
+ * The server can check a proof with storedKey but cannot produce one, and neither
+ * the password nor storedKey crosses the wire.
+ */
+
+export const PASSWORD_ALGO = 'pbkdf2-sha256';
+export const PASSWORD_ITERATIONS = 600000;
+
+const encoder = new TextEncoder();
+
+const toBase64 = (bytes) => btoa(String.fromCharCode(...bytes));
+const fromBase64 = (str) => Uint8Array.from(atob(str), (c) => c.charCodeAt(0));
+
+export function randomBase64(byteLength = 16) {
+    return toBase64(crypto.getRandomValues(new Uint8Array(byteLength)));
+}
+
+/**
+ * SHA-256 hex of a string (the pre-verifier password hash the UI has always sent)
+ */
+export async function sha256Hex(str) {
+    const hash = await crypto.subtle.digest('SHA-256', encoder.encode(str));
+    return Array.from(new Uint8Array(hash)).map((b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+async function hmac(keyBytes, message) {
+    const key = await crypto.subtle.importKey('raw', keyBytes, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    return new Uint8Array(await crypto.subtle.sign('HMAC', key, encoder.encode(message)));
+}
+
+/**
+ * Derive clientKey/storedKey from the password's SHA-256 hex
+ * @returns {Promise<Object>} { clientKey: Uint8Array, storedKey: Uint8Array }
+ */
+export async function deriveKeys(passwordHash, salt, iterations) {
+    const baseKey = await crypto.subtle.importKey('raw', encoder.encode(passwordHash), 'PBKDF2', false, ['deriveBits']);
+    const salted = new Uint8Array(await crypto.subtle.deriveBits(
+        { name: 'PBKDF2', hash: 'SHA-256', salt: fromBase64(salt), iterations },
+        baseKey,
+        256
+    ));
+    const clientKey = await hmac(salted, 'Client Key');
+    const storedKey = new Uint8Array(await crypto.subtle.digest('SHA-256', clientKey));
+    return { clientKey, storedKey };
+}
+
+/**
+ * Build a stored verifier from a password's SHA-256 hex (also used to migrate legacy hashes)
+ */
+export async function createVerifier(passwordHash, iterations = PASSWORD_ITERATIONS) {
+    const salt = randomBase64(16);
+    const { storedKey } = await deriveKeys(passwordHash, salt, iterations);
+    return { algo: PASSWORD_ALGO, salt, iterations, storedKey: toBase64(storedKey) };
+}
+
+/**
+ * Whether a stored value is still an unsalted SHA-256 hex string
+ */
+export function isLegacyHash(record) {
+    return typeof record === 'string' && record.length > 0;
+}
+
+export function buildAuthMessage(clientNonce, serverNonce, salt, iterations) {
+    return `${clientNonce},${serverNonce},${salt},${iterations}`;
+}
+
+/**
+ * Client side: answer a login challenge
+ * @param {string} password - Plain password typed by the user
+ * @param {Object} challenge - { serverNonce, salt, iterations } from the server
+ * @returns {Promise<Object>} { clientNonce, proof }
+ */
+export async function computeProof(password, challenge) {
+    const clientNonce = randomBase64(16);
+    const { clientKey, storedKey } = await deriveKeys(await sha256Hex(password), challenge.salt, challenge.iterations);
+    const authMessage = buildAuthMessage(clientNonce, challenge.serverNonce, challenge.salt, challenge.iterations);
+    const signature = await hmac(storedKey, authMessage);
+    const proof = clientKey.map((byte, i) => byte ^ signature[i]);
+    return { clientNonce, proof: toBase64(proof) };
+}
+
+function constantTimeEqual(a, b) {
+    if (a.length !== b.length) return false;
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) diff |= a[i] ^ b[i];
+    return diff === 0;
+}
+
+/**
+ * Server side: check a login proof against a stored verifier
+ */
+export async function verifyProof(record, authMessage, proofB64) {
+    if (!record || record.algo !== PASSWORD_ALGO || typeof proofB64 !== 'string') return false;
+    let proof;
+    try {
+        proof = fromBase64(proofB64);
+    } catch (e) {
+        return false;
+    }
+    const storedKey = fromBase64(record.storedKey);
+    const signature = await hmac(storedKey, authMessage);
+    if (proof.length !== signature.length) return false;
+    const clientKey = proof.map((byte, i) => byte ^ signature[i]);
+    const candidate = new Uint8Array(await crypto.subtle.digest('SHA-256', clientKey));
+    return constantTimeEqual(candidate, storedKey);
+}
+
+/**
+ * Server side: check a password's SHA-256 hex directly (clients that can't do challenge-response)
+ * Accepts both verifier records and legacy hex strings
+ */
+export async function verifyPasswordHash(record, passwordHash) {
+    if (!record || typeof passwordHash !== 'string' || !passwordHash) return false;
+    if (isLegacyHash(record)) return constantTimeEqual(encoder.encode(record), encoder.encode(passwordHash));
+    if (record.algo !== PASSWORD_ALGO) return false;
+    const { storedKey } = await deriveKeys(passwordHash, record.salt, record.iterations);
+    return constantTimeEqual(storedKey, fromBase64(record.storedKey));
+}
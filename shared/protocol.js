@@ -0,0 +1,420 @@
+/**
+ * Command Protocol
+ * Declared schema for every command clients send to processCommand (HTTP /api/command and WebRTC)
+ * and every response it sends back. Shared by the plugin (validates commands, advertises what it
+ * supports in PONG/HANDSHAKE_ACK) and clients (detect version mismatches, skip missing commands).
+ *
+ * Command:  { cmd, path?, data?, ...top-level fields below, protocolVersion? }
+ * Response: { type, data, meta }
+ * Error:    { type: 'ERROR', data: { code (ERROR_CODES), message, field? } }
+ *
+ * PROTOCOL_VERSION only goes up when a command or response changes incompatibly (BUILD_VERSION
+ * changes every release). Clients send the version they were built for as protocolVersion; the host
+ * answers anything from MIN_PROTOCOL_VERSION up and reports its own version plus the commands the
+ * session may run, so newer clients can fall back instead of calling commands that don't exist.
+ *
+ * Field specs: { type: 'string'|'number'|'integer'|'boolean'|'object'|'array'|'any', required,
+ *   nullable, maxLength, min, max, enum, fields (nested object spec) }. Unlisted fields are ignored.
+ */
+
+export const PROTOCOL_VERSION = 1;
+export const MIN_PROTOCOL_VERSION = 1; // commands without protocolVersion count as this version
+
+export const ERROR_CODES = {
+    BAD_REQUEST: 'BAD_REQUEST', // command doesn't match its schema (data.field names the culprit)
+    UNKNOWN_COMMAND: 'UNKNOWN_COMMAND',
+    UNSUPPORTED_VERSION: 'UNSUPPORTED_VERSION', // client protocol older than MIN_PROTOCOL_VERSION
+    READ_ONLY: 'READ_ONLY', // write command from a read-only session
+    FORBIDDEN: 'FORBIDDEN', // owner-only command
+    ACCESS_DENIED: 'ACCESS_DENIED', // sign-in refused
+    RATE_LIMITED: 'RATE_LIMITED',
+    INVALID_PATH: 'INVALID_PATH',
+    NOT_FOUND: 'NOT_FOUND', // also hidden (private / out of scope) paths
+    ALREADY_EXISTS: 'ALREADY_EXISTS',
+    MEDIA_DISABLED: 'MEDIA_DISABLED', // video files are never served
+    RANGE_NOT_SATISFIABLE: 'RANGE_NOT_SATISFIABLE',
+    TOO_LARGE: 'TOO_LARGE',
+    UNAVAILABLE: 'UNAVAILABLE', // depends on something that isn't enabled (e.g. Daily Notes)
+    INTERNAL: 'INTERNAL'
+};
+
+export const BATCH_MODES = ['sequential', 'parallel'];
+export const MAX_BATCH_COMMANDS = 50;
+export const BATCH_CONCURRENCY = 4; // commands of a parallel batch running at once
+// Binary ASSET slices would be base64'd into the one BATCH_RESULT message, so they stay separate requests
+export const BATCH_EXCLUDED_COMMANDS = ['GET_ASSET'];
+// Responses that mean a command didn't do its job (a sequential BATCH stops there)
+export const FAILURE_RESPONSES = ['ERROR', 'CONFLICT'];
+
+const PATH = { type: 'string', required: true, maxLength: 1024 };
+
+/**
+ * Every command: request fields and the response types it may answer with (besides ERROR)
+ */
+export const COMMANDS = {
+    // Session (WebRTC clients also put their credentials on PING/HANDSHAKE)
+    PING: { request: {}, responses: ['PONG'] },
+    HANDSHAKE: { request: {}, responses: ['HANDSHAKE_ACK'] },
+
+    // Several commands in one request, answered with one BATCH_RESULT correlated by requestId.
+    // 'sequential' (default) is all-or-nothing: it checks every command first, stops at the first
+    // failure and undoes the vault changes made before it (writes that can't be undone, such as
+    // OPEN_DAILY_NOTE or settings commands, are refused). 'parallel' runs up to BATCH_CONCURRENCY
+    // commands at a time and keeps whatever succeeded.
+    BATCH: {
+        request: {
+            mode: { type: 'string', enum: BATCH_MODES },
+            commands: { type: 'array', required: true, maxLength: MAX_BATCH_COMMANDS } // [{ requestId?, cmd, path?, data? }]
+        },
+        responses: ['BATCH_RESULT']
+    },
+
+    // Reading
+    GET_TREE: { request: {}, responses: ['TREE'] },
+    SEARCH_VAULT: {
+        request: {
+            data: {
+                type: 'object',
+                required: true,
+                fields: {
+                    query: { type: 'string', maxLength: 2000 },
+                    offset: { type: 'integer', min: 0 },
+                    limit: { type: 'integer', min: 1 }
+                }
+            }
+        },
+        responses: ['SEARCH_RESULTS']
+    },
+    GET_RENDERED_FILE: {
+        request: { path: PATH, refreshTree: { type: 'boolean' } },
+        responses: ['RENDERED_FILE']
+    },
+    GET_FILE: { request: { path: PATH }, responses: ['FILE'] },
+    GET_ASSET: {
+        request: {
+            path: PATH,
+            data: {
+                type: 'object',
+                fields: {
+                    ifNoneMatch: { type: 'string' },
+                    range: { type: 'string', maxLength: 200 } // "bytes=start-end"
+                }
+            }
+        },
+        responses: ['ASSET']
+    },
+    OPEN_FILE: { request: { path: PATH }, responses: ['OPEN_FILE', 'RENDERED_FILE'] }, // plain notes come back rendered
+
+    // Vault changes
+    SAVE_FILE: {
+        request: {
+            path: PATH,
+            data: { type: 'string', required: true },
+            baseHash: { type: 'string' }, // FILE.hash the edit started from
+            baseMtime: { type: 'number' },
+            create: { type: 'boolean' } // create the note if it doesn't exist (without baseHash/baseMtime only)
+        },
+        responses: ['SAVED', 'CONFLICT']
+    },
+    CREATE_FILE: { request: { path: PATH }, responses: ['RENDERED_FILE'] },
+    UPLOAD_ATTACHMENT: {
+        request: {
+            path: { type: 'string', maxLength: 1024 }, // note the attachment is linked from (required for scoped guests)
+            data: {
+                type: 'object',
+                required: true,
+                fields: {
+                    uploadId: { type: 'string', required: true, maxLength: 200 },
+                    name: { type: 'string', required: true, maxLength: 255 },
+                    index: { type: 'integer', required: true, min: 0 },
+                    total: { type: 'integer', required: true, min: 1 },
+                    chunk: { type: 'string', required: true } // base64
+                }
+            }
+        },
+        responses: ['UPLOAD_PROGRESS', 'ATTACHMENT_UPLOADED']
+    },
+    CREATE_FOLDER: { request: { path: PATH }, responses: ['SAVED'] },
+    RENAME_FILE: {
+        request: {
+            path: PATH,
+            data: { type: 'object', required: true, fields: { newPath: PATH } }
+        },
+        responses: ['SAVED']
+    },
+    DELETE_FILE: { request: { path: PATH }, responses: ['SAVED'] },
+    OPEN_DAILY_NOTE: { request: {}, responses: ['OPEN_DAILY_NOTE'] },
+
+    // Plugin settings (owner only)
+    SAVE_SEARCH: {
+        request: {
+            data: {
+                type: 'object',
+                required: true,
+                fields: {
+                    name: { type: 'string', required: true, maxLength: 200 },
+                    query: { type: 'string', required: true, maxLength: 2000 }
+                }
+            }
+        },
+        responses: ['SAVED_SEARCHES']
+    },
+    DELETE_SAVED_SEARCH: {
+        request: { data: { type: 'object', required: true, fields: { name: { type: 'string', required: true } } } },
+        responses: ['SAVED_SEARCHES']
+    },
+    CREATE_SHARE_LINK: {
+        request: {
+            path: PATH,
+            data: {
+                type: 'object',
+                fields: {
+                    expiry: { type: 'string' }, // key of SHARE_EXPIRY_OPTIONS (shareLinks.js)
+                    password: { type: 'string' },
+                    maxViews: { type: 'integer', min: 0 }
+                }
+            }
+        },
+        responses: ['SHARE_LINK']
+    },
+    GET_AUDIT_LOG: {
+        request: {
+            data: {
+                type: 'object',
+                fields: {
+                    user: { type: 'string' },
+                    action: { type: 'string' },
+                    path: { type: 'string' },
+                    access: { type: 'string' },
+                    result: { type: 'string' },
+                    since: { type: 'any' }, // anything Date accepts
+                    until: { type: 'any' },
+                    offset: { type: 'integer', min: 0 },
+                    limit: { type: 'integer', min: 1 }
+                }
+            }
+        },
+        responses: ['AUDIT_LOG']
+    }
+};
+
+/**
+ * WebRTC sign-in messages, handled before a peer is authenticated (not by processCommand)
+ */
+export const SESSION_COMMANDS = {
+    AUTH_CHALLENGE: { request: { guestEmail: { type: 'string' } }, responses: ['AUTH_CHALLENGE'] },
+    RESUME: { request: { resumeToken: { type: 'string', required: true } }, responses: ['RESUMED', 'RESUME_FAILED'] }
+};
+
+const SESSION_INFO = {
+    version: { type: 'string', required: true }, // BUILD_VERSION
+    protocol: { type: 'object', required: true }, // { version, minVersion, commands }
+    readOnly: { type: 'boolean', required: true },
+    access: { type: 'string', required: true, enum: ['read', 'write', 'admin'] }
+};
+
+/**
+ * Response data by type. Checked (top level only) before sending; pushes are listed too.
+ */
+export const RESPONSES = {
+    PONG: { data: { type: 'object', fields: SESSION_INFO } },
+    HANDSHAKE_ACK: { data: { type: 'object', fields: SESSION_INFO } },
+    TREE: {
+        data: {
+            type: 'object',
+            fields: {
+                files: { type: 'array', required: true },
+                folders: { type: 'array', required: true },
+                savedSearches: { type: 'array' },
+                css: { type: 'string' }
+            }
+        }
+    },
+    SEARCH_RESULTS: {
+        data: {
+            type: 'object',
+            fields: {
+                query: { type: 'string', required: true },
+                total: { type: 'integer', required: true },
+                offset: { type: 'integer', required: true },
+                limit: { type: 'integer', required: true },
+                results: { type: 'array', required: true },
+                error: { type: 'string' }
+            }
+        }
+    },
+    RENDERED_FILE: {
+        data: {
+            type: 'object',
+            fields: {
+                html: { type: 'string', required: true },
+                yaml: { type: 'any' },
+                css: { type: 'string' },
+                backlinks: { type: 'array' },
+                graph: { type: 'any' },
+                files: { type: 'array' } // only with refreshTree
+            }
+        }
+    },
+    FILE: { data: { type: 'any', required: true } }, // { data, backlinks, hash, mtime } or base64 (meta.isImage)
+    ASSET: { data: { type: 'any', nullable: true } }, // base64 / raw bytes (binary frames) / null when meta.notModified
+    OPEN_FILE: { data: { type: 'object' } },
+    SAVED: { data: { type: 'object', fields: { path: { type: 'string', required: true } } } },
+    CONFLICT: { data: { type: 'object', fields: { path: { type: 'string', required: true } } } },
+    UPLOAD_PROGRESS: {
+        data: {
+            type: 'object',
+            fields: {
+                uploadId: { type: 'string', required: true },
+                received: { type: 'integer', required: true },
+                total: { type: 'integer', required: true }
+            }
+        }
+    },
+    ATTACHMENT_UPLOADED: {
+        data: {
+            type: 'object',
+            fields: {
+                uploadId: { type: 'string', required: true },
+                path: { type: 'string', required: true },
+                link: { type: 'string', required: true }
+            }
+        }
+    },
+    OPEN_DAILY_NOTE: { data: { type: 'object' } },
+    SAVED_SEARCHES: { data: { type: 'object', fields: { savedSearches: { type: 'array', required: true } } } },
+    SHARE_LINK: {
+        data: {
+            type: 'object',
+            fields: {
+                path: { type: 'string', required: true },
+                url: { type: 'string', required: true },
+                expiresAt: { type: 'number', required: true },
+                maxViews: { type: 'integer' },
+                hasPassword: { type: 'boolean' }
+            }
+        }
+    },
+    AUDIT_LOG: {
+        data: {
+            type: 'object',
+            fields: { entries: { type: 'array', required: true }, total: { type: 'integer', required: true } }
+        }
+    },
+    ERROR: {
+        data: {
+            type: 'object',
+            fields: {
+                code: { type: 'string', required: true, enum: Object.values(ERROR_CODES) },
+                message: { type: 'string', required: true },
+                field: { type: 'string' }
+            }
+        }
+    },
+    BATCH_RESULT: {
+        data: {
+            type: 'object',
+            fields: {
+                mode: { type: 'string', required: true, enum: BATCH_MODES },
+                completed: { type: 'boolean', required: true }, // every command answered without a failure
+                rolledBack: { type: 'boolean' }, // sequential batch failed and earlier changes were undone
+                rollbackErrors: { type: 'array' }, // undo steps that failed (the vault may be partly changed)
+                // [{ requestId, cmd, status: 'ok'|'error'|'skipped'|'rolled_back', type, data, meta }] in command order
+                results: { type: 'array', required: true }
+            }
+        }
+    },
+    // WebRTC sign-in (SESSION_COMMANDS)
+    AUTH_CHALLENGE: { data: { type: 'object' } }, // sent flat: { type, serverNonce, salt, iterations }
+    RESUMED: { data: { type: 'object', fields: { ...SESSION_INFO, resumeToken: { type: 'string', required: true } } } },
+    RESUME_FAILED: { data: { type: 'object' } }, // sent flat: { type, message }
+    // Pushes (no command)
+    VAULT_EVENT: { data: { type: 'object' } }
+};
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    if (type === 'any') return true;
+    if (type === 'integer') return Number.isInteger(value);
+    if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+    return typeOf(value) === type;
+}
+
+/**
+ * Check one value against a field spec
+ * @returns {Object|null} { field, message } for the first problem, or null
+ */
+function checkField(value, spec, field) {
+    if (value === undefined) {
+        return spec.required ? { field, message: `${field} is required` } : null;
+    }
+    if (value === null) {
+        return spec.nullable || !spec.required ? null : { field, message: `${field} is required` };
+    }
+    if (!matchesType(value, spec.type)) {
+        return { field, message: `${field} must be ${spec.type === 'integer' ? 'an integer' : `a${/^[aeiou]/.test(spec.type) ? 'n' : ''} ${spec.type}`}` };
+    }
+    if (spec.maxLength !== undefined && value.length > spec.maxLength) {
+        return { field, message: `${field} is too long (max ${spec.maxLength}${Array.isArray(value) ? ' items' : ''})` };
+    }
+    if (spec.min !== undefined && value < spec.min) return { field, message: `${field} must be at least ${spec.min}` };
+    if (spec.max !== undefined && value > spec.max) return { field, message: `${field} must be at most ${spec.max}` };
+    if (spec.enum && !spec.enum.includes(value)) return { field, message: `${field} must be one of ${spec.enum.join(', ')}` };
+    if (spec.fields) return checkFields(value, spec.fields, `${field}.`);
+    return null;
+}
+
+function checkFields(object, fields, prefix = '') {
+    for (const [name, spec] of Object.entries(fields)) {
+        const problem = checkField(object[name], spec, `${prefix}${name}`);
+        if (problem) return problem;
+    }
+    return null;
+}
+
+/**
+ * Validate a command against COMMANDS
+ * @returns {Object|null} null if valid, else { code, message, field? } ready to send as ERROR data
+ */
+export function validateCommand(msg) {
+    if (!msg || typeof msg !== 'object' || typeof msg.cmd !== 'string') {
+        return { code: ERROR_CODES.BAD_REQUEST, message: 'Command must be an object with a cmd string', field: 'cmd' };
+    }
+    const schema = COMMANDS[msg.cmd];
+    if (!schema) return { code: ERROR_CODES.UNKNOWN_COMMAND, message: `Unknown command: ${msg.cmd}` };
+
+    if (msg.protocolVersion !== undefined) {
+        if (!Number.isInteger(msg.protocolVersion)) {
+            return { code: ERROR_CODES.BAD_REQUEST, message: 'protocolVersion must be an integer', field: 'protocolVersion' };
+        }
+        if (msg.protocolVersion < MIN_PROTOCOL_VERSION) {
+            return {
+                code: ERROR_CODES.UNSUPPORTED_VERSION,
+                message: `Protocol ${msg.protocolVersion} is no longer supported (host speaks ${MIN_PROTOCOL_VERSION}-${PROTOCOL_VERSION}). Please update the app.`
+            };
+        }
+    }
+
+    const problem = checkFields(msg, schema.request);
+    return problem ? { code: ERROR_CODES.BAD_REQUEST, ...problem } : null;
+}
+
+/**
+ * Check an outgoing response against RESPONSES (and the command's declared response types)
+ * @returns {string|null} Description of the mismatch, or null
+ */
+export function checkResponse(cmd, type, data) {
+    const schema = RESPONSES[type];
+    if (!schema) return `undeclared response type ${type}`;
+    if (cmd && type !== 'ERROR' && COMMANDS[cmd] && !COMMANDS[cmd].responses.includes(type)) {
+        return `${cmd} is not declared to answer with ${type}`;
+    }
+    if (data instanceof Uint8Array) return null;
+    const problem = checkField(data, schema.data, 'data');
+    return problem ? problem.message : null;
+}
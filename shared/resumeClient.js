@@ -0,0 +1,151 @@
+/**
+ * Resumable Sessions - client side
+ * Counterpart of plugin/src/resume.js for remote (WebRTC) clients; the transport stays with the caller.
+ *
+ *   on HANDSHAKE_ACK / RESUMED     client.remember(data)            keeps the single-use resume token
+ *   connection dropped             client.disconnected()            the host holds the session for resumeTtl
+ *   editing while offline          client.queueSave(path, text, baseHash)
+ *   new peer connected             client.resumeCommand()           send it instead of signing in again
+ *   on RESUMED                     await client.resumed(data, send) replays queued saves
+ *   on RESUME_FAILED               client.failed()                  sign in again, then await client.flush(send)
+ *   sign-out                       client.forget()
+ *
+ * Token and queue live in sessionStorage: they survive a reload of the tab but not the tab itself.
+ * Queued saves carry the hash the edit started from, so a note changed on the host meanwhile comes
+ * back as a CONFLICT for the app to merge instead of being overwritten.
+ * The bundled web UI (ui/) connects over local HTTP, where the session token already outlives
+ * network changes; this module is for the remote app.
+ */
+
+import { PROTOCOL_VERSION } from './protocol.js';
+
+export const RESUME_STORAGE_KEY = 'noterelay-resume';
+
+export class ResumeClient {
+    /**
+     * @param {Object} options - { storage (Storage-like, default sessionStorage), key }
+     */
+    constructor({ storage = globalThis.sessionStorage, key = RESUME_STORAGE_KEY } = {}) {
+        this.storage = storage;
+        this.key = key;
+    }
+
+    load() {
+        try {
+            const state = JSON.parse(this.storage.getItem(this.key) || 'null');
+            if (state && typeof state === 'object') return { token: null, ttl: 0, expiresAt: null, pending: [], ...state };
+        } catch (e) {
+            // corrupt entry: start over
+        }
+        return { token: null, ttl: 0, expiresAt: null, pending: [] };
+    }
+
+    save(state) {
+        this.storage.setItem(this.key, JSON.stringify(state));
+    }
+
+    /**
+     * Keep the token from HANDSHAKE_ACK or RESUMED (each resume hands out a new one)
+     * @param {Object} data - { resumeToken, resumeTtl }
+     */
+    remember(data) {
+        if (!data || typeof data.resumeToken !== 'string') return;
+        this.save({ ...this.load(), token: data.resumeToken, ttl: data.resumeTtl || 0, expiresAt: null });
+    }
+
+    /**
+     * The connection dropped: the host keeps the session for resumeTtl from now
+     */
+    disconnected() {
+        const state = this.load();
+        if (!state.token || state.expiresAt) return;
+        this.save({ ...state, expiresAt: Date.now() + state.ttl });
+    }
+
+    /**
+     * Command to send on a new connection, or null if there is nothing to resume (sign in instead)
+     * @param {Object} extra - More fields for the command, e.g. { frames }
+     */
+    resumeCommand(extra = {}) {
+        const state = this.load();
+        if (!state.token) return null;
+        if (state.expiresAt && Date.now() > state.expiresAt) {
+            this.save({ ...state, token: null, expiresAt: null });
+            return null;
+        }
+        return { cmd: 'RESUME', protocolVersion: PROTOCOL_VERSION, resumeToken: state.token, ...extra };
+    }
+
+    /**
+     * Remember an edit made while disconnected; later edits of the same note replace the text but
+     * keep the hash the first one started from
+     */
+    queueSave(path, content, baseHash = null) {
+        const state = this.load();
+        const queued = state.pending.find((entry) => entry.path === path);
+        if (queued) {
+            queued.content = content;
+        } else {
+            state.pending.push({ path, content, baseHash });
+        }
+        this.save(state);
+    }
+
+    /**
+     * Pending offline edits, oldest first
+     */
+    pending() {
+        return this.load().pending;
+    }
+
+    /**
+     * Session picked up: keep the new token and send the queued edits
+     * @param {Object} data - RESUMED data: { resumeToken, resumeTtl, missedEvents, resync }
+     * @param {Function} send - async (cmd, extra) => response { type, data }
+     * @returns {Promise<Object>} { missedEvents (apply in order), resync (reload the tree instead), unsaved (see flush) }
+     */
+    async resumed(data, send) {
+        this.remember(data);
+        const unsaved = await this.flush(send);
+        return { missedEvents: data.missedEvents || [], resync: !!data.resync, unsaved };
+    }
+
+    /**
+     * The host no longer knows the token (expired, revoked or restarted)
+     * Queued edits are kept: sign in again, then flush().
+     */
+    failed() {
+        this.save({ ...this.load(), token: null, expiresAt: null });
+    }
+
+    /**
+     * Send queued edits; an edit is dropped from the queue once the host answered it
+     * Stops at the first transport error (the rest stay queued for the next connection).
+     * @param {Function} send - async (cmd, extra) => response { type, data }
+     * @returns {Promise<Array>} [{ path, content, type, data }] edits the host didn't apply: type 'CONFLICT'
+     *   (data: the host's version, merge and save again) or 'ERROR' (e.g. the note was deleted)
+     */
+    async flush(send) {
+        const unsaved = [];
+        for (const entry of this.pending()) {
+            // Without a base version the note was new when it was edited: create it if still missing
+            const response = await send('SAVE_FILE', entry.baseHash
+                ? { path: entry.path, data: entry.content, baseHash: entry.baseHash }
+                : { path: entry.path, data: entry.content, create: true });
+            if (response?.type === 'CONFLICT' || response?.type === 'ERROR') {
+                unsaved.push({ path: entry.path, content: entry.content, type: response.type, data: response.data });
+            }
+            const state = this.load();
+            // Edited again while this save was in flight: keep the newer text queued
+            this.save({ ...state, pending: state.pending.filter((queued) => queued.path !== entry.path || queued.content !== entry.content) });
+        }
+        return unsaved;
+    }
+
+    /**
+     * Sign-out: drop the token and anything queued
+     */
+    forget() {
+        this.storage.removeItem(this.key);
+    }
+}
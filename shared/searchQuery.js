@@ -0,0 +1,345 @@
+/**
+ * Search Query Parser
+ * Obsidian-style search syntax shared by the plugin (SEARCH_VAULT) and the web UI filter box
+ *
+ * Supported syntax:
+ *   foo bar            both terms (AND)
+ *   foo OR bar         either term
+ *   -foo               exclude
+ *   "exact phrase"     phrase match
+ *   /regex/i           JavaScript regular expression (on the host: owner sessions only, see parseQuery)
+ *   (a OR b) c         grouping
+ *   tag:#project       tag or nested tag (tag:project also works)
+ *   path:Clients/      file path
+ *   file:meeting       file name
+ *   content:foo        note body only
+ *   line:(a b)         all terms on the same line
+ *   section:(a b)      all terms under the same heading
+ *   task:foo           any task, task-todo: open tasks, task-done: completed tasks
+ */
+
+export const SEARCH_OPERATORS = ['tag', 'path', 'file', 'content', 'line', 'section', 'task', 'task-todo', 'task-done'];
+
+// Regexes run synchronously on Obsidian's main thread. These limits only bound the obvious abuse (a short
+// pattern can still backtrack catastrophically), so the host also accepts regexes from the owner only
+export const MAX_REGEX_LENGTH = 200;
+export const MAX_REGEX_TERMS = 5;
+
+// Operators whose result depends on the note body (the UI can't evaluate these locally)
+const CONTENT_OPERATORS = ['content', 'line', 'section', 'task', 'task-todo', 'task-done'];
+
+export class SearchQueryError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SearchQueryError';
+    }
+}
+
+/**
+ * Split a raw query into tokens
+ * @returns {Array} [{ type: 'word'|'phrase'|'regex'|'op'|'lparen'|'rparen'|'not'|'or', value }]
+ */
+function tokenize(input) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < input.length) {
+        const ch = input[i];
+
+        if (/\s/.test(ch)) {
+            i++;
+            continue;
+        }
+
+        if (ch === '(') {
+            tokens.push({ type: 'lparen' });
+            i++;
+            continue;
+        }
+
+        if (ch === ')') {
+            tokens.push({ type: 'rparen' });
+            i++;
+            continue;
+        }
+
+        // Negation only counts at the start of a term ("well-known" stays one word)
+        if (ch === '-' && i + 1 < input.length && !/\s/.test(input[i + 1])) {
+            tokens.push({ type: 'not' });
+            i++;
+            continue;
+        }
+
+        if (ch === '"') {
+            const end = input.indexOf('"', i + 1);
+            if (end === -1) throw new SearchQueryError('Unterminated quote');
+            tokens.push({ type: 'phrase', value: input.slice(i + 1, end) });
+            i = end + 1;
+            continue;
+        }
+
+        if (ch === '/') {
+            // Find the closing slash, skipping escaped ones
+            let end = i + 1;
+            while (end < input.length && (input[end] !== '/' || input[end - 1] === '\\')) end++;
+            if (end >= input.length) throw new SearchQueryError('Unterminated regular expression');
+            const pattern = input.slice(i + 1, end);
+            let flags = '';
+            end++;
+            while (end < input.length && /[imsu]/.test(input[end])) flags += input[end++];
+            tokens.push({ type: 'regex', value: pattern, flags });
+            i = end;
+            continue;
+        }
+
+        // Bare word (stops at whitespace and parentheses)
+        let end = i;
+        while (end < input.length && !/[\s()]/.test(input[end])) {
+            // Stop before a quoted operator value: file:"my note"
+            if (input[end] === ':' && input[end + 1] === '"' && SEARCH_OPERATORS.includes(input.slice(i, end).toLowerCase())) break;
+            end++;
+        }
+        const word = input.slice(i, end);
+
+        const opMatch = word.match(/^([a-z-]+):(.*)$/i);
+        if (opMatch && SEARCH_OPERATORS.includes(opMatch[1].toLowerCase())) {
+            tokens.push({ type: 'op', value: opMatch[1].toLowerCase() });
+            if (opMatch[2]) tokens.push({ type: 'word', value: opMatch[2] });
+            i = end;
+            continue;
+        }
+
+        if (input[end] === ':' && input[end + 1] === '"') {
+            tokens.push({ type: 'op', value: word.toLowerCase() });
+            i = end + 1;
+            continue;
+        }
+
+        if (word === 'OR') {
+            tokens.push({ type: 'or' });
+        } else {
+            tokens.push({ type: 'word', value: word });
+        }
+        i = end;
+    }
+
+    return tokens;
+}
+
+/**
+ * Parse a query string into an AST
+ * Node shapes:
+ *   { type: 'and'|'or', children: [...] }
+ *   { type: 'not', child }
+ *   { type: 'op', op, child }
+ *   { type: 'term', value, phrase }
+ *   { type: 'regex', pattern, flags }
+ * @param {string} input - Raw query
+ * @param {Object} options - { allowRegex: false rejects /regex/ terms }
+ * @returns {Object|null} AST root, or null for an empty query
+ * @throws {SearchQueryError} On malformed input
+ */
+export function parseQuery(input, { allowRegex = true } = {}) {
+    const tokens = tokenize(input || '');
+    if (tokens.length === 0) return null;
+
+    let pos = 0;
+    let regexCount = 0;
+    const peek = () => tokens[pos];
+
+    const parseOr = () => {
+        const children = [parseAnd()];
+        while (peek() && peek().type === 'or') {
+            pos++;
+            children.push(parseAnd());
+        }
+        return children.length === 1 ? children[0] : { type: 'or', children };
+    };
+
+    const parseAnd = () => {
+        const children = [];
+        while (peek() && peek().type !== 'or' && peek().type !== 'rparen') {
+            children.push(parseUnary());
+        }
+        if (children.length === 0) throw new SearchQueryError('Expected a search term');
+        return children.length === 1 ? children[0] : { type: 'and', children };
+    };
+
+    const parseUnary = () => {
+        if (peek().type === 'not') {
+            pos++;
+            if (!peek()) throw new SearchQueryError('Expected a term after "-"');
+            return { type: 'not', child: parseUnary() };
+        }
+        return parsePrimary();
+    };
+
+    const parsePrimary = () => {
+        const token = tokens[pos++];
+
+        if (token.type === 'lparen') {
+            const node = parseOr();
+            if (!peek() || peek().type !== 'rparen') throw new SearchQueryError('Missing closing parenthesis');
+            pos++;
+            return node;
+        }
+
+        if (token.type === 'op') {
+            if (!peek() || peek().type === 'rparen' || peek().type === 'or') {
+                throw new SearchQueryError(`Expected a value after "${token.value}:"`);
+            }
+            return { type: 'op', op: token.value, child: parsePrimary() };
+        }
+
+        if (token.type === 'phrase') return { type: 'term', value: token.value.toLowerCase(), phrase: true };
+        if (token.type === 'word') return { type: 'term', value: token.value.toLowerCase(), phrase: false };
+
+        if (token.type === 'regex') {
+            if (!allowRegex) throw new SearchQueryError('Regular expressions are only available to the vault owner');
+            if (token.value.length > MAX_REGEX_LENGTH) {
+                throw new SearchQueryError(`Regular expressions are limited to ${MAX_REGEX_LENGTH} characters`);
+            }
+            if (++regexCount > MAX_REGEX_TERMS) {
+                throw new SearchQueryError(`A query can contain at most ${MAX_REGEX_TERMS} regular expressions`);
+            }
+            let re;
+            try {
+                re = new RegExp(token.value, token.flags);
+            } catch (e) {
+                throw new SearchQueryError(`Invalid regular expression: ${e.message}`);
+            }
+            return { type: 'regex', pattern: token.value, flags: token.flags, re };
+        }
+
+        throw new SearchQueryError('Unexpected ' + (token.type === 'rparen' ? '")"' : '"OR"'));
+    };
+
+    const ast = parseOr();
+    if (pos < tokens.length) throw new SearchQueryError('Unexpected ")"');
+    return ast;
+}
+
+/**
+ * Whether evaluating the query requires the note body
+ */
+export function queryNeedsContent(node) {
+    if (!node) return false;
+    if (node.type === 'term' || node.type === 'regex') return true; // bare terms search the body
+    if (node.type === 'op') return CONTENT_OPERATORS.includes(node.op);
+    if (node.type === 'not') return queryNeedsContent(node.child);
+    return node.children.some(queryNeedsContent);
+}
+
+/**
+ * Whether the query uses operators that only the server can evaluate
+ */
+export function queryUsesContentOperators(node) {
+    if (!node) return false;
+    if (node.type === 'op') return CONTENT_OPERATORS.includes(node.op) || queryUsesContentOperators(node.child);
+    if (node.type === 'not') return queryUsesContentOperators(node.child);
+    if (node.children) return node.children.some(queryUsesContentOperators);
+    return false;
+}
+
+/**
+ * Collect the positive (non-negated) terms and regexes, for ranking and highlighting
+ * @returns {Object} { terms: string[], regexes: RegExp[] }
+ */
+export function collectHighlightTerms(node, negated = false, out = { terms: [], regexes: [] }) {
+    if (!node) return out;
+    if (node.type === 'not') return collectHighlightTerms(node.child, !negated, out);
+    if (node.type === 'op') {
+        // Tag/path/file values describe metadata, not body text
+        if (['tag', 'path', 'file'].includes(node.op)) return out;
+        return collectHighlightTerms(node.child, negated, out);
+    }
+    if (negated) return out;
+    if (node.type === 'term') {
+        if (!out.terms.includes(node.value)) out.terms.push(node.value);
+    } else if (node.type === 'regex') {
+        out.regexes.push(new RegExp(node.pattern, node.flags.includes('i') ? node.flags : node.flags + 'i'));
+    } else {
+        node.children.forEach((child) => collectHighlightTerms(child, negated, out));
+    }
+    return out;
+}
+
+/**
+ * Evaluate a parsed query against one note
+ * @param {Object} ast - From parseQuery
+ * @param {Object} ctx - { path, name, content, tags, sections, tasks }
+ *   content: full note text (or null when unavailable - plain terms then match the path)
+ *   tags: ['#tag', '#nested/tag']
+ *   sections: string[] - note text split at headings
+ *   tasks: [{ text, done }]
+ * @returns {boolean}
+ */
+export function evaluateQuery(ast, ctx) {
+    if (!ast) return true;
+    const fallback = ctx.content == null ? ctx.path : `${ctx.name}\n${ctx.content}`;
+    return evalNode(ast, { text: fallback.toLowerCase(), raw: fallback }, ctx);
+}
+
+function evalNode(node, target, ctx) {
+    switch (node.type) {
+        case 'and':
+            return node.children.every((child) => evalNode(child, target, ctx));
+        case 'or':
+            return node.children.some((child) => evalNode(child, target, ctx));
+        case 'not':
+            return !evalNode(node.child, target, ctx);
+        case 'term':
+            return matchTerm(node, target);
+        case 'regex':
+            return matchRegex(node, target);
+        case 'op':
+            return evalOperator(node, ctx);
+        default:
+            return false;
+    }
+}
+
+function matchTerm(node, target) {
+    if (target.tags) {
+        const wanted = node.value.startsWith('#') ? node.value : '#' + node.value;
+        return target.tags.some((t) => {
+            const tag = t.toLowerCase();
+            return tag === wanted || tag.startsWith(wanted + '/');
+        });
+    }
+    return target.text.includes(node.value);
+}
+
+function matchRegex(node, target) {
+    if (target.tags) return target.tags.some((t) => node.re.test(t));
+    return node.re.test(target.raw);
+}
+
+const textTarget = (raw) => ({ text: raw.toLowerCase(), raw });
+
+function evalOperator(node, ctx) {
+    const child = node.child;
+
+    switch (node.op) {
+        case 'tag':
+            return evalNode(child, { tags: ctx.tags || [] }, ctx);
+        case 'path':
+            return evalNode(child, textTarget(ctx.path), ctx);
+        case 'file':
+            return evalNode(child, textTarget(ctx.name), ctx);
+        case 'content':
+            return ctx.content != null && evalNode(child, textTarget(ctx.content), ctx);
+        case 'line':
+            return ctx.content != null && ctx.content.split('\n').some((line) => evalNode(child, textTarget(line), ctx));
+        case 'section':
+            return (ctx.sections || []).some((section) => evalNode(child, textTarget(section), ctx));
+        case 'task':
+            return (ctx.tasks || []).some((task) => evalNode(child, textTarget(task.text), ctx));
+        case 'task-todo':
+            return (ctx.tasks || []).some((task) => !task.done && evalNode(child, textTarget(task.text), ctx));
+        case 'task-done':
+            return (ctx.tasks || []).some((task) => task.done && evalNode(child, textTarget(task.text), ctx));
+        default:
+            return false;
+    }
+}
@@ -0,0 +1,89 @@
+/**
+ * End-to-End Encrypted Signaling Payloads
+ * Shared by the plugin (host) and remote clients, so the signaling broker (Supabase table or
+ * signaling-server/) only ever relays opaque blobs instead of SDP and candidate IPs
+ *
+ * Both sides hold the vault's pairing secret, copied from the plugin's Remote settings out of band.
+ *   key      = HKDF-SHA256(secret, salt 'noterelay-signaling-v1', info hostId) -> AES-256-GCM
+ *   payload  = { v: 1, alg: 'A256GCM', iv, ct } (base64, fresh 12-byte IV per message)
+ *   AAD      = 'noterelay-signal|<direction>|<clientId>|<type>'
+ * direction is 'c2h' (client to host) or 'h2c'. Binding it, the client's id and the message type
+ * means the broker can't reflect, re-route or relabel a payload without decryption failing.
+ * Message types stay visible: the broker needs them for routing.
+ */
+
+export const SIGNAL_ENVELOPE_VERSION = 1;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+const toBase64 = (bytes) => btoa(String.fromCharCode(...bytes));
+const fromBase64 = (str) => Uint8Array.from(atob(str), (c) => c.charCodeAt(0));
+
+/**
+ * New random pairing secret (base64url, 256 bits)
+ */
+export function generatePairingSecret() {
+    return toBase64(crypto.getRandomValues(new Uint8Array(32)))
+        .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Derive the AES-GCM key for one host
+ * @param {string} secret - Pairing secret as shown in the plugin settings
+ * @param {string} hostId - Signaling id of the host (the target clients address)
+ * @returns {Promise<CryptoKey>}
+ */
+export async function deriveSignalingKey(secret, hostId) {
+    const baseKey = await crypto.subtle.importKey('raw', encoder.encode(secret.trim()), 'HKDF', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'HKDF', hash: 'SHA-256', salt: encoder.encode('noterelay-signaling-v1'), info: encoder.encode(hostId) },
+        baseKey,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+function additionalData({ direction, clientId, type }) {
+    return encoder.encode(`noterelay-signal|${direction}|${clientId}|${type}`);
+}
+
+/**
+ * Whether a signaling payload is an encrypted envelope (older clients send plain SDP objects)
+ */
+export function isSealed(payload) {
+    return !!payload && typeof payload === 'object' && payload.v === SIGNAL_ENVELOPE_VERSION &&
+        payload.alg === 'A256GCM' && typeof payload.iv === 'string' && typeof payload.ct === 'string';
+}
+
+/**
+ * Encrypt a signaling payload
+ * @param {CryptoKey} key - From deriveSignalingKey
+ * @param {Object} context - { direction: 'c2h'|'h2c', clientId, type }
+ * @param {*} payload - JSON-serialisable signal (offer/answer/candidate/renegotiate)
+ * @returns {Promise<Object>} Envelope to send in place of the payload
+ */
+export async function sealSignal(key, context, payload) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const ct = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv, additionalData: additionalData(context) },
+        key,
+        encoder.encode(JSON.stringify(payload))
+    );
+    return { v: SIGNAL_ENVELOPE_VERSION, alg: 'A256GCM', iv: toBase64(iv), ct: toBase64(new Uint8Array(ct)) };
+}
+
+/**
+ * Decrypt an envelope from sealSignal
+ * @returns {Promise<*>} The original payload; throws if the key, context or ciphertext don't match
+ */
+export async function openSignal(key, context, envelope) {
+    if (!isSealed(envelope)) throw new Error('Not an encrypted signaling payload');
+    const plain = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: fromBase64(envelope.iv), additionalData: additionalData(context) },
+        key,
+        fromBase64(envelope.ct)
+    );
+    return JSON.parse(decoder.decode(plain));
+}
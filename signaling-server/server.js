@@ -0,0 +1,382 @@
+#!/usr/bin/env node
+/**
+ * Note Relay Signaling Server
+ * Minimal, dependency-free WebSocket relay for WebRTC offers/answers, so remote access can run
+ * without Supabase. It only forwards connection setup messages; vault data never passes through it.
+ *
+ * Protocol (JSON text frames):
+ *   client -> server  { type: 'register', id, key? }                 claim an id (host: its host id)
+ *   server -> client  { type: 'registered', id, iceServers }
+ *   client -> server  { type: 'offer'|'answer'|'candidate'|'renegotiate', target, payload }
+ *   server -> target  { type, source, target, payload }              source is the sender's registered id
+ *   server -> client  { type: 'error', message, target? }
+ * Ids are first come, first served. A registration carrying a key binds the id to that key (hosts send
+ * a secret only they know): from then on only the same key can register it, even while it is free.
+ * Such a registration also replaces a holder with the same key that doesn't answer a ping within
+ * PROBE_TIMEOUT (a host reconnecting after a network drop). Ids without a key are never taken over.
+ *
+ * Environment:
+ *   PORT               listen port (default 8787)
+ *   HOST               bind address (default 0.0.0.0)
+ *   SIGNALING_TOKEN    shared secret; clients connect to ws://host:port/?token=... (recommended)
+ *   ICE_SERVERS        JSON array handed to clients, e.g. [{"urls":"stun:stun.l.google.com:19302"}]
+ *   CLAIMS_FILE        file keeping id -> key hash bindings across restarts (default: memory only)
+ */
+
+import { createServer } from 'node:http';
+import { createHash, timingSafeEqual } from 'node:crypto';
+import { readFileSync, writeFile } from 'node:fs';
+
+const PORT = parseInt(process.env.PORT, 10) || 8787;
+const HOST = process.env.HOST || '0.0.0.0';
+const TOKEN = process.env.SIGNALING_TOKEN || '';
+const ICE_SERVERS = parseIceServers(process.env.ICE_SERVERS);
+const CLAIMS_FILE = process.env.CLAIMS_FILE || '';
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_BYTES = 256 * 1024; // SDP with trickle disabled stays well below this
+const PING_INTERVAL = 30 * 1000;
+const PROBE_TIMEOUT = 5 * 1000; // how long a challenged id holder has to answer a ping
+const RELAYED_TYPES = new Set(['offer', 'answer', 'candidate', 'renegotiate']);
+const MAX_CLAIMS = 10000;
+
+const clients = new Map(); // registered id -> Connection
+const claims = loadClaims(); // id -> sha256 of the key it was first registered with
+
+function parseIceServers(value) {
+    if (!value) return [{ urls: 'stun:stun.l.google.com:19302' }];
+    try {
+        return JSON.parse(value);
+    } catch (e) {
+        console.error('ICE_SERVERS is not valid JSON, using the default STUN server');
+        return [{ urls: 'stun:stun.l.google.com:19302' }];
+    }
+}
+
+function loadClaims() {
+    if (!CLAIMS_FILE) return new Map();
+    try {
+        return new Map(Object.entries(JSON.parse(readFileSync(CLAIMS_FILE, 'utf8'))));
+    } catch (e) {
+        if (e.code !== 'ENOENT') console.error(`Could not read CLAIMS_FILE (${e.message}), starting without claims`);
+        return new Map();
+    }
+}
+
+function saveClaims() {
+    if (!CLAIMS_FILE) return;
+    writeFile(CLAIMS_FILE, JSON.stringify(Object.fromEntries(claims)), (e) => {
+        if (e) console.error(`Could not write CLAIMS_FILE: ${e.message}`);
+    });
+}
+
+function hashKey(key) {
+    return createHash('sha256').update(key).digest();
+}
+
+/**
+ * Whether a registration may use the id: unclaimed ids are open, claimed ones need the same key
+ */
+function claimMatches(id, key) {
+    const claimed = claims.get(id);
+    if (!claimed) return true;
+    if (!key) return false;
+    return timingSafeEqual(hashKey(key), Buffer.from(claimed, 'hex'));
+}
+
+function tokenMatches(given) {
+    if (!TOKEN) return true;
+    const a = Buffer.from(String(given || ''));
+    const b = Buffer.from(TOKEN);
+    return a.length === b.length && timingSafeEqual(a, b);
+}
+
+/**
+ * One WebSocket connection (RFC 6455 subset: text, close, ping/pong, fragmentation)
+ */
+class Connection {
+    constructor(socket, remote) {
+        this.socket = socket;
+        this.remote = remote;
+        this.id = null;
+        this.alive = true;
+        this.lastPong = 0;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.closed = false;
+
+        socket.on('data', (data) => this.onData(data));
+        socket.on('close', () => this.onClose());
+        socket.on('error', () => this.onClose());
+    }
+
+    onData(data) {
+        this.buffer = Buffer.concat([this.buffer, data]);
+        while (true) {
+            const frame = this.readFrame();
+            if (!frame) return;
+            this.onFrame(frame);
+            if (this.closed) return;
+        }
+    }
+
+    readFrame() {
+        const buf = this.buffer;
+        if (buf.length < 2) return null;
+        const fin = (buf[0] & 0x80) !== 0;
+        const opcode = buf[0] & 0x0f;
+        const masked = (buf[1] & 0x80) !== 0;
+        let length = buf[1] & 0x7f;
+        let offset = 2;
+
+        if (length === 126) {
+            if (buf.length < 4) return null;
+            length = buf.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buf.length < 10) return null;
+            const big = buf.readBigUInt64BE(2);
+            if (big > BigInt(MAX_MESSAGE_BYTES)) return this.fail(1009, 'Message too big');
+            length = Number(big);
+            offset = 10;
+        }
+        if (length > MAX_MESSAGE_BYTES) return this.fail(1009, 'Message too big');
+        // Clients must mask (RFC 6455 5.1)
+        if (!masked) return this.fail(1002, 'Unmasked frame');
+
+        if (buf.length < offset + 4 + length) return null;
+        const mask = buf.subarray(offset, offset + 4);
+        const payload = Buffer.from(buf.subarray(offset + 4, offset + 4 + length));
+        for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+        this.buffer = buf.subarray(offset + 4 + length);
+        return { fin, opcode, payload };
+    }
+
+    onFrame({ fin, opcode, payload }) {
+        switch (opcode) {
+            case 0x0: // continuation
+            case 0x1: // text
+                this.fragments.push(payload);
+                if (this.fragments.reduce((n, f) => n + f.length, 0) > MAX_MESSAGE_BYTES) {
+                    this.fail(1009, 'Message too big');
+                    return;
+                }
+                if (fin) {
+                    const text = Buffer.concat(this.fragments).toString('utf8');
+                    this.fragments = [];
+                    this.onMessage(text);
+                }
+                return;
+            case 0x8: // close
+                this.close(1000);
+                return;
+            case 0x9: // ping
+                this.writeFrame(0xa, payload);
+                return;
+            case 0xa: // pong
+                this.alive = true;
+                this.lastPong = Date.now();
+                return;
+            default:
+                this.fail(1003, 'Unsupported frame');
+        }
+    }
+
+    onMessage(text) {
+        let msg;
+        try {
+            msg = JSON.parse(text);
+        } catch (e) {
+            this.send({ type: 'error', message: 'Invalid JSON' });
+            return;
+        }
+
+        if (msg.type === 'register') {
+            const id = typeof msg.id === 'string' ? msg.id.trim() : '';
+            if (!id || id.length > 128) {
+                this.send({ type: 'error', message: 'Invalid id' });
+                return;
+            }
+            const key = typeof msg.key === 'string' && msg.key ? msg.key : null;
+            if (key && key.length > 256) {
+                this.send({ type: 'error', message: 'Invalid key' });
+                return;
+            }
+            if (!claimMatches(id, key)) {
+                log(`rejected register for ${id} from ${this.remote} (wrong key)`);
+                this.send({ type: 'error', message: 'ID is claimed by another host' });
+                return;
+            }
+            const existing = clients.get(id);
+            if (existing && existing !== this && !existing.closed) {
+                // First come keeps the id. Only the key it was claimed with lets a reconnecting host
+                // take it over, and only if the old socket (dropped by a network blip) no longer answers a ping.
+                if (!key || !claims.has(id)) {
+                    this.send({ type: 'error', message: 'ID already in use' });
+                    return;
+                }
+                existing.probe((answered) => {
+                    if (this.closed) return;
+                    const holder = clients.get(id);
+                    if (answered || (holder && holder !== existing && holder !== this && !holder.closed)) {
+                        this.send({ type: 'error', message: 'ID already in use' });
+                        return;
+                    }
+                    log(`${id} taken over by ${this.remote} (previous socket stopped answering)`);
+                    existing.close(1001, 'Replaced');
+                    this.register(id, key);
+                });
+                return;
+            }
+            this.register(id, key);
+            return;
+        }
+
+        if (RELAYED_TYPES.has(msg.type)) {
+            if (!this.id) {
+                this.send({ type: 'error', message: 'Register first' });
+                return;
+            }
+            const target = clients.get(msg.target);
+            if (!target || target.closed) {
+                this.send({ type: 'error', message: 'Target not connected', target: msg.target });
+                return;
+            }
+            target.send({ type: msg.type, source: this.id, target: msg.target, payload: msg.payload });
+            return;
+        }
+
+        this.send({ type: 'error', message: `Unknown message type: ${msg.type}` });
+    }
+
+    register(id, key = null) {
+        if (key && !claims.has(id)) {
+            if (claims.size >= MAX_CLAIMS) {
+                this.send({ type: 'error', message: 'Too many claimed ids' });
+                return;
+            }
+            claims.set(id, hashKey(key).toString('hex'));
+            saveClaims();
+        }
+        if (this.id && clients.get(this.id) === this) clients.delete(this.id);
+        this.id = id;
+        clients.set(id, this);
+        log(`registered ${id} (${this.remote})`);
+        this.send({ type: 'registered', id, iceServers: ICE_SERVERS });
+    }
+
+    /**
+     * Ping now; callback(answered) once a pong arrived or PROBE_TIMEOUT passed
+     */
+    probe(callback) {
+        if (this.closed) {
+            callback(false);
+            return;
+        }
+        const sentAt = Date.now();
+        this.writeFrame(0x9, Buffer.alloc(0));
+        setTimeout(() => callback(!this.closed && this.lastPong >= sentAt), PROBE_TIMEOUT);
+    }
+
+    send(obj) {
+        this.writeFrame(0x1, Buffer.from(JSON.stringify(obj), 'utf8'));
+    }
+
+    writeFrame(opcode, payload) {
+        if (this.closed) return;
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.from([0x80 | opcode, payload.length]);
+        } else if (payload.length < 65536) {
+            header = Buffer.alloc(4);
+            header[0] = 0x80 | opcode;
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[0] = 0x80 | opcode;
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+        }
+        this.socket.write(Buffer.concat([header, payload]));
+    }
+
+    fail(code, reason) {
+        this.close(code, reason);
+        return null;
+    }
+
+    close(code = 1000, reason = '') {
+        if (this.closed) return;
+        const body = Buffer.alloc(2 + Buffer.byteLength(reason));
+        body.writeUInt16BE(code, 0);
+        body.write(reason, 2);
+        this.writeFrame(0x8, body);
+        this.closed = true;
+        this.socket.end();
+        this.onClose();
+    }
+
+    onClose() {
+        this.closed = true;
+        if (this.id && clients.get(this.id) === this) {
+            clients.delete(this.id);
+            log(`disconnected ${this.id}`);
+        }
+    }
+}
+
+function log(message) {
+    console.log(`[${new Date().toISOString()}] ${message}`);
+}
+
+const server = createServer((req, res) => {
+    if (req.url === '/health') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: true, clients: clients.size }));
+        return;
+    }
+    res.writeHead(426, { 'Content-Type': 'text/plain' });
+    res.end('Note Relay signaling server: connect with a WebSocket client\n');
+});
+
+server.on('upgrade', (req, socket) => {
+    const url = new URL(req.url, 'http://localhost');
+    const key = req.headers['sec-websocket-key'];
+    if (!key || (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+    if (!tokenMatches(url.searchParams.get('token'))) {
+        log(`rejected connection from ${req.socket.remoteAddress} (bad token)`);
+        socket.end('HTTP/1.1 401 Unauthorized\r\n\r\n');
+        return;
+    }
+
+    const accept = createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '\r\n'
+    ].join('\r\n'));
+    socket.setNoDelay(true);
+    new Connection(socket, req.socket.remoteAddress);
+});
+
+// Drop connections that stop answering pings (frees their ids for reconnects)
+setInterval(() => {
+    for (const conn of new Set(clients.values())) {
+        if (!conn.alive) {
+            conn.close(1001, 'Ping timeout');
+            continue;
+        }
+        conn.alive = false;
+        conn.writeFrame(0x9, Buffer.alloc(0));
+    }
+}, PING_INTERVAL).unref();
+
+server.listen(PORT, HOST, () => {
+    log(`Note Relay signaling server listening on ws://${HOST}:${PORT}${TOKEN ? ' (token required)' : ' (no token - anyone can connect)'}`);
+});
@@ -5,9 +5,11 @@
 
 import LocalConnection from './connection-local.js';
 import { processFileData, renderNode, prepareList } from '../utils/fileTree.js';
-import { b64toBlob, getMimeType } from '../utils/helpers.js';
+import { b64toBlob, getMimeType, debounce, bytesToBase64 } from '../utils/helpers.js';
 import { initEditor, loadEditorContent, getEditorContent, getEditor } from '../ui/editor.js';
 import * as icons from '../ui/icons.js';
+import { showMergeModal, showShareModal } from '../ui/modals.js';
+import { parseQuery, evaluateQuery, queryUsesContentOperators } from '../../../shared/searchQuery.js';
 import ForceGraph from 'force-graph';
 import jsyaml from 'js-yaml';
 
@@ -38,6 +40,12 @@ let kanbanDragState = { saving: false, fromLane: null, fromIndex: null, itemEl:
 let kanbanCheckboxSaving = false; // prevent concurrent checkbox saves in Kanban view
 let preferPluginPreview = false; // prefer plugin-rendered view (e.g., Kanban) over markdown fallback
 let pluginViewActive = false; // track if plugin view is currently displayed
+let vaultFolders = []; // folder paths from the last TREE (includes empty folders)
+let lastLoadedContent = null; // editor content as last loaded from the vault (dirty check, merge base)
+let loadedHash = null; // vault version lastLoadedContent came from, sent with SAVE_FILE
+let recentSaves = {}; // path -> timestamp of our own saves, to ignore their echo events
+let searchState = { query: '', results: [], total: 0, pathMatches: [] }; // full-text search pages loaded so far
+let savedSearches = []; // [{ name, query }] from plugin settings
 
 /**
  * Show welcome screen on initial load
@@ -126,6 +134,7 @@ export function initApp() {
             console.error('❌ Failed to initialize EasyMDE editor');
         } else {
             console.log('✅ EasyMDE editor initialized');
+            setupEditorAttachments();
         }
 
         // Show welcome screen after editor is initialized
@@ -186,6 +195,29 @@ function setupEventListeners() {
     // Link/tag/checkbox interceptors
     document.addEventListener('click', handleDocumentClick);
 
+    // Files dropped on the file tree or pasted outside text fields become attachments of the open note
+    const treeArea = document.getElementById('sidebar-tree-area');
+    if (treeArea) {
+        treeArea.addEventListener('dragover', (e) => {
+            if (!e.dataTransfer?.types.includes('Files')) return;
+            e.preventDefault();
+            treeArea.classList.add('is-drop-target');
+        });
+        treeArea.addEventListener('dragleave', () => treeArea.classList.remove('is-drop-target'));
+        treeArea.addEventListener('drop', (e) => {
+            treeArea.classList.remove('is-drop-target');
+            if (!e.dataTransfer?.files.length) return;
+            e.preventDefault();
+            attachFiles(e.dataTransfer.files);
+        });
+    }
+    document.addEventListener('paste', (e) => {
+        if (e.target.closest('input, textarea, [contenteditable="true"], .CodeMirror')) return;
+        if (!e.clipboardData?.files.length) return;
+        e.preventDefault();
+        attachFiles(e.clipboardData.files);
+    });
+
     // Keyboard shortcuts
     document.addEventListener('keydown', (e) => {
         if ((e.ctrlKey || e.metaKey) && e.key === 's') {
@@ -325,7 +357,7 @@ async function handleCheckboxClick(checkbox) {
                 window._isCheckboxUpdate = true;
 
                 console.log('💾 Saving checkbox state...');
-                await conn.send('SAVE_FILE', { path: currentPath, data: content });
+                if (!(await saveNoteContent(content))) return;
 
                 console.log('✅ Checkbox saved, refreshing preview...');
 
@@ -608,7 +640,7 @@ async function persistKanbanMove(targetLaneIndex, rawDropIndex) {
 
     try {
         kanbanDragState.saving = true;
-        await conn.send('SAVE_FILE', { path: currentPath, data: newContent });
+        if (!(await saveNoteContent(newContent))) return;
         kanbanState = nextState;
 
         // Stay in plugin (kanban) view after save
@@ -681,7 +713,7 @@ async function handleKanbanCheckboxToggle(laneIdx, itemIdx, checkboxIdx, newChec
 
     try {
         kanbanCheckboxSaving = true;
-        await conn.send('SAVE_FILE', { path: currentPath, data: newContent });
+        if (!(await saveNoteContent(newContent))) return;
         kanbanState = nextState;
         preferPluginPreview = true;
 
@@ -794,6 +826,19 @@ async function connectToVault() {
 function handleMessage(msg) {
     console.log('🎯 Message received:', msg.type);
 
+    if (msg.type === 'SESSION_EXPIRED') {
+        document.getElementById('app-container').classList.remove('active');
+        document.getElementById('connect-overlay').style.display = 'flex';
+        const btn = document.getElementById('connect-btn');
+        btn.disabled = false;
+        btn.innerText = 'Unlock Vault';
+        const passwordInput = document.getElementById('password-input');
+        passwordInput.value = '';
+        passwordInput.focus();
+        log('Session expired. Enter your password to continue.');
+        return;
+    }
+
     if (msg.type === 'CONNECTED') {
         document.getElementById('connect-overlay').style.display = 'none';
         document.getElementById('app-container').classList.add('active');
@@ -822,6 +867,8 @@ function handleMessage(msg) {
             applyTheme(msg.data.css);
         }
 
+        vaultFolders = msg.data.folders || vaultFolders;
+        savedSearches = msg.data.savedSearches || savedSearches;
         const result = processFileData(msg.data);
         console.log('📊 Processed data:', {
             masterFileListCount: result.masterFileList.length,
@@ -856,6 +903,8 @@ function handleMessage(msg) {
         // Load into editor
         easyMDE.value(content);
         easyMDE.codemirror.clearHistory();
+        lastLoadedContent = content;
+        loadedHash = msg.data.hash || null;
 
         // If this is during YAML save or checkbox save, just load content and return
         if (window._yamlSaveInProgress || window._checkboxSaveInProgress) {
@@ -930,6 +979,144 @@ function handleMessage(msg) {
         if (panelState.graph && renderedPath) renderLocalGraph(renderedPath);
         return;
     }
+
+    if (msg.type === 'VAULT_EVENT') {
+        applyVaultEvent(msg.data);
+        return;
+    }
+
+    if (msg.type === 'SEARCH_RESULTS') {
+        renderSearchResults(msg.data);
+        return;
+    }
+
+    if (msg.type === 'SAVED_SEARCHES') {
+        savedSearches = msg.data.savedSearches || [];
+        if (currentView === 'searches') renderSidebar();
+        return;
+    }
+}
+
+/**
+ * Apply a pushed vault change (create/modify/delete/rename) without a full reload
+ * @param {Object} evt - { event, kind, path, oldPath, entry, mtime }
+ */
+function applyVaultEvent(evt) {
+    if (!evt || !evt.path) return;
+    console.log('📡 Vault event:', evt.event, evt.path, evt.oldPath ? `(from ${evt.oldPath})` : '');
+
+    const isFolder = evt.kind === 'folder';
+    const folderPrefix = (path) => path + '/';
+
+    if (evt.event === 'create' || evt.event === 'modify') {
+        if (isFolder) {
+            if (!vaultFolders.includes(evt.path)) vaultFolders.push(evt.path);
+        } else if (evt.entry) {
+            const existing = masterFileList.find(f => f.path === evt.path);
+            if (existing) {
+                // Patch in place so references held by the note list stay valid
+                Object.assign(existing, evt.entry);
+            } else {
+                masterFileList.push(evt.entry);
+            }
+        }
+    } else if (evt.event === 'delete') {
+        if (isFolder) {
+            const prefix = folderPrefix(evt.path);
+            vaultFolders = vaultFolders.filter(f => f !== evt.path && !f.startsWith(prefix));
+            masterFileList = masterFileList.filter(f => !f.path.startsWith(prefix));
+        } else {
+            masterFileList = masterFileList.filter(f => f.path !== evt.path);
+        }
+    } else if (evt.event === 'rename' && evt.oldPath) {
+        if (isFolder) {
+            const oldPrefix = folderPrefix(evt.oldPath);
+            const newPrefix = folderPrefix(evt.path);
+            vaultFolders = vaultFolders.map(f => {
+                if (f === evt.oldPath) return evt.path;
+                return f.startsWith(oldPrefix) ? newPrefix + f.slice(oldPrefix.length) : f;
+            });
+            masterFileList.forEach(f => {
+                if (f.path.startsWith(oldPrefix)) f.path = newPrefix + f.path.slice(oldPrefix.length);
+            });
+            if (currentPath && currentPath.startsWith(oldPrefix)) {
+                currentPath = newPrefix + currentPath.slice(oldPrefix.length);
+            }
+        } else {
+            const existing = masterFileList.find(f => f.path === evt.oldPath);
+            if (existing) {
+                Object.assign(existing, evt.entry || { path: evt.path });
+            } else if (evt.entry) {
+                masterFileList.push(evt.entry);
+            }
+            if (currentPath === evt.oldPath) {
+                currentPath = evt.path;
+                const nameEl = document.querySelector('#filename span');
+                if (nameEl) nameEl.textContent = evt.path.split('/').pop().replace('.md', '');
+            }
+        }
+    }
+
+    // Rebuild folder/tag trees from the patched list
+    const result = processFileData({ files: masterFileList, folders: vaultFolders });
+    folderTree = result.folderTree;
+    tagTree = result.tagTree;
+    renderSidebar();
+    refreshNoteListAfterEvent(evt);
+
+    // Refresh the open note if it changed underneath us
+    if (!isFolder && currentPath === evt.path && evt.event === 'modify') {
+        refreshOpenNote();
+    } else if (!isFolder && currentPath === evt.path && evt.event === 'delete') {
+        log(`"${evt.path}" was deleted in the vault`);
+        const preview = document.getElementById('custom-preview');
+        if (preview && isReadingMode) {
+            preview.innerHTML = '<div style="padding: 40px; color: var(--text-muted); font-style: italic;">This note was deleted in the vault.</div>';
+        }
+    }
+}
+
+/**
+ * Keep the notes pane in sync after a vault event (skipped while a search is active)
+ */
+function refreshNoteListAfterEvent(evt) {
+    const searchInput = document.getElementById('search-input');
+    if (searchInput && searchInput.value) return;
+
+    const parentOf = (path) => path.includes('/') ? path.substring(0, path.lastIndexOf('/') + 1) : '/';
+    const selected = selectedFolderPath || '/';
+    const list = currentList.filter(f => masterFileList.includes(f));
+
+    if (evt.event === 'create' && evt.entry && parentOf(evt.path) === selected) {
+        const created = masterFileList.find(f => f.path === evt.path);
+        if (created && !list.includes(created)) list.push(created);
+    }
+
+    prepareNoteList(list);
+}
+
+/**
+ * Reload the open note after an external edit, keeping scroll and unsaved work
+ */
+async function refreshOpenNote() {
+    // Ignore the echo of our own save
+    if (recentSaves[currentPath] && Date.now() - recentSaves[currentPath] < 2000) return;
+
+    if (isReadingMode) {
+        const preview = document.getElementById('custom-preview');
+        window._savedScrollPosition = preview ? preview.scrollTop : 0;
+        window._isCheckboxUpdate = true;
+        await conn.send('GET_RENDERED_FILE', { path: currentPath });
+        return;
+    }
+
+    // Don't clobber edits the user hasn't saved yet
+    if (easyMDE && lastLoadedContent !== null && easyMDE.value() !== lastLoadedContent) {
+        log('This note changed in the vault. Save to overwrite or reload to discard your edits.');
+        return;
+    }
+
+    await conn.send('GET_FILE', { path: currentPath });
 }
 
 /**
@@ -2883,7 +3070,7 @@ async function saveYamlToFile() {
 
         // Save to file
         console.log('💾 Sending SAVE_FILE command...');
-        await conn.send('SAVE_FILE', { path: currentPath, data: newContent });
+        if (!(await saveNoteContent(newContent))) return;
 
         console.log('✅ YAML saved, refreshing preview...');
 
@@ -2932,6 +3119,11 @@ function renderSidebar() {
 
     container.innerHTML = '';
 
+    if (currentView === 'searches') {
+        renderSavedSearches(container);
+        return;
+    }
+
     const tree = currentView === 'folders' ? folderTree : tagTree;
     const iconSet = { folder: icons.folder, tag: icons.tag };
 
@@ -2988,6 +3180,81 @@ function renderSidebar() {
     setTimeout(() => applyThemeToElements(), 10);
 }
 
+/**
+ * Render the saved searches list (SEARCHES tab)
+ */
+function renderSavedSearches(container) {
+    if (savedSearches.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'saved-search-empty';
+        empty.textContent = 'No saved searches. Type a query and click the bookmark to save it.';
+        container.appendChild(empty);
+        return;
+    }
+
+    savedSearches.forEach(saved => {
+        const row = document.createElement('div');
+        row.className = 'tree-label saved-search';
+        row.title = saved.query;
+
+        const name = document.createElement('span');
+        name.className = 'tree-text';
+        name.textContent = saved.name;
+
+        const query = document.createElement('span');
+        query.className = 'saved-search-query';
+        query.textContent = saved.query;
+
+        const remove = document.createElement('button');
+        remove.className = 'saved-search-remove';
+        remove.title = 'Delete saved search';
+        remove.innerHTML = '<i class="fa-solid fa-xmark"></i>';
+        remove.onclick = (e) => {
+            e.stopPropagation();
+            if (confirm(`Delete saved search "${saved.name}"?`)) {
+                conn.send('DELETE_SAVED_SEARCH', { data: { name: saved.name } });
+            }
+        };
+
+        row.appendChild(name);
+        row.appendChild(query);
+        row.appendChild(remove);
+        row.onclick = () => {
+            document.querySelectorAll('.tree-label').forEach(d => d.classList.remove('selected'));
+            row.classList.add('selected');
+            runSavedSearch(saved.query);
+        };
+        container.appendChild(row);
+    });
+}
+
+/**
+ * Put a saved query in the search box and run it
+ */
+function runSavedSearch(query) {
+    const input = document.getElementById('search-input');
+    if (!input) return;
+    input.value = query;
+    doSearch({ target: input });
+}
+
+/**
+ * Save the query currently in the search box
+ */
+async function saveCurrentSearch() {
+    const input = document.getElementById('search-input');
+    const query = input ? input.value.trim() : '';
+    if (!query) {
+        alert('Type a search query first.');
+        return;
+    }
+
+    const name = prompt('Name this search:', query);
+    if (name) {
+        await conn.send('SAVE_SEARCH', { data: { name: name.trim(), query } });
+    }
+}
+
 /**
  * Prepare and render note list
  */
@@ -3467,8 +3734,152 @@ function togglePanel(panel) {
 async function saveFile() {
     if (!currentPath) return;
     const content = getEditorContent();
-    await conn.send('SAVE_FILE', { path: currentPath, data: content });
+    if (await saveNoteContent(content)) log('File saved!');
+}
+
+/**
+ * Save the open note against the vault version it was loaded from
+ * @returns {Promise<boolean>} false if the note changed in the vault (the merge dialog opens instead)
+ */
+async function saveNoteContent(content) {
+    const path = currentPath;
+    recentSaves[path] = Date.now();
+    const result = await conn.send('SAVE_FILE', { path, data: content, baseHash: loadedHash || undefined });
+
+    if (result?.type === 'CONFLICT') {
+        // Not awaited so callers can release their save locks while the dialog is open
+        resolveSaveConflict(path, content, result.data);
+        return false;
+    }
+
+    if (result?.type === 'SAVED' && path === currentPath) {
+        lastLoadedContent = content;
+        loadedHash = result.data?.hash || null;
+    }
+    return result?.type === 'SAVED';
+}
+
+/**
+ * Let the user merge their edit with the vault's newer version, then save the result
+ */
+async function resolveSaveConflict(path, mine, conflict) {
+    log('This note changed in the vault. Resolve the conflict to save.');
+    const resolved = await showMergeModal({
+        path,
+        base: lastLoadedContent ?? '',
+        mine,
+        theirs: conflict.currentText
+    });
+    if (resolved === null || path !== currentPath) {
+        log('Save cancelled.');
+        return;
+    }
+
+    // The vault version is the new base; saving again may conflict again if it keeps changing
+    lastLoadedContent = conflict.currentText;
+    loadedHash = conflict.currentHash;
+    if (!(await saveNoteContent(resolved))) return;
+
     log('File saved!');
+    kanbanState = null;
+    if (isReadingMode) {
+        await conn.send('GET_RENDERED_FILE', { path });
+    } else if (easyMDE) {
+        easyMDE.value(resolved);
+    }
+}
+
+/**
+ * Accept pasted and dropped files in the editor
+ */
+function setupEditorAttachments() {
+    const cm = easyMDE.codemirror;
+    cm.on('paste', (_cm, e) => {
+        if (!e.clipboardData?.files.length) return;
+        e.preventDefault();
+        attachFiles(e.clipboardData.files);
+    });
+    cm.on('drop', (_cm, e) => {
+        if (!e.dataTransfer?.files.length) return;
+        e.preventDefault();
+        cm.setCursor(cm.coordsChar({ left: e.clientX, top: e.clientY }));
+        attachFiles(e.dataTransfer.files);
+    });
+}
+
+/**
+ * Open a file picker and attach the chosen files to the open note
+ */
+function pickAttachment() {
+    if (!currentPath) {
+        alert('Open a note first');
+        return;
+    }
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.multiple = true;
+    input.onchange = () => {
+        if (input.files.length) attachFiles(input.files);
+    };
+    input.click();
+}
+
+/**
+ * Upload files to the vault and embed them in the open note at the cursor
+ */
+async function attachFiles(fileList) {
+    if (!currentPath) {
+        alert('Open a note first');
+        return;
+    }
+    const notePath = currentPath;
+    const links = [];
+
+    for (const file of Array.from(fileList)) {
+        try {
+            links.push(await uploadAttachment(file, notePath));
+        } catch (err) {
+            console.error('❌ Upload failed:', err);
+            alert(`Failed to upload ${file.name}: ${err.message}`);
+        }
+    }
+    if (links.length === 0 || notePath !== currentPath || !easyMDE) return;
+
+    easyMDE.codemirror.replaceSelection(links.join('\n'));
+
+    // Reading mode has no visible cursor: save straight away so the embed shows up
+    if (isReadingMode) {
+        await saveFile();
+        await conn.send('GET_RENDERED_FILE', { path: currentPath });
+    }
+}
+
+/**
+ * Send one file as UPLOAD_ATTACHMENT chunks
+ * @returns {Promise<string>} Wikilink embed for the stored attachment
+ */
+async function uploadAttachment(file, notePath) {
+    const UPLOAD_CHUNK_SIZE = 256 * 1024;
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    const total = Math.max(1, Math.ceil(bytes.length / UPLOAD_CHUNK_SIZE));
+    const uploadId = crypto.randomUUID();
+    const name = file.name || `Pasted image ${Date.now()}.${(file.type.split('/')[1] || 'png')}`;
+
+    for (let index = 0; index < total; index++) {
+        const chunk = bytesToBase64(bytes.subarray(index * UPLOAD_CHUNK_SIZE, (index + 1) * UPLOAD_CHUNK_SIZE));
+        const result = await conn.send('UPLOAD_ATTACHMENT', {
+            path: notePath,
+            data: { uploadId, name, index, total, chunk }
+        });
+
+        if (result?.type === 'ERROR') throw new Error(result.data?.message || result.message || 'Upload failed');
+        if (result?.type === 'UPLOAD_PROGRESS') log(`Uploading ${name}: ${Math.round((index + 1) / total * 100)}%`);
+        if (result?.type === 'ATTACHMENT_UPLOADED') {
+            log(`Uploaded ${result.data.path}`);
+            return result.data.link;
+        }
+    }
+    throw new Error('Upload did not complete');
 }
 
 /**
@@ -3496,22 +3907,164 @@ async function refreshTree() {
 
 /**
  * Search/filter notes
+ * Path/tag matches show instantly; full-text results replace them once the server answers
  */
 function doSearch(e) {
     const val = e.target.value.toLowerCase();
     const header = document.querySelector('#pane-notes .pane-header');
 
     if (!val) {
+        searchState = { query: '', results: [], total: 0, pathMatches: [] };
         prepareNoteList(masterFileList.filter(f => !f.path.includes('/')));
         if (header) header.innerText = 'NOTES';
+        return;
+    }
+
+    let ast;
+    try {
+        ast = parseQuery(e.target.value);
+    } catch (error) {
+        // Incomplete query while typing (e.g. an open quote) - wait for more input
+        if (header) header.innerText = 'RESULTS: …';
+        return;
+    }
+
+    // Evaluate what we can locally: paths, names and tags (no note bodies in the browser)
+    let results = [];
+    if (!queryUsesContentOperators(ast)) {
+        results = masterFileList.filter(f => evaluateQuery(ast, {
+            path: f.path,
+            name: f.path.split('/').pop(),
+            content: null,
+            tags: f.tags || []
+        }));
+    }
+    prepareNoteList(results);
+    if (header) header.innerText = `RESULTS: ${results.length}`;
+
+    searchState = { query: e.target.value.trim(), results: [], total: 0, pathMatches: results };
+    runVaultSearch(searchState.query, 0);
+}
+
+/**
+ * Ask the server for a page of full-text results (debounced while typing)
+ */
+const runVaultSearch = debounce((query, offset) => {
+    if (!conn || !query || query.length < 2) return;
+    conn.send('SEARCH_VAULT', { data: { query, offset, limit: 30 } });
+}, 300);
+
+/**
+ * Render full-text search results with highlighted snippets
+ * @param {Object} page - { query, total, offset, limit, results }
+ */
+function renderSearchResults(page) {
+    // Drop stale responses for a query the user has already changed
+    if (!page || page.query !== searchState.query) return;
+
+    const container = document.getElementById('note-list');
+    const header = document.querySelector('#pane-notes .pane-header');
+    if (!container) return;
+
+    if (page.error) {
+        container.innerHTML = '';
+        const error = document.createElement('div');
+        error.className = 'search-error';
+        error.textContent = page.error;
+        container.appendChild(error);
+        if (header) header.innerText = 'INVALID QUERY';
+        return;
+    }
+
+    if (page.offset === 0) {
+        container.innerHTML = '';
+        searchState.results = [];
+    }
+    container.querySelector('.search-load-more')?.remove();
+
+    searchState.results.push(...page.results);
+    searchState.total = page.total;
+
+    page.results.forEach(result => {
+        const card = document.createElement('div');
+        card.className = 'note-card file-tree-item search-result';
+        card.dataset.path = result.path;
+        card.dataset.type = 'file';
+
+        const title = document.createElement('div');
+        title.className = 'note-title';
+        title.textContent = result.path.split('/').pop().replace('.md', '');
+        card.appendChild(title);
+
+        if (result.path.includes('/')) {
+            const folder = document.createElement('div');
+            folder.className = 'search-result-path';
+            folder.textContent = result.path.substring(0, result.path.lastIndexOf('/'));
+            card.appendChild(folder);
+        }
+
+        result.matches.forEach(match => {
+            const snippet = document.createElement('div');
+            snippet.className = 'search-snippet';
+
+            const lineNo = document.createElement('span');
+            lineNo.className = 'search-line-number';
+            lineNo.textContent = match.line;
+            snippet.appendChild(lineNo);
+
+            appendHighlighted(snippet, match.text, match.ranges);
+            card.appendChild(snippet);
+        });
+
+        card.addEventListener('click', () => loadFile(result.path));
+        container.appendChild(card);
+    });
+
+    // Notes whose path matched but whose body didn't still belong in the list
+    if (page.offset + page.results.length >= page.total) {
+        const shown = new Set(searchState.results.map(r => r.path));
+        searchState.pathMatches.filter(f => !shown.has(f.path)).forEach(file => {
+            const card = document.createElement('div');
+            card.className = 'note-card file-tree-item';
+            card.dataset.path = file.path;
+            card.dataset.type = 'file';
+
+            const title = document.createElement('div');
+            title.className = 'note-title';
+            title.textContent = file.path.split('/').pop().replace('.md', '');
+
+            card.appendChild(title);
+            card.addEventListener('click', () => loadFile(file.path));
+            container.appendChild(card);
+        });
     } else {
-        const results = masterFileList.filter(f =>
-            f.path.toLowerCase().includes(val) ||
-            (f.tags && f.tags.some(t => t.toLowerCase().includes(val)))
-        );
-        prepareNoteList(results);
-        if (header) header.innerText = `RESULTS: ${results.length}`;
+        const more = document.createElement('button');
+        more.className = 'search-load-more';
+        more.textContent = `Load more (${page.total - searchState.results.length} remaining)`;
+        more.onclick = () => conn.send('SEARCH_VAULT', {
+            data: { query: searchState.query, offset: searchState.results.length, limit: page.limit }
+        });
+        container.appendChild(more);
     }
+
+    if (header) header.innerText = `RESULTS: ${page.total}`;
+}
+
+/**
+ * Append text to an element, wrapping [start, end) ranges in <mark> (no innerHTML)
+ */
+function appendHighlighted(el, text, ranges = []) {
+    let cursor = 0;
+    ranges.forEach(([start, end]) => {
+        if (start < cursor) start = cursor; // overlapping terms
+        if (end <= start) return;
+        if (start > cursor) el.appendChild(document.createTextNode(text.slice(cursor, start)));
+        const mark = document.createElement('mark');
+        mark.textContent = text.slice(start, end);
+        el.appendChild(mark);
+        cursor = end;
+    });
+    if (cursor < text.length) el.appendChild(document.createTextNode(text.slice(cursor)));
 }
 
 /**
@@ -3532,8 +4085,7 @@ async function createNote() {
         const cleanName = name.replace(/\.md$/, '');
         const fullPath = parentDir + cleanName + '.md';
 
-        await conn.send('CREATE_FILE', { path: fullPath });
-        await conn.send('GET_TREE');
+        await conn.batch([{ cmd: 'CREATE_FILE', path: fullPath }, { cmd: 'GET_TREE' }]);
         await loadFile(fullPath);
 
         if (isReadingMode) await toggleViewMode();
@@ -3556,9 +4108,8 @@ async function createFolder() {
 
     if (name) {
         const fullPath = parentDir + name;
-        await conn.send('CREATE_FOLDER', { path: fullPath });
         forceTreeRender = true;
-        await conn.send('GET_TREE');
+        await conn.batch([{ cmd: 'CREATE_FOLDER', path: fullPath }, { cmd: 'GET_TREE' }]);
     }
 }
 
@@ -3589,6 +4140,10 @@ async function openDailyNote() {
         alert('Not connected to vault.');
         return;
     }
+    if (!conn.supports('OPEN_DAILY_NOTE')) {
+        alert('Daily notes are not available in this session.');
+        return;
+    }
 
     try {
         console.log('📅 Sending OPEN_DAILY_NOTE command...');
@@ -3661,8 +4216,7 @@ async function ctxNewNote() {
         const cleanName = name.replace(/\.md$/, '');
         const fullPath = parentDir + cleanName + '.md';
 
-        await conn.send('CREATE_FILE', { path: fullPath });
-        await conn.send('GET_TREE');
+        await conn.batch([{ cmd: 'CREATE_FILE', path: fullPath }, { cmd: 'GET_TREE' }]);
         await loadFile(fullPath);
     }
 }
@@ -3683,8 +4237,7 @@ async function ctxNewFolder() {
     const name = prompt(`New Folder in ${parentDir || 'Root'}:`, 'New Folder');
     if (name) {
         const fullPath = parentDir + name;
-        await conn.send('CREATE_FOLDER', { path: fullPath });
-        await conn.send('GET_TREE');
+        await conn.batch([{ cmd: 'CREATE_FOLDER', path: fullPath }, { cmd: 'GET_TREE' }]);
     }
 }
 
@@ -3724,9 +4277,8 @@ async function ctxRename() {
             }
         }
 
-        await conn.send('RENAME_FILE', { path: cleanTarget, data: { newPath } });
         forceTreeRender = true;
-        await conn.send('GET_TREE');
+        await conn.batch([{ cmd: 'RENAME_FILE', path: cleanTarget, data: { newPath } }, { cmd: 'GET_TREE' }]);
         if (isFile && cleanTarget.endsWith('.md')) {
             await loadFile(newPath);
         }
@@ -3747,10 +4299,38 @@ async function ctxDelete() {
     const displayName = isFolder ? cleanTarget.split('/').pop() : cleanTarget.split('/').pop();
 
     if (confirm(`Are you sure you want to delete this ${itemType}: "${displayName}"?`)) {
-        await conn.send('DELETE_FILE', { path: cleanTarget });
         forceTreeRender = true;
-        await conn.send('GET_TREE');
+        await conn.batch([{ cmd: 'DELETE_FILE', path: cleanTarget }, { cmd: 'GET_TREE' }]);
+    }
+}
+
+async function ctxShare() {
+    hideContextMenu();
+    if (ctxTarget && ctxTargetType === 'file') await createShareLink(ctxTarget);
+}
+
+/**
+ * Mint a public read-only link for a note (served by the plugin at /s/:token)
+ */
+async function createShareLink(path = currentPath) {
+    if (!path || !path.endsWith('.md')) {
+        alert('Open a note first');
+        return;
     }
+    if (!conn.supports('CREATE_SHARE_LINK')) {
+        alert('Share links are not available: only the vault owner can create them, with a plugin version that supports them.');
+        return;
+    }
+    await showShareModal({
+        path,
+        onCreate: async (options) => {
+            const result = await conn.send('CREATE_SHARE_LINK', { path, data: options });
+            if (result?.type !== 'SHARE_LINK') throw new Error(result?.data?.message || result?.message || 'Could not create link');
+            log(`Share link created for ${path}`);
+            // The browser already knows how it reached the plugin; remote clients get the plugin's guess
+            return conn instanceof LocalConnection ? location.origin + result.data.path : result.data.url;
+        }
+    });
 }
 
 /**
@@ -3851,6 +4431,7 @@ function handleContextMenuDisplay(e) {
             { label: 'New Note', icon: 'fa-plus', action: 'ctxNewNote' },
             { label: 'New Folder', icon: 'fa-folder', action: 'ctxNewFolder' },
             { type: 'separator' },
+            { label: 'Create Share Link', icon: 'fa-link', action: 'ctxShare', show: type === 'file' && conn.supports('CREATE_SHARE_LINK') },
             { label: 'Rename', icon: 'fa-pen-to-square', action: 'ctxRename' },
             { label: 'Delete', icon: 'fa-trash', action: 'ctxDelete', danger: true }
         ]);
@@ -3876,12 +4457,14 @@ function log(msg) {
 window.initApp = initApp;
 window.loadFile = loadFile;
 window.saveFile = saveFile;
+window.pickAttachment = pickAttachment;
 window.toggleViewMode = toggleViewMode;
 window.toggleFocus = toggleFocus;
 window.togglePanel = togglePanel;
 window.switchTab = switchTab;
 window.refreshTree = refreshTree;
 window.doSearch = doSearch;
+window.saveCurrentSearch = saveCurrentSearch;
 window.createNote = createNote;
 window.createFolder = createFolder;
 window.collapseAll = collapseAll;
@@ -3894,6 +4477,8 @@ window.ctxNewNote = ctxNewNote;
 window.ctxNewFolder = ctxNewFolder;
 window.ctxRename = ctxRename;
 window.ctxDelete = ctxDelete;
+window.ctxShare = ctxShare;
+window.createShareLink = createShareLink;
 
 // Debug: Log all window functions to verify they're accessible
 console.log('🔍 Window functions registered:', {
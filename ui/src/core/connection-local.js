@@ -1,48 +1,66 @@
 /**
  * Local HTTP Connection
- * Simple password authentication to localhost:5474 plugin server
+ * Challenge-response login to localhost:5474 plugin server, then a short-lived session token
  * NO WebRTC, NO Supabase, NO TURN - Pure local-only connection
  */
 
+import { computeProof } from '../../../shared/passwordAuth.js';
+import { PROTOCOL_VERSION } from '../../../shared/protocol.js';
+
+// Refresh the session token this long before it expires
+const REFRESH_MARGIN = 10 * 60 * 1000;
+
 export default class LocalConnection {
     constructor() {
         this.mode = 'local';
-        this.authHash = null;
+        this.token = null; // session token from /api/login
+        this.expiresAt = 0;
+        this.protocol = null; // { version, minVersion, commands } from PONG (null: plugin predates it)
         this.onMessage = null;
         console.log('🔌 Note Relay: Local HTTP mode');
     }
 
-    /**
-     * Hash password using SHA-256
-     */
-    async hashString(str) {
-        const encoder = new TextEncoder();
-        const data = encoder.encode(str);
-        const hashBuffer = await crypto.subtle.digest('SHA-256', data);
-        const hashArray = Array.from(new Uint8Array(hashBuffer));
-        return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
-    }
-
     /**
      * Connect to local plugin HTTP server
      */
     async connect(password, onStatusUpdate) {
         this.onStatusUpdate = onStatusUpdate || ((msg) => console.log(msg));
-        this.authHash = await this.hashString(password);
         
         this.onStatusUpdate("Connecting to local vault...");
         
-        const response = await fetch('http://localhost:5474/api/command', {
+        const challengeResponse = await fetch('http://localhost:5474/api/login/challenge', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' }
+        });
+        
+        if (!challengeResponse.ok) {
+            throw new Error('Authentication Failed');
+        }
+        
+        // The password never leaves the browser; only a proof bound to this challenge does
+        const challenge = (await challengeResponse.json()).data;
+        this.onStatusUpdate("Verifying password...");
+        const { clientNonce, proof } = await computeProof(password, challenge);
+        
+        const loginResponse = await fetch('http://localhost:5474/api/login', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ cmd: 'PING', authHash: this.authHash })
+            credentials: 'include',
+            body: JSON.stringify({ clientNonce, serverNonce: challenge.serverNonce, proof })
         });
         
-        if (!response.ok) {
+        if (loginResponse.status === 429) {
+            const { retryAfter } = await loginResponse.json();
+            throw new Error(`Too many failed attempts. Try again in ${retryAfter} seconds.`);
+        }
+        if (!loginResponse.ok) {
             throw new Error('Authentication Failed');
         }
         
-        const pingResult = await response.json();
+        this.setSession((await loginResponse.json()).data);
+        
+        const pingResult = await this.send('PING');
+        this.checkProtocol(pingResult.data);
         
         // Apply Obsidian theme if provided
         if (pingResult.data && pingResult.data.css) {
@@ -63,24 +81,132 @@ export default class LocalConnection {
             this.onMessage({ type: 'CONNECTED', data: {} });
         }
         
-        // Initial data load
+        // Initial data load (tags and the graph are built from the tree)
         await this.send('GET_TREE');
-        await this.send('LOAD_TAGS');
-        await this.send('LOAD_GRAPH');
+        
+        // Live vault events (edits made in desktop Obsidian)
+        this.subscribe();
         
         return true;
     }
 
+    /**
+     * Compare the plugin's protocol with ours (see shared/protocol.js); mismatches degrade, they don't fail
+     */
+    checkProtocol(info) {
+        this.protocol = info?.protocol || null;
+        if (!this.protocol) {
+            console.warn(`⚠️ Plugin ${info?.version || ''} doesn't report its protocol; some features may not work. Update the plugin.`);
+            return;
+        }
+        if (this.protocol.version < PROTOCOL_VERSION) {
+            console.warn(`⚠️ Plugin speaks protocol ${this.protocol.version}, this app ${PROTOCOL_VERSION}. Features the plugin lacks are disabled.`);
+            this.onStatusUpdate(`Plugin ${info.version} is older than this app. Some features are unavailable.`);
+        } else if (this.protocol.version > PROTOCOL_VERSION) {
+            console.warn(`⚠️ Plugin speaks protocol ${this.protocol.version}, this app ${PROTOCOL_VERSION}. Reload to get the latest app.`);
+        }
+    }
+
+    /**
+     * Whether the plugin accepts a command from this session (assumed when it doesn't report its commands)
+     */
+    supports(cmd) {
+        return !this.protocol || this.protocol.commands.includes(cmd);
+    }
+
+    /**
+     * Open the push channel for VAULT_EVENT messages
+     * Reconnects with a delay if the stream drops while connected
+     */
+    async subscribe() {
+        if (this.eventStream) return;
+        this.eventStream = new AbortController();
+        
+        try {
+            const response = await fetch('http://localhost:5474/api/events', {
+                method: 'POST',
+                headers: this.authHeaders(),
+                credentials: 'include',
+                signal: this.eventStream.signal
+            });
+            
+            if (response.status === 401) {
+                this.handleExpiredSession();
+                return;
+            }
+            if (!response.ok || !response.body) {
+                throw new Error(`Event stream failed: ${response.status}`);
+            }
+            
+            console.log('📡 Live vault events connected');
+            const reader = response.body.getReader();
+            const decoder = new TextDecoder();
+            let buffer = '';
+            
+            while (true) {
+                const { value, done } = await reader.read();
+                if (done) break;
+                buffer += decoder.decode(value, { stream: true });
+                
+                // SSE frames are separated by a blank line
+                let boundary;
+                while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+                    const frame = buffer.slice(0, boundary);
+                    buffer = buffer.slice(boundary + 2);
+                    this.handleEventFrame(frame);
+                }
+            }
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            console.warn('📡 Live vault events unavailable:', error.message);
+        }
+        
+        // Stream ended unexpectedly - retry unless disconnected
+        const wasAborted = this.eventStream?.signal.aborted;
+        this.eventStream = null;
+        if (!wasAborted && this.token) {
+            setTimeout(() => this.subscribe(), 5000);
+        }
+    }
+
+    /**
+     * Parse one SSE frame and forward its payload to the UI
+     */
+    handleEventFrame(frame) {
+        const data = frame
+            .split('\n')
+            .filter(line => line.startsWith('data:'))
+            .map(line => line.slice(5).trim())
+            .join('\n');
+        
+        if (!data || !this.onMessage) return;
+        
+        try {
+            this.onMessage(JSON.parse(data));
+        } catch (e) {
+            console.error('Invalid event frame:', e);
+        }
+    }
+
     /**
      * Send command via HTTP
      */
     async send(cmd, extraData = {}) {
+        if (this.token && Date.now() > this.expiresAt - REFRESH_MARGIN) {
+            await this.refreshSession();
+        }
+        
         const response = await fetch('http://localhost:5474/api/command', {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ cmd, authHash: this.authHash, ...extraData })
+            headers: this.authHeaders(),
+            credentials: 'include',
+            body: JSON.stringify({ cmd, protocolVersion: PROTOCOL_VERSION, ...extraData })
         });
         
+        if (response.status === 401) {
+            this.handleExpiredSession();
+            throw new Error('Session expired');
+        }
         if (!response.ok) {
             throw new Error(`HTTP request failed: ${response.status}`);
         }
@@ -96,9 +222,104 @@ export default class LocalConnection {
     }
 
     /**
-     * Disconnect (no-op for HTTP)
+     * Run several commands in one request (BATCH, see shared/protocol.js)
+     * Each result is also passed to onMessage, as if the command had been sent on its own.
+     * @param {Array} commands - [{ cmd, path?, data?, requestId? }]
+     * @param {Object} options - { mode: 'sequential' (stop at the first failure) | 'parallel' }
+     * @returns {Promise<Array>} [{ requestId, cmd, status: 'ok'|'error'|'skipped', type, data, meta }] in command order
+     */
+    async batch(commands, { mode = 'sequential' } = {}) {
+        if (!this.supports('BATCH')) return this.batchFallback(commands, mode);
+        
+        const result = await this.send('BATCH', { mode, commands });
+        if (result?.type !== 'BATCH_RESULT') {
+            throw new Error(result?.data?.message || result?.message || 'Batch failed');
+        }
+        result.data.results.forEach((entry) => {
+            if (entry.status !== 'skipped' && this.onMessage) {
+                this.onMessage({ type: entry.type, data: entry.data, meta: entry.meta });
+            }
+        });
+        return result.data.results;
+    }
+
+    /**
+     * Plugins without BATCH: one request per command, same result shape
+     */
+    async batchFallback(commands, mode) {
+        const runOne = async ({ cmd, requestId, ...extraData }, index) => {
+            const result = await this.send(cmd, extraData);
+            const failed = result?.type === 'ERROR' || result?.type === 'CONFLICT';
+            return { requestId: requestId ?? index, cmd, status: failed ? 'error' : 'ok', type: result?.type, data: result?.data, meta: result?.meta || {} };
+        };
+        
+        if (mode === 'parallel') return Promise.all(commands.map(runOne));
+        
+        const results = [];
+        for (const [index, command] of commands.entries()) {
+            if (results.some((result) => result.status === 'error')) {
+                results.push({ requestId: command.requestId ?? index, cmd: command.cmd, status: 'skipped', type: null, data: null, meta: {} });
+                continue;
+            }
+            results.push(await runOne(command, index));
+        }
+        return results;
+    }
+
+    authHeaders() {
+        return {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${this.token}`
+        };
+    }
+
+    /**
+     * Store the token from a SESSION response
+     */
+    setSession(session) {
+        this.token = session.token;
+        this.expiresAt = session.expiresAt;
+    }
+
+    /**
+     * Swap the session token for a fresh one before it expires
+     */
+    async refreshSession() {
+        const response = await fetch('http://localhost:5474/api/session/refresh', {
+            method: 'POST',
+            headers: this.authHeaders(),
+            credentials: 'include'
+        });
+        
+        if (!response.ok) {
+            this.handleExpiredSession();
+            throw new Error('Session expired');
+        }
+        
+        this.setSession((await response.json()).data);
+        console.log('🔑 Session refreshed');
+    }
+
+    /**
+     * Session idled out or was revoked from the plugin settings: back to the password prompt
+     */
+    handleExpiredSession() {
+        if (!this.token) return;
+        this.token = null;
+        this.disconnect();
+        if (this.onMessage) {
+            this.onMessage({ type: 'SESSION_EXPIRED', data: {} });
+        }
+    }
+
+    /**
+     * Disconnect (closes the event stream)
      */
     disconnect() {
+        if (this.eventStream) {
+            this.eventStream.abort();
+            this.eventStream = null;
+        }
         console.log('Local connection closed');
     }
 }
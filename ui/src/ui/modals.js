@@ -1,6 +1,220 @@
 // LOGIC CURRENTLY RESIDES IN APP.JS. PENDING REFACTOR.
 // This file is a placeholder for future modularization of modal/dialog logic.
 // Currently: renderContextMenu() and related functions in src/core/app.js handle context menus.
+// showMergeModal() below is the first dialog moved here.
+
+import { merge3 } from '../utils/merge.js';
 
 /* Stub file - To be implemented */
 export function showModal() {}
+
+/**
+ * Three-way merge dialog shown when SAVE_FILE returns CONFLICT
+ * Left: your version, right: the vault's version, bottom: editable merge result
+ * @param {Object} options - { path, base, mine, theirs }
+ * @returns {Promise<string|null>} Resolved text, or null if the user cancelled
+ */
+export function showMergeModal({ path, base, mine, theirs }) {
+    const merged = merge3(base, mine, theirs);
+
+    return new Promise((resolve) => {
+        const overlay = document.createElement('div');
+        overlay.className = 'merge-overlay';
+
+        const dialog = document.createElement('div');
+        dialog.className = 'merge-dialog';
+        overlay.appendChild(dialog);
+
+        const header = document.createElement('div');
+        header.className = 'merge-header';
+        const title = document.createElement('div');
+        title.className = 'merge-title';
+        title.textContent = `${path} changed in the vault while you were editing`;
+        const status = document.createElement('div');
+        status.className = 'merge-status';
+        header.append(title, status);
+        dialog.appendChild(header);
+
+        const panes = document.createElement('div');
+        panes.className = 'merge-panes';
+        const pane = (label, text) => {
+            const wrap = document.createElement('div');
+            wrap.className = 'merge-pane';
+            const heading = document.createElement('div');
+            heading.className = 'merge-pane-label';
+            heading.textContent = label;
+            const body = document.createElement('pre');
+            body.textContent = text;
+            wrap.append(heading, body);
+            return wrap;
+        };
+        panes.append(pane('Yours', mine), pane('Vault', theirs));
+        dialog.appendChild(panes);
+
+        const resultLabel = document.createElement('div');
+        resultLabel.className = 'merge-pane-label';
+        resultLabel.textContent = 'Result';
+        const result = document.createElement('textarea');
+        result.className = 'merge-result';
+        result.spellcheck = false;
+        result.value = merged.text;
+        dialog.append(resultLabel, result);
+
+        const updateStatus = () => {
+            const remaining = (result.value.match(/^<{7} yours$/gm) || []).length;
+            status.textContent = remaining > 0
+                ? `${remaining} conflict${remaining === 1 ? '' : 's'} to resolve`
+                : 'No conflicts';
+            status.classList.toggle('has-conflicts', remaining > 0);
+            saveBtn.disabled = remaining > 0;
+        };
+
+        const actions = document.createElement('div');
+        actions.className = 'merge-actions';
+        const button = (label, onClick) => {
+            const btn = document.createElement('button');
+            btn.textContent = label;
+            btn.onclick = onClick;
+            actions.appendChild(btn);
+            return btn;
+        };
+
+        const close = (value) => {
+            document.removeEventListener('keydown', onKeyDown);
+            overlay.remove();
+            resolve(value);
+        };
+        const onKeyDown = (e) => {
+            if (e.key === 'Escape') close(null);
+        };
+
+        button('Cancel', () => close(null));
+        button('Keep vault', () => close(theirs));
+        button('Keep mine', () => close(mine));
+        const saveBtn = button('Save merged', () => close(result.value));
+        saveBtn.classList.add('mod-cta');
+
+        dialog.appendChild(actions);
+        result.addEventListener('input', updateStatus);
+        document.addEventListener('keydown', onKeyDown);
+        updateStatus();
+
+        document.body.appendChild(overlay);
+        result.focus();
+    });
+}
+
+const SHARE_EXPIRY_CHOICES = [
+    ['1h', '1 hour'],
+    ['1d', '1 day'],
+    ['7d', '7 days'],
+    ['30d', '30 days']
+];
+
+/**
+ * "Create share link" dialog: expiry, optional password and view limit, then the link to copy
+ * @param {Object} options - { path, onCreate: async ({ expiry, password, maxViews }) => url }
+ * @returns {Promise<void>} Resolves when the dialog closes
+ */
+export function showShareModal({ path, onCreate }) {
+    return new Promise((resolve) => {
+        const overlay = document.createElement('div');
+        overlay.className = 'merge-overlay';
+
+        const dialog = document.createElement('div');
+        dialog.className = 'share-dialog';
+        overlay.appendChild(dialog);
+
+        const title = document.createElement('div');
+        title.className = 'merge-title';
+        title.textContent = `Share ${path.split('/').pop().replace(/\.md$/, '')}`;
+        const hint = document.createElement('div');
+        hint.className = 'merge-status';
+        hint.textContent = 'Anyone with the link can read a rendered copy of this note. Links to other notes are not followable.';
+        dialog.append(title, hint);
+
+        const field = (label, input) => {
+            const wrap = document.createElement('label');
+            wrap.className = 'share-field';
+            const text = document.createElement('span');
+            text.className = 'merge-pane-label';
+            text.textContent = label;
+            wrap.append(text, input);
+            dialog.appendChild(wrap);
+            return input;
+        };
+
+        const expiry = document.createElement('select');
+        SHARE_EXPIRY_CHOICES.forEach(([value, label]) => expiry.add(new Option(label, value, false, value === '7d')));
+        field('Expires after', expiry);
+
+        const password = document.createElement('input');
+        password.type = 'password';
+        password.placeholder = 'Optional';
+        field('Password', password);
+
+        const maxViews = document.createElement('input');
+        maxViews.type = 'number';
+        maxViews.min = '0';
+        maxViews.placeholder = 'Unlimited';
+        field('View limit', maxViews);
+
+        const result = document.createElement('input');
+        result.type = 'text';
+        result.readOnly = true;
+        result.className = 'share-url';
+        result.style.display = 'none';
+        dialog.appendChild(result);
+
+        const actions = document.createElement('div');
+        actions.className = 'merge-actions';
+        const button = (label, onClick) => {
+            const btn = document.createElement('button');
+            btn.textContent = label;
+            btn.onclick = onClick;
+            actions.appendChild(btn);
+            return btn;
+        };
+
+        const close = () => {
+            document.removeEventListener('keydown', onKeyDown);
+            overlay.remove();
+            resolve();
+        };
+        const onKeyDown = (e) => {
+            if (e.key === 'Escape') close();
+        };
+
+        button('Close', close);
+        const copyBtn = button('Copy link', async () => {
+            await navigator.clipboard.writeText(result.value);
+            copyBtn.textContent = 'Copied';
+        });
+        copyBtn.style.display = 'none';
+        const createBtn = button('Create link', async () => {
+            createBtn.disabled = true;
+            try {
+                result.value = await onCreate({
+                    expiry: expiry.value,
+                    password: password.value,
+                    maxViews: parseInt(maxViews.value, 10) || 0
+                });
+                result.style.display = '';
+                result.select();
+                createBtn.style.display = 'none';
+                copyBtn.style.display = '';
+                copyBtn.classList.add('mod-cta');
+            } catch (err) {
+                hint.textContent = err.message;
+                hint.classList.add('has-conflicts');
+                createBtn.disabled = false;
+            }
+        });
+        createBtn.classList.add('mod-cta');
+
+        dialog.appendChild(actions);
+        document.addEventListener('keydown', onKeyDown);
+        document.body.appendChild(overlay);
+        expiry.focus();
+    });
+}
@@ -20,6 +20,17 @@ export function b64toBlob(b64Data, contentType = '', sliceSize = 512) {
     return new Blob(byteArrays, { type: contentType });
 }
 
+/**
+ * Convert bytes to a base64 string
+ */
+export function bytesToBase64(bytes, sliceSize = 32768) {
+    let binary = '';
+    for (let offset = 0; offset < bytes.length; offset += sliceSize) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(offset, offset + sliceSize));
+    }
+    return btoa(binary);
+}
+
 /**
  * Get MIME type from file extension
  */
@@ -0,0 +1,121 @@
+/**
+ * Three-Way Merge
+ * Line-based diff3 used to resolve SAVE_FILE conflicts
+ */
+
+// Above this many cells the LCS table gets too big; the differing middle becomes one conflict
+const MAX_LCS_CELLS = 4000000;
+
+/**
+ * Map each base line to its matching line in other (-1 if unmatched) using an LCS
+ */
+function matchLines(base, other) {
+    const matches = new Array(base.length).fill(-1);
+
+    // Common prefix and suffix are matched trivially (keeps the DP table small)
+    let start = 0;
+    while (start < base.length && start < other.length && base[start] === other[start]) {
+        matches[start] = start;
+        start++;
+    }
+    let endBase = base.length;
+    let endOther = other.length;
+    while (endBase > start && endOther > start && base[endBase - 1] === other[endOther - 1]) {
+        endBase--;
+        endOther--;
+        matches[endBase] = endOther;
+    }
+
+    const n = endBase - start;
+    const m = endOther - start;
+    if (n === 0 || m === 0 || (n + 1) * (m + 1) > MAX_LCS_CELLS) return matches;
+
+    // lengths[i][j] = LCS length of base[start+i..] and other[start+j..]
+    const width = m + 1;
+    const lengths = new Uint32Array((n + 1) * width);
+    for (let i = n - 1; i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+            lengths[i * width + j] = base[start + i] === other[start + j]
+                ? lengths[(i + 1) * width + j + 1] + 1
+                : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+        }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+        if (base[start + i] === other[start + j]) {
+            matches[start + i] = start + j;
+            i++;
+            j++;
+        } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+            i++;
+        } else {
+            j++;
+        }
+    }
+
+    return matches;
+}
+
+function sameLines(a, b) {
+    return a.length === b.length && a.every((line, idx) => line === b[idx]);
+}
+
+/**
+ * Merge two edits of the same base text
+ * @param {string} base - Text both sides started from
+ * @param {string} mine - Local edit
+ * @param {string} theirs - Version currently in the vault
+ * @returns {Object} { text, conflicts } - text contains git-style markers around each conflict
+ */
+export function merge3(base, mine, theirs) {
+    const o = base.split('\n');
+    const a = mine.split('\n');
+    const b = theirs.split('\n');
+    const matchA = matchLines(o, a);
+    const matchB = matchLines(o, b);
+
+    const out = [];
+    let conflicts = 0;
+    let i = 0;
+    let j = 0;
+    let k = 0;
+
+    while (true) {
+        // Stable run: base line unchanged on both sides
+        while (i < o.length && matchA[i] === j && matchB[i] === k) {
+            out.push(o[i]);
+            i++;
+            j++;
+            k++;
+        }
+
+        // Next base line that both sides still contain
+        let ni = i;
+        while (ni < o.length && (matchA[ni] === -1 || matchB[ni] === -1)) ni++;
+        const nj = ni < o.length ? matchA[ni] : a.length;
+        const nk = ni < o.length ? matchB[ni] : b.length;
+
+        if (ni === i && nj === j && nk === k) break;
+
+        const chunkO = o.slice(i, ni);
+        const chunkA = a.slice(j, nj);
+        const chunkB = b.slice(k, nk);
+
+        if (sameLines(chunkA, chunkO)) {
+            out.push(...chunkB);
+        } else if (sameLines(chunkB, chunkO) || sameLines(chunkA, chunkB)) {
+            out.push(...chunkA);
+        } else {
+            conflicts++;
+            out.push('<<<<<<< yours', ...chunkA, '=======', ...chunkB, '>>>>>>> vault');
+        }
+
+        i = ni;
+        j = nj;
+        k = nk;
+    }
+
+    return { text: out.join('\n'), conflicts };
+}